@@ -8,6 +8,19 @@ import FriendsScreen from './src/friends/FriendsScreen';
 import ViewTaskModal from './src/taskModal/ViewTaskModal';
 import EditTaskScreen from './src/taskModal/EditTaskScreen';
 import CreateTaskScreen from './src/taskModal/CreateTaskScreen';
+import SessionsScreen from './src/taskModal/SessionsScreen';
+import TaskListsScreen from './src/taskLists/TaskListsScreen';
+import ArchiveScreen from './src/archive/ArchiveScreen';
+import CalendarsScreen from './src/calendars/CalendarsScreen';
+import PlanScreen from './src/plan/PlanScreen';
+import FocusScreen from './src/focus/FocusScreen';
+import StatsScreen from './src/stats/StatsScreen';
+import CoinsScreen from './src/coins/CoinsScreen';
+import StreakScreen from './src/streak/StreakScreen';
+import AchievementsScreen from './src/achievements/AchievementsScreen';
+import RemindersScreen from './src/reminders/RemindersScreen';
+import NewPlantScreen from './src/newPlant/NewPlantScreen';
+import GreenhouseScreen from './src/greenhouse/GreenhouseScreen';
 
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
@@ -47,6 +60,30 @@ function MainStackApp() {
           options={{headerLeft:null}}/>
        
         <MainStack.Screen name="CreateTask" component={CreateTaskScreen} />
+        <MainStack.Screen name="TaskLists" component={TaskListsScreen}
+          options={{title: 'Task Lists'}}/>
+        <MainStack.Screen name="Archive" component={ArchiveScreen}
+          options={{title: 'Completed Tasks'}}/>
+        <MainStack.Screen name="Calendars" component={CalendarsScreen}
+          options={{title: 'Calendars'}}/>
+        <MainStack.Screen name="Plan" component={PlanScreen}
+          options={{title: 'Plan my week'}}/>
+        <MainStack.Screen name="Sessions" component={SessionsScreen}
+          options={{title: 'Time Log'}}/>
+        <MainStack.Screen name="Stats" component={StatsScreen}
+          options={{title: 'Estimates'}}/>
+        <MainStack.Screen name="Coins" component={CoinsScreen}
+          options={{title: 'Coin History'}}/>
+        <MainStack.Screen name="Streak" component={StreakScreen}
+          options={{title: 'Daily Goal'}}/>
+        <MainStack.Screen name="Achievements" component={AchievementsScreen}
+          options={{title: 'Achievements'}}/>
+        <MainStack.Screen name="Reminders" component={RemindersScreen}
+          options={{title: 'Reminders'}}/>
+        <MainStack.Screen name="NewPlant" component={NewPlantScreen}
+          options={{title: 'New Plant'}}/>
+        <MainStack.Screen name="Greenhouse" component={GreenhouseScreen}
+          options={{title: 'Greenhouse'}}/>
       </MainStack.Navigator>
   );
 }
@@ -85,6 +122,7 @@ export default function App() {
         <RootStack.Screen name="Main" component={MainStackApp} />
         <RootStack.Screen name="ViewTaskModal" component={ViewTaskModal} />
         <RootStack.Screen name="EditTask" component={EditTaskScreen} />
+        <RootStack.Screen name="Focus" component={FocusScreen} />
         
         </RootStack.Navigator>
     </NavigationContainer>
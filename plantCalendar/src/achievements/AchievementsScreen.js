@@ -0,0 +1,158 @@
+import * as React from 'react';
+import {View, Text, StyleSheet, ScrollView, ActivityIndicator, Alert} from 'react-native';
+import * as Progress from 'react-native-progress';
+
+import { COSMETICS } from '../home/Achievements';
+import { describeUnlocked } from '../home/AchievementData';
+
+/**
+ * AchievementsScreen Class
+ *  \brief the gallery of achievements: the ones the user has unlocked, and how close they are
+ *         to the locked ones
+ *  \details opened from the HomeScreen, which passes in its AchievementData object through the
+ *           route params. The achievements are loaded again when the screen opens
+ */
+export default class AchievementsScreen extends React.Component {
+    state = {
+        loading: true,
+    }
+
+    componentDidMount() {
+        this.props.route.params.achievementData.load().then(unlocked => {
+            if (unlocked.length > 0) {
+                Alert.alert("Achievement unlocked!", describeUnlocked(unlocked));
+            }
+            this.setState({loading: false});
+        }).catch(error => {
+            console.log(error);
+            this.setState({loading: false});
+        });
+    }
+
+    /**
+     * \brief one achievement: its badge, what it's for and what it pays, and when it was
+     *        unlocked or how far the user is towards it
+     */
+    renderAchievement(achievement) {
+        let unlocked = achievement.unlocked != null;
+        let progress = achievement.progress;
+        let reward = [];
+        if (achievement.coins) {
+            reward.push(achievement.coins + " coins");
+        }
+        if (achievement.cosmetic) {
+            reward.push(COSMETICS[achievement.cosmetic].title + " (" +
+                COSMETICS[achievement.cosmetic].description.toLowerCase() + ")");
+        }
+        return (
+            <View key={achievement.id} style={unlocked ? styles.achievement : styles.lockedAchievement}>
+                <View style={{...styles.badge, backgroundColor: unlocked ? '#8ccd82' : '#f2f2f2'}}>
+                    <Text style={{...styles.badgeText, color: unlocked ? '#ffffff' : '#464e51'}}>
+                        {unlocked ? "★" : "?"}
+                    </Text>
+                </View>
+                <View style={styles.achievementInfo}>
+                    <Text style={unlocked ? styles.titleText : styles.lockedTitleText}>{achievement.title}</Text>
+                    <Text style={styles.detailText}>{achievement.description}</Text>
+                    {reward.length > 0 ?
+                        <Text style={styles.detailText}>Reward: {reward.join(", ")}</Text>
+                    : null}
+                    {unlocked ?
+                        <Text style={styles.detailText}>
+                            {/* the server's timestamp is null until an unlock made on this phone has reached it */}
+                            Unlocked {achievement.unlocked.unlockedAt ?
+                                achievement.unlocked.unlockedAt.toLocaleDateString() : "just now"}
+                        </Text>
+                    :
+                        <View>
+                            <Progress.Bar
+                                progress={Math.min(progress.value / progress.target, 1)}
+                                width={null}
+                                height={8}
+                                color={'#464e51'}
+                            />
+                            <Text style={styles.detailText}>
+                                {Math.floor(progress.value * 10) / 10} / {progress.target}
+                            </Text>
+                        </View>
+                    }
+                </View>
+            </View>
+        );
+    }
+
+    render() {
+        const achievementData = this.props.route.params.achievementData;
+        let achievements = achievementData.getAchievements();
+        let unlockedCount = achievements.filter(achievement => achievement.unlocked != null).length;
+        // unlocked ones first, keeping the catalog's order
+        let sorted = achievements.filter(achievement => achievement.unlocked != null).concat(
+            achievements.filter(achievement => achievement.unlocked == null));
+
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    <Text style={styles.headerText}>{unlockedCount} of {achievements.length} unlocked</Text>
+                    {this.state.loading ? <ActivityIndicator size="large" color="#8ccd82" /> : null}
+                    {sorted.map(achievement => this.renderAchievement(achievement))}
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    headerText:{
+        marginVertical: 10,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    achievement:{
+        flexDirection: 'row',
+        marginBottom: 5,
+        padding: 5,
+        borderBottomWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    lockedAchievement:{
+        flexDirection: 'row',
+        marginBottom: 5,
+        padding: 5,
+        borderBottomWidth: 2,
+        borderColor: '#f2f2f2',
+    },
+    badge:{
+        width: 50,
+        height: 50,
+        borderRadius: 25,
+        marginRight: 10,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    badgeText:{
+        fontSize: 24,
+        fontWeight: 'bold',
+    },
+    achievementInfo:{
+        flex: 1,
+    },
+    titleText:{
+        color: '#000000',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+    lockedTitleText:{
+        color: '#464e51',
+        fontSize: 18,
+    },
+    detailText:{
+        color: '#464e51',
+        fontSize: 15,
+    },
+});
@@ -0,0 +1,132 @@
+import * as React from 'react';
+import {View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert, ActivityIndicator} from 'react-native';
+
+/**
+ * ArchiveScreen Class
+ *  \brief shows the user's completed tasks and lets them reopen one
+ *  \details opened from the HomeScreen, which passes in its TaskData object and
+ *           its renderCalendar function through the route params
+ */
+export default class ArchiveScreen extends React.Component {
+    state = {
+        completedTasks: [],
+        loading: true,
+    }
+
+    /**
+     * \brief load the completed tasks from Google Tasks and Firebase once the screen opens
+     */
+    async componentDidMount() {
+        let completedTasks = this.props.route.params.taskData.completedTaskArray;
+        try {
+            completedTasks = await this.props.route.params.taskData.getCompletedData();
+        } catch (error) {
+            // offline: show whatever was loaded before
+            console.log("could not load completed tasks: " + error);
+        }
+        this.setState({completedTasks: completedTasks, loading: false});
+    }
+
+    /**
+     * \brief ask the user to confirm, then reopen the task and take back its coins
+     */
+    confirmReopen(task) {
+        Alert.alert(
+            "Reopen task",
+            "\"" + task.name + "\" will be moved back to your tasks and the " + task.coinsEarned +
+                " coins you earned for it will be taken back.",
+            [
+                {text: "Cancel", style: "cancel"},
+                {text: "Reopen", onPress: async() => {
+                    const taskData = this.props.route.params.taskData;
+                    await taskData.reopenTask(task.id);
+                    this.setState({completedTasks: taskData.completedTaskArray});
+                    this.props.route.params.renderCalendar();
+                }},
+            ]
+        );
+    }
+
+    render() {
+        if (this.state.loading) {
+            return (
+                <View style={styles.container}>
+                    <ActivityIndicator size="large" color="#8ccd82" />
+                </View>
+            );
+        }
+
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    {this.state.completedTasks.length == 0 ?
+                        <Text style={styles.emptyText}>You haven't completed any tasks yet.</Text> : null}
+                    {this.state.completedTasks.map(task =>
+                        <View style={styles.task} key={task.taskListId.concat(task.id)}>
+                            <View style={styles.taskInfo}>
+                                <Text style={styles.nameText}>{task.name}</Text>
+                                <Text style={styles.dateText}>
+                                    Completed {task.completedDate ? new Date(task.completedDate).toLocaleString() : ""}
+                                </Text>
+                                {/* only show the time information if the task had an estimate */}
+                                {task.estTimeToComplete != null ?
+                                    <Text style={styles.dateText}>
+                                        {task.timeSpent || 0} of {task.estTimeToComplete} estimated hours spent
+                                    </Text> : null}
+                            </View>
+                            <TouchableOpacity
+                                style={styles.button}
+                                onPress={() => this.confirmReopen(task)}>
+                                <Text style={styles.buttonText}>Reopen</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+        justifyContent: 'center',
+    },
+    task:{
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 5,
+        padding: 5,
+        borderBottomWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    taskInfo:{
+        flex: 1,
+    },
+    nameText:{
+        color: '#000000',
+        fontSize: 20,
+    },
+    dateText:{
+        color: '#464e51',
+        fontSize: 15,
+    },
+    emptyText:{
+        alignSelf: 'center',
+        marginTop: 20,
+        fontSize: 18,
+        color: '#8ccd82',
+    },
+    button: {
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 5,
+    },
+    buttonText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
@@ -0,0 +1,119 @@
+import * as React from 'react';
+import {View, Text, TouchableOpacity, StyleSheet, ScrollView, Switch} from 'react-native';
+
+/**
+ * CalendarsScreen Class
+ *  \brief lets the user pick which of their Google calendars are shown next to their tasks
+ *  \details opened from the HomeScreen, which passes in its EventData object and
+ *           its renderCalendar function through the route params
+ */
+export default class CalendarsScreen extends React.Component {
+    state = {
+        calendars: this.props.route.params.eventData.getCalendars(),
+        loading: !this.props.route.params.eventData.calendarsLoaded,
+        failed: false,
+    }
+
+    componentDidMount() {
+        const eventData = this.props.route.params.eventData;
+        if (!eventData.calendarsLoaded) {
+            eventData.loadCalendars().then(() => {
+                this.setState({calendars: eventData.getCalendars(), loading: false});
+            }).catch(error => {
+                console.log(error);
+                this.setState({loading: false, failed: true});
+            });
+        }
+    }
+
+    /**
+     * \brief shows or hides the events of the calendar at the given index
+     */
+    async toggleCalendar(index) {
+        const eventData = this.props.route.params.eventData;
+        let calendarIds = this.state.calendars
+            .filter((calendar, i) => i == index ? !calendar.selected : calendar.selected)
+            .map(calendar => calendar.id);
+
+        await eventData.setSelectedCalendars(calendarIds);
+        this.setState({calendars: eventData.getCalendars()});
+        this.props.route.params.renderCalendar();
+    }
+
+    render() {
+        let message = null;
+        if (this.state.loading) {
+            message = "Loading your calendars...";
+        } else if (this.state.failed) {
+            message = "Your calendars couldn't be loaded, please check your connection.";
+        }
+
+        return (
+            <View style={styles.container}>
+                {message != null ? <Text style={styles.messageText}>{message}</Text> : null}
+                <ScrollView>
+                    {/* one switch per calendar, with the calendar's color */}
+                    {this.state.calendars.map((calendar, index) =>
+                        <View style={styles.row} key={calendar.id}>
+                            <View style={{...styles.colorDot, backgroundColor: calendar.color}} />
+                            <Text style={styles.titleText} numberOfLines={1}>{calendar.title}</Text>
+                            <Switch
+                                value={calendar.selected}
+                                onValueChange={() => this.toggleCalendar(index)}
+                                trackColor={{true: '#8ccd82'}}
+                            />
+                        </View>
+                    )}
+                </ScrollView>
+
+                <TouchableOpacity
+                    style={{...styles.button, alignSelf: 'center', marginTop: 20}}
+                    onPress={() => this.props.navigation.goBack()}>
+                    <Text style={styles.buttonText}>Done</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        marginTop: 15,
+        padding: 10,
+        flex: 1,
+        backgroundColor: '#ffffff',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+        height: 50,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+    },
+    colorDot:{
+        width: 14,
+        height: 14,
+        borderRadius: 7,
+        marginHorizontal: 10,
+    },
+    titleText:{
+        flex: 1,
+        fontSize: 15,
+    },
+    messageText:{
+        fontSize: 15,
+        color: '#464e51',
+        marginBottom: 10,
+    },
+    button: {
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 10,
+        marginLeft: 10,
+    },
+    buttonText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
@@ -0,0 +1,149 @@
+import * as React from 'react';
+import {View, Text, TouchableOpacity, StyleSheet, ScrollView, ActivityIndicator} from 'react-native';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+
+// how many transactions are loaded at a time
+const PAGE_SIZE = 30;
+// how each reason for a transaction is shown, see FirestoreHandle.transactionsRef
+const REASON_LABELS = {
+    completeTask: "Completed",
+    reopenTask: "Reopened",
+    water: "Watered",
+    fertilize: "Fertilized",
+    streakBonus: "Bonus for a",
+    buyFreeze: "Bought a streak freeze",
+    achievement: "Achievement:",
+    newPlant: "Planted",
+};
+
+/**
+ * CoinsScreen Class
+ *  \brief lists every coin the user has earned and spent, newest first
+ *  \details opened from the HomeScreen, which passes in the user's email through the route params.
+ *           The transactions are loaded from Firebase a page at a time
+ */
+export default class CoinsScreen extends React.Component {
+    state = {
+        transactions: [],  // the firestore documents loaded so far
+        loading: true,
+        // true until a page comes back with fewer transactions than asked for
+        hasMore: true,
+        firestoreHandle: new FirestoreHandle(),
+    }
+
+    componentDidMount() {
+        this.loadMore();
+    }
+
+    /**
+     * \brief load the next page of transactions from Firebase
+     */
+    loadMore() {
+        let transactions = this.state.transactions;
+        let after = transactions.length > 0 ? transactions[transactions.length - 1] : null;
+        this.setState({loading: true});
+        this.state.firestoreHandle.getCoinTransactionsFirebase(this.props.route.params.userEmail, PAGE_SIZE, after)
+        .then(querySnapShot => {
+            this.setState({
+                transactions: transactions.concat(querySnapShot.docs),
+                hasMore: querySnapShot.docs.length == PAGE_SIZE,
+                loading: false,
+            });
+        }).catch(error => {
+            console.log(error);
+            this.setState({loading: false});
+        });
+    }
+
+    /**
+     * \brief one transaction: what it was for, when, and how many coins
+     */
+    renderTransaction(doc) {
+        let transaction = doc.data();
+        let label = REASON_LABELS[transaction.reason] || transaction.reason;
+        let subject = transaction.taskName || transaction.plantName || transaction.note || "";
+        // the server's timestamp is null until a transaction made on this phone has reached it
+        let date = transaction.timestamp ? transaction.timestamp.toDate().toLocaleString() : "Just now";
+        return (
+            <View key={doc.id} style={styles.transaction}>
+                <View style={styles.transactionInfo}>
+                    <Text style={styles.nameText} numberOfLines={1}>{label} {subject}</Text>
+                    <Text style={styles.dateText}>{date}</Text>
+                </View>
+                <Text style={{...styles.amountText, color: transaction.amount < 0 ? '#d9534f' : '#8ccd82'}}>
+                    {transaction.amount > 0 ? "+" : ""}{transaction.amount}
+                </Text>
+            </View>
+        );
+    }
+
+    render() {
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    {!this.state.loading && this.state.transactions.length == 0 ?
+                        <Text style={styles.emptyText}>You haven't earned or spent any coins yet.</Text> : null}
+                    {this.state.transactions.map(doc => this.renderTransaction(doc))}
+                    {this.state.loading ?
+                        <ActivityIndicator size="large" color="#8ccd82" />
+                    : this.state.hasMore && this.state.transactions.length > 0 ?
+                        <TouchableOpacity style={styles.button} onPress={() => this.loadMore()}>
+                            <Text style={styles.buttonText}>Show older</Text>
+                        </TouchableOpacity>
+                    : null}
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    transaction:{
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 5,
+        padding: 5,
+        borderBottomWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    transactionInfo:{
+        flex: 1,
+    },
+    nameText:{
+        color: '#000000',
+        fontSize: 18,
+    },
+    dateText:{
+        color: '#464e51',
+        fontSize: 15,
+    },
+    amountText:{
+        marginLeft: 10,
+        fontSize: 20,
+        fontWeight: 'bold',
+    },
+    emptyText:{
+        alignSelf: 'center',
+        marginTop: 20,
+        fontSize: 18,
+        color: '#8ccd82',
+    },
+    button: {
+        alignSelf: 'center',
+        marginVertical: 10,
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 5,
+    },
+    buttonText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
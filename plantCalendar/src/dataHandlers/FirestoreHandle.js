@@ -1,6 +1,9 @@
 import * as firebase from 'firebase';
 import 'firebase/firestore';
 import "./FirestoreSetup";
+import { addCareGrowth, addBonusGrowth } from '../garden/PlantGrowth';
+import { DEFAULT_SPECIES, getSpecies, stageThresholds } from '../garden/Species';
+import { pickCurrentPlant } from '../garden/Garden';
 
 /**
  * FirestoreHandle class
@@ -44,18 +47,84 @@ export default class FirestoreHandle {
             error => console.log(error)
         );
         // calls this function to initialize a plant for the new user with the default plantName
-        this.initFirebasePlantData(userEmail, plantName);
+        this.initFirebasePlantData(userEmail, plantName).catch(
+            error => console.log(error)
+        );
     }
 
     /**
-     * \brief update the user's money in firestore
+     * \brief save how the user wants their tasks sorted, filtered and grouped in firestore
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
-     * @param {*} money integer that keeps track of how money the user has
+     * @param {*} taskView JSON object describing the choice, see home/TaskQuery.js
      */
-    updateUserMoneyFirebase(userEmail, money) {
-        firebase.firestore().collection('users').doc(userEmail).set(
+    updateTaskViewFirebase(userEmail, taskView) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
             {
-                money: money,
+                taskView: taskView,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief save which of the user's Google calendars are shown next to their tasks in firestore
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} calendarIds array of the ids of the calendars to show
+     */
+    updateSelectedCalendarsFirebase(userEmail, calendarIds) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                selectedCalendars: calendarIds,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief get which calendars the user picked and the hours they work on tasks from firestore
+     * \details Returns a Promise that resolves to {selectedCalendars, workingHours}, either of them
+     *      undefined if the user hasn't picked them yet (see updateSelectedCalendarsFirebase and
+     *      updateWorkingHoursFirebase)
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    async getCalendarSettingsFirebase(userEmail) {
+        let user = await firebase.firestore().collection('users').doc(userEmail).get();
+        let userData = user.exists ? user.data() : {};
+        return {selectedCalendars: userData.selectedCalendars, workingHours: userData.workingHours};
+    }
+
+    /**
+     * \brief save the hours of the day the user works on tasks (used when planning their week) in firestore
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} workingHours {start, end}, hours of the day (0 to 24)
+     */
+    updateWorkingHoursFirebase(userEmail, workingHours) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                workingHours: workingHours,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief save how long the user's pomodoros and the breaks between them last in firestore
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} pomodoroSettings {workMinutes, breakMinutes}
+     */
+    updatePomodoroSettingsFirebase(userEmail, pomodoroSettings) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                pomodoroSettings: pomodoroSettings,
             },
             // merge: true will update the fields in the document of create it if it doesn't exist
             {merge: true}
@@ -70,17 +139,18 @@ export default class FirestoreHandle {
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} taskId task's unique id from google Task's data
      * @param {*} taskName task's name (storing it so it's easier to debug)
+     * @param {*} estTimeToComplete double, the estimate the task starts with (see TaskData.suggestEstimate)
      */
-    initFirebaseTaskData(userEmail, taskId, taskName) {
+    initFirebaseTaskData(userEmail, taskId, taskName, estTimeToComplete = 2) {
         const taskRef = firebase.firestore().collection('users').doc(userEmail).
             collection('tasks').doc(taskId);
         
-        taskRef.get().then(thisTask => {
+        return taskRef.get().then(thisTask => {
             // only initialize the task data with default values if it doesn't exist
             if (!thisTask.exists) {
                 let dueDate = new Date();
-                this.updateFirebaseTaskData(userEmail, taskId, taskName, 
-                    'medium', 2, 0, false, dueDate);
+                return this.updateFirebaseTaskData(userEmail, taskId, taskName, 
+                    'medium', estTimeToComplete, 0, false, dueDate);
             }
         });
     }
@@ -88,6 +158,7 @@ export default class FirestoreHandle {
     /**
      * \brief Update a given task specified by its task id in firestore
      * 
+     * \details errors are passed on, so that TaskData sends the change again later
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
      * @param {*} taskName task's name (storing it so it's easier to debug)
@@ -105,7 +176,7 @@ export default class FirestoreHandle {
         // Z indicates that it's in UTC time
         let dueTime = dueDate.toISOString().substring(10);
         
-        taskRef.set(
+        return taskRef.set(
             {
                 name: taskName,
                 priority: priority,
@@ -116,49 +187,188 @@ export default class FirestoreHandle {
             },
             // merge: true will update the fields in the document of create it if it doesn't exist
             {merge: true}
-        ).catch(
-            error => console.log(error)
         );
     }
 
     /**
      * \brief update the timeSpent for a given task specified by its task id in firestore
+     * \details timeSpent is the total of the task's sessions, see setSessionFirebase.
+     *      Errors are passed on, so that TaskData sends the change again later
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} timeSpent double, how long the user has spent on this task
      */
     updateTimeSpentInFirebase(userEmail, taskId, timeSpent) {
         const taskRef = this.taskRef(userEmail, taskId);
-        taskRef.set(
+        return taskRef.set(
             {
                 timeSpent: timeSpent,
             },
             // merge: true will update the fields in the document of create it if it doesn't exist
             {merge: true}
-        ).catch(
-            error => console.log(error)
         );
     }
 
     /**
-     * \brief complete a given task specified by its task id in firestore
-     * 
+     * \brief update how long the user estimates a task will take in firestore
+     * \details errors are passed on, so that TaskData sends the change again later
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
-     * @param {*} completed boolean, whether this task has been completed
+     * @param {*} estTimeToComplete double, the estimate in hours
      */
-    setTaskCompleteInFirebase(userEmail, taskId, completed) {
+    updateEstimateInFirebase(userEmail, taskId, estTimeToComplete) {
         const taskRef = this.taskRef(userEmail, taskId);
-        taskRef.set(
+        return taskRef.set(
             {
-                completed: completed,
+                estTimeToComplete: estTimeToComplete,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        );
+    }
+
+    /**
+     * \brief save a session of time spent on a task in firestore, in the task's sessions subcollection
+     * \details errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     * @param {*} sessionId the session's unique id (among the task's sessions)
+     * @param {*} start Date object, when the user started working on the task
+     * @param {*} end Date object, when the user stopped
+     */
+    setSessionFirebase(userEmail, taskId, sessionId, start, end) {
+        const sessionRef = this.taskRef(userEmail, taskId).collection('sessions').doc(sessionId);
+        return sessionRef.set(
+            {
+                start: start,
+                end: end,
+            }
+        );
+    }
+
+    /**
+     * \brief delete a session of time spent on a task from firestore
+     * \details errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     * @param {*} sessionId the session's unique id (among the task's sessions)
+     */
+    deleteSessionFirebase(userEmail, taskId, sessionId) {
+        const sessionRef = this.taskRef(userEmail, taskId).collection('sessions').doc(sessionId);
+        return sessionRef.delete();
+    }
+
+    /**
+     * \brief update how many pomodoros the user has finished on a given task in firestore
+     * \details errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     * @param {*} pomodoros integer, how many pomodoros (see focus/FocusScreen.js) have been finished on the task
+     */
+    updatePomodorosInFirebase(userEmail, taskId, pomodoros) {
+        const taskRef = this.taskRef(userEmail, taskId);
+        return taskRef.set(
+            {
+                pomodoros: pomodoros,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        );
+    }
+
+    /**
+     * \brief update how a given task specified by its task id repeats in firestore
+     * \details errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     * @param {*} recurrence JSON object describing the rule (see home/Recurrence.js), null if the task doesn't repeat
+     */
+    updateRecurrenceInFirebase(userEmail, taskId, recurrence) {
+        const taskRef = this.taskRef(userEmail, taskId);
+        return taskRef.set(
+            {
+                recurrence: recurrence,
             },
             // merge: true will update the fields in the document of create it if it doesn't exist
             {merge: true}
-        ).catch(
-            error => console.log(error)
         );
     }
 
+    /**
+     * \brief complete a given task specified by its task id in firestore, and pay the user its reward
+     * \details runs as a transaction: if the task is already completed in firestore (eg. the change was
+     *      sent twice, or from another phone) nothing is paid, so a task only ever pays once.
+     *      The coins are stored with the task so that they can be taken back if it is reopened,
+     *      and recorded in the user's transactions (see addCoinTransaction).
+     *      The achievement stats are only added the first time the task is completed (countedForAchievements
+     *      is set then and never cleared), so reopening and completing a task again doesn't count it twice.
+     *      Errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     * @param {*} coinsEarned integer, how many coins the user gets for completing it (see home/Rewards.js)
+     * @param {*} completedAt RFC3339 timestamp, when the user completed it (used for their streak)
+     * @param {*} achievementStats {stat: amount to add} the completion counts for, see home/Achievements.js
+     */
+    payTaskRewardFirebase(userEmail, taskId, coinsEarned, completedAt, achievementStats = {}) {
+        const taskRef = this.taskRef(userEmail, taskId);
+        return firebase.firestore().runTransaction(async transaction => {
+            let thisTask = await transaction.get(taskRef);
+            if (thisTask.exists && thisTask.data().completed) {
+                return;
+            }
+            let counted = thisTask.exists && thisTask.data().countedForAchievements;
+            transaction.set(taskRef, {completed: true, coinsEarned: coinsEarned, completedAt: completedAt,
+                countedForAchievements: true}, {merge: true});
+            if (!counted && Object.keys(achievementStats).length > 0) {
+                transaction.set(firebase.firestore().collection('users').doc(userEmail),
+                    {achievementStats: this.achievementStatIncrements(achievementStats)}, {merge: true});
+            }
+            this.addCoinTransaction(transaction, userEmail, {
+                reason: 'completeTask',
+                amount: coinsEarned,
+                taskId: taskId,
+                taskName: (thisTask.exists && thisTask.data().name) || null,
+            });
+        });
+    }
+
+    /**
+     * \brief mark a completed task as not completed in firestore, and take back the coins it paid
+     * \details runs as a transaction, taking back the coins stored with the task (see payTaskRewardFirebase);
+     *      nothing is taken back if the task isn't completed in firestore.
+     *      Errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     */
+    takeBackTaskRewardFirebase(userEmail, taskId) {
+        const taskRef = this.taskRef(userEmail, taskId);
+        return firebase.firestore().runTransaction(async transaction => {
+            let thisTask = await transaction.get(taskRef);
+            if (!thisTask.exists || !thisTask.data().completed) {
+                return;
+            }
+            let coinsEarned = thisTask.data().coinsEarned || 0;
+            transaction.set(taskRef, {completed: false, coinsEarned: 0}, {merge: true});
+            this.addCoinTransaction(transaction, userEmail, {
+                reason: 'reopenTask',
+                amount: -coinsEarned,
+                taskId: taskId,
+                taskName: thisTask.data().name || null,
+            });
+        });
+    }
+
+    /**
+     * \brief delete a given task specified by its task id from firestore
+     * 
+     * \details errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} taskId task's unique id from google Task's data, used to identify task in firestore
+     */
+    deleteTaskInFirebase(userEmail, taskId) {
+        const taskRef = this.taskRef(userEmail, taskId);
+        return taskRef.delete();
+    }
+
     /**
      * A helper function that defined taskRef in firestore, called in all functions
      * that are task related in FirestoreHandle.js
@@ -171,6 +381,314 @@ export default class FirestoreHandle {
         return taskRef;
     }
     
+// --------------------------Time Block Related Functions --------------------------
+    /**
+     * \brief save a block of time planned for a task, stored under the id of its Google Calendar event
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} eventId the id of the block's event in Google Calendar
+     * @param {*} calendarId the id of the calendar the event is in
+     * @param {*} taskId task's unique id from google Task's data, the task the block is for
+     * @param {*} start Date object, when the block starts
+     * @param {*} end Date object, when the block ends
+     */
+    setTimeBlockFirebase(userEmail, eventId, calendarId, taskId, start, end) {
+        return this.timeBlockRef(userEmail, eventId).set(
+            {
+                calendarId: calendarId,
+                taskId: taskId,
+                start: start,
+                end: end,
+            }
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief get every block of time planned for the user's tasks from firestore
+     * \details Returns a Promise that resolves to an array of {eventId, calendarId, taskId, start, end},
+     *      start and end as Date objects
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    async getTimeBlocksFirebase(userEmail) {
+        let blocks = await firebase.firestore().collection('users').doc(userEmail).collection('timeBlocks').get();
+        return blocks.docs.map(block => ({
+            eventId: block.id,
+            calendarId: block.data().calendarId,
+            taskId: block.data().taskId,
+            start: block.data().start.toDate(),
+            end: block.data().end.toDate(),
+        }));
+    }
+
+    /**
+     * \brief delete a planned block of time, once its Google Calendar event has been deleted
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} eventId the id of the block's event in Google Calendar
+     */
+    deleteTimeBlockFirebase(userEmail, eventId) {
+        return this.timeBlockRef(userEmail, eventId).delete().catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * A helper function that defined timeBlockRef in firestore, called in all functions
+     * that are time block related in FirestoreHandle.js
+     * @param {*} userEmail 
+     * @param {*} eventId 
+     */
+    timeBlockRef(userEmail, eventId) {
+        return firebase.firestore().collection('users').doc(userEmail).
+        collection('timeBlocks').doc(eventId);
+    }
+
+// --------------------------Coin Transaction Related Functions --------------------------
+    /**
+     * A helper function that defines the user's transactions collection in firestore
+     * \details the collection is append-only: every change to the user's money adds one document
+     *      {
+     *          reason      string, why the money changed: 'completeTask', 'reopenTask', 'water', 'fertilize',
+     *                      'streakBonus', 'buyFreeze', 'achievement' or 'newPlant'
+     *          amount      integer, coins earned (positive) or spent (negative)
+     *          taskId      the task's id, for changes about a task (null otherwise)
+     *          taskName    the task's name when it changed
+     *          plantName   the plant's name, for changes about a plant (null otherwise)
+     *          note        string, more about the change (eg. "7 day streak"), null if there is nothing more
+     *          timestamp   when it changed, set by the firestore server
+     *      }
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    transactionsRef(userEmail) {
+        return firebase.firestore().collection('users').doc(userEmail).collection('transactions');
+    }
+
+    /**
+     * \brief record a change to the user's money in their transactions, and change their money by its amount
+     * \details both are written with the firestore transaction (or batch) passed in, so they happen together;
+     *      the money is changed with increment, on top of whatever is stored on the server
+     * @param {*} writer the firestore transaction or batch to write with
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} entry {reason, amount} and taskId, taskName or plantName when they apply, see transactionsRef
+     */
+    addCoinTransaction(writer, userEmail, entry) {
+        writer.set(this.transactionsRef(userEmail).doc(), {
+            taskId: null,
+            taskName: null,
+            plantName: null,
+            note: null,
+            ...entry,
+            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        });
+        writer.set(firebase.firestore().collection('users').doc(userEmail),
+            {
+                money: firebase.firestore.FieldValue.increment(entry.amount),
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        );
+    }
+
+    /**
+     * \brief get a page of the user's transactions from firestore, newest first
+     * \details returns a Promise that resolves to a firestore QuerySnapshot
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} count how many transactions to get
+     * @param {*} after the last document of the previous page, null for the first page
+     */
+    getCoinTransactionsFirebase(userEmail, count, after = null) {
+        let query = this.transactionsRef(userEmail).orderBy('timestamp', 'desc');
+        if (after != null) {
+            query = query.startAfter(after);
+        }
+        return query.limit(count).get();
+    }
+
+// --------------------------Streak Related Functions --------------------------
+    /**
+     * \brief save the user's daily goal in firestore
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} dailyGoal {type, amount}, see home/Streaks.js
+     */
+    updateDailyGoalFirebase(userEmail, dailyGoal) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                dailyGoal: dailyGoal,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief get the tasks the user has completed since a given time from firestore
+     * \details returns a Promise that resolves to a firestore QuerySnapshot; tasks that have been
+     *      reopened since keep their completedAt, so check completed too
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} since RFC3339 timestamp
+     */
+    getCompletionsFirebase(userEmail, since) {
+        return firebase.firestore().collection('users').doc(userEmail).collection('tasks').
+            where("completedAt", ">=", since).get();
+    }
+
+    /**
+     * \brief use the user's streak freezes to cover missed days, as a transaction
+     * \details returns a Promise that resolves to true if the days were frozen, false if the
+     *      user doesn't have enough freezes (or they couldn't be used, eg. no network)
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} days array of the days to freeze, as "YYYY-MM-DD" (see home/Streaks.js)
+     */
+    useStreakFreezesFirebase(userEmail, days) {
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let user = await transaction.get(userRef);
+            if (!user.exists || (user.data().streakFreezes || 0) < days.length) {
+                return false;
+            }
+            transaction.set(userRef,
+                {
+                    streakFreezes: firebase.firestore.FieldValue.increment(-days.length),
+                    frozenDays: firebase.firestore.FieldValue.arrayUnion(...days),
+                },
+                {merge: true}
+            );
+            return true;
+        }).catch(error => {
+            console.log(error);
+            return false;
+        });
+    }
+
+    /**
+     * \brief buy a streak freeze with the user's coins, as a transaction
+     * \details returns a Promise that resolves to true if it was bought, false if the user doesn't
+     *      have enough coins or already has as many freezes as they can hold
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} cost integer, how many coins a freeze costs
+     * @param {*} maxFreezes how many freezes the user can hold
+     */
+    buyStreakFreezeFirebase(userEmail, cost, maxFreezes) {
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let user = await transaction.get(userRef);
+            if (!user.exists || (user.data().money || 0) < cost || (user.data().streakFreezes || 0) >= maxFreezes) {
+                return false;
+            }
+            this.addCoinTransaction(transaction, userEmail, {reason: 'buyFreeze', amount: -cost});
+            transaction.set(userRef, {streakFreezes: firebase.firestore.FieldValue.increment(1)}, {merge: true});
+            return true;
+        }).catch(error => {
+            console.log(error);
+            return false;
+        });
+    }
+
+    /**
+     * \brief pay the bonus coins for reaching a streak milestone, as a transaction
+     * \details each milestone of each streak only pays once, even from two phones: the keys of the
+     *      ones paid are kept in the user's paidStreakMilestones.
+     *      Returns a Promise that resolves to true if the bonus was paid
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} key string that identifies the milestone of the streak, see home/StreakData.js
+     * @param {*} days the milestone's number of days
+     * @param {*} coins integer, the bonus
+     */
+    payStreakMilestoneFirebase(userEmail, key, days, coins) {
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let user = await transaction.get(userRef);
+            if (user.exists && (user.data().paidStreakMilestones || []).indexOf(key) != -1) {
+                return false;
+            }
+            this.addCoinTransaction(transaction, userEmail,
+                {reason: 'streakBonus', amount: coins, note: days + " day streak"});
+            transaction.set(userRef, {paidStreakMilestones: firebase.firestore.FieldValue.arrayUnion(key)},
+                {merge: true});
+            return true;
+        }).catch(error => {
+            console.log(error);
+            return false;
+        });
+    }
+
+// --------------------------Achievement Related Functions --------------------------
+    /**
+     * A helper function that defines the user's achievements collection in firestore
+     * \details it has one document for every achievement the user has unlocked, named by its id
+     *      (see home/Achievements.js): {title, coins, unlockedAt}
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    achievementsRef(userEmail) {
+        return firebase.firestore().collection('users').doc(userEmail).collection('achievements');
+    }
+
+    /**
+     * \brief add to the stats the user's achievements are counted from (see home/Achievements.js)
+     * \details uses increment, so changes made on two phones (or offline) all count
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} changes {stat: amount to add}
+     */
+    addAchievementStatsFirebase(userEmail, changes) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                achievementStats: this.achievementStatIncrements(changes),
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * A helper function that turns changes to the achievement stats into increments to write to firestore
+     * @param {*} changes {stat: amount to add}
+     */
+    achievementStatIncrements(changes) {
+        let increments = {};
+        Object.keys(changes).forEach(stat => {
+            increments[stat] = firebase.firestore.FieldValue.increment(changes[stat]);
+        });
+        return increments;
+    }
+
+    /**
+     * \brief unlock an achievement, paying its coins and unlocking its cosmetic, as a transaction
+     * \details nothing happens if it's already unlocked (eg. from another phone).
+     *      Returns a Promise that resolves to true if it was unlocked now
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} achievement the achievement's object, see home/Achievements.js
+     */
+    unlockAchievementFirebase(userEmail, achievement) {
+        const achievementRef = this.achievementsRef(userEmail).doc(achievement.id);
+        return firebase.firestore().runTransaction(async transaction => {
+            let thisAchievement = await transaction.get(achievementRef);
+            if (thisAchievement.exists) {
+                return false;
+            }
+            transaction.set(achievementRef, {
+                title: achievement.title,
+                coins: achievement.coins || 0,
+                unlockedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            });
+            if (achievement.coins) {
+                this.addCoinTransaction(transaction, userEmail,
+                    {reason: 'achievement', amount: achievement.coins, note: achievement.title});
+            }
+            if (achievement.cosmetic) {
+                transaction.set(firebase.firestore().collection('users').doc(userEmail),
+                    {cosmetics: firebase.firestore.FieldValue.arrayUnion(achievement.cosmetic)}, {merge: true});
+            }
+            return true;
+        }).catch(error => {
+            console.log(error);
+            return false;
+        });
+    }
+
 // --------------------------Plant Related Functions --------------------------
     /**
      * A helper function that defined plantRef in firestore, called in all functions
@@ -192,49 +710,237 @@ export default class FirestoreHandle {
      *      After that, every time this function is called again, a new plant will be
      *      added to the same 'plants' collection.
      *      It default initialzes the growth point to 0, stage to 0, and fullyGrown to false
+     *      The plant is free, see plantFirebase; nothing is created if a plant with that name exists.
+     *      Returns a Promise that resolves to plantFirebase's result
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} plantName plant's name
+     * @param {*} species the id of the plant's species, see garden/Species.js
+     */
+    initFirebasePlantData(userEmail, plantName, species = DEFAULT_SPECIES) {
+        return this.plantFirebase(userEmail, plantName, species, 0);
+    }
+
+    /**
+     * \brief create a plant, paying for its species, as a transaction
+     * \details the plant is only created (and paid for) if no plant has its name yet (the name is the
+     *      id of its document, eg. a plant with that name may have just been planted on another phone)
+     *      and the money on the server covers the cost, so the user is never charged without getting
+     *      the plant, and two fast taps can't pay twice.
+     *      Returns a Promise that resolves to 'planted', 'nameTaken' or 'notEnoughCoins'; errors
+     *      (eg. no network) are passed on
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} plantName plant's name, see garden/Garden.js for how plant names are kept unique
+     * @param {*} species the id of the plant's species, see garden/Species.js
+     * @param {*} cost integer, how many coins the species costs (see garden/Species.js), 0 if it is free
+     */
+    plantFirebase(userEmail, plantName, species, cost) {
+        const plantRef = this.plantRef(userEmail, plantName);
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let thisPlant = await transaction.get(plantRef);
+            if (thisPlant.exists) {
+                return 'nameTaken';
+            }
+            if (cost > 0) {
+                let user = await transaction.get(userRef);
+                if (!user.exists || (user.data().money || 0) < cost) {
+                    return 'notEnoughCoins';
+                }
+                this.addCoinTransaction(transaction, userEmail, {reason: 'newPlant', amount: -cost, plantName: plantName});
+            }
+            transaction.set(plantRef, {
+                name: plantName,
+                species: species,
+                growthPoint: 0,
+                stage: 0,
+                fullyGrown: false,
+                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+            });
+            return 'planted';
+        });
+    }
+
+    /**
+     * \brief get all of the user's plants, growing and fully grown
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    getPlantsFirebase(userEmail) {
+        return firebase.firestore().collection('users').doc(userEmail).collection('plants').get();
+    }
+
+    /**
+     * \brief get the plant the user is tending, see garden/Garden.js
+     * \details Returns a Promise that resolves to the plant's document, null if no plant is growing
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     */
+    async getCurrentPlantFirebase(userEmail) {
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        const user = await userRef.get();
+        const plants = await userRef.collection('plants').where("fullyGrown", "==", false).get();
+        const current = pickCurrentPlant(plants.docs.map(doc => doc.data()),
+            user.exists ? user.data().currentPlant : undefined);
+        return current != null ? plants.docs.find(doc => doc.data().name == current.name) : null;
+    }
+
+    /**
+     * \brief save which plant the user is tending, see garden/Garden.js
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} plantName plant's name
      */
+    setCurrentPlantFirebase(userEmail, plantName) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                currentPlant: plantName,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
     
-    initFirebasePlantData(userEmail, plantName) {
-        const plantRef = this.plantRef(userEmail, plantName)
-        plantRef.get().then(thisPlant => {
-            // only initialize the task data with default values if it doesn't exist
-            if (!thisPlant.exists) {
-                // this.updateFirebasePlantData(userEmail, plantName);
-                plantRef.set(
-                    {
-                        name: plantName,
-                        growthPoint: 0,
-                        stage: 0,
-                        fullyGrown: false,
-                    },
-                    // merge: true will update the fields in the document of create it if it doesn't exist
-                    {merge: true}
-                ).catch(
-                    error => console.log(error)
-                );
-                console.log("A plant is initialized")
+    /**
+     * \brief add a bonus of growth points to the plant the user is tending (see getCurrentPlantFirebase)
+     * \details see garden/PlantGrowth.js for how the bonus can move the plant to its next stage.
+     *      Runs as a transaction, so it doesn't overwrite (or get overwritten by) the plant being watered or
+     *      wilting at the same time. Every bonus has an id, saved in the user's growthBonuses collection once
+     *      it's added, so a bonus sent again (eg. by TaskData's queue after a failure) is only added once.
+     *      Errors are passed on, so that TaskData sends the change again later
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} points how many growth points to add
+     * @param {*} bonusId unique id of the bonus (eg. the pomodoro's task and start time), null to not check
+     */
+    async addPlantGrowthBonus(userEmail, points, bonusId = null) {
+        const currentPlant = await this.getCurrentPlantFirebase(userEmail);
+        if (currentPlant == null) {
+            return;
+        }
+        const bonusRef = bonusId != null ?
+            firebase.firestore().collection('users').doc(userEmail).collection('growthBonuses').doc(bonusId) : null;
+        await firebase.firestore().runTransaction(async transaction => {
+            let thisPlant = await transaction.get(currentPlant.ref);
+            let bonus = bonusRef != null ? await transaction.get(bonusRef) : null;
+            if (!thisPlant.exists || (bonus != null && bonus.exists)) {
+                return;
+            }
+            const plant = thisPlant.data();
+            const growth = addBonusGrowth(plant.growthPoint, plant.stage, points,
+                stageThresholds(getSpecies(plant.species)));
+            transaction.update(currentPlant.ref, {growthPoint: growth.growthPoint, stage: growth.stage});
+            if (bonusRef != null) {
+                transaction.set(bonusRef, {
+                    points: points,
+                    plantName: plant.name,
+                    timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+                });
             }
         });
     }
 
     /**
-     * \brief update the growthPoint for a plant specified by its name
+     * \brief water or fertilize a plant: spend the user's coins and add the growth points to the plant,
+     *        as one transaction
+     * \details the money on the server and the plant are both read inside the transaction, so the coins
+     *      are only spent if the plant grows (and the other way round), can't be spent twice (eg. by
+     *      two fast taps, or from two phones), and a pomodoro bonus or wilting from another phone at the
+     *      same time isn't overwritten; see garden/PlantGrowth.addCareGrowth for how the plant moves on.
+     *      A plant that becomes fully grown also gets the time it finished (grownAt).
+     *      Returns a Promise that resolves to {result: 'cared'} with the plant's new {growthPoint, stage,
+     *      fullyGrown} and the stage it was at before (oldStage), or to {result: 'notEnoughCoins'} or
+     *      {result: 'noPlant'}; errors (eg. no network) are passed on, and nothing is spent then
      * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
      * @param {*} plantName name of plant
-     * @param {*} growthPoint an integer that keeps track of the plant's progress
-     * @param {*} fullyGrown a boolean that indicates whether the plant is fully grown
-     * @param {*} stage an integer that indicates the new stage of a plant
-     * 
+     * @param {*} points how many growth points to add
+     * @param {*} cost integer, how many coins to spend
+     * @param {*} reason string, what they are spent on ('water' or 'fertilize'), see transactionsRef
+     */
+    carePlantFirebase(userEmail, plantName, points, cost, reason) {
+        const plantRef = this.plantRef(userEmail, plantName);
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let thisPlant = await transaction.get(plantRef);
+            if (!thisPlant.exists) {
+                return {result: 'noPlant'};
+            }
+            let user = await transaction.get(userRef);
+            if (!user.exists || (user.data().money || 0) < cost) {
+                return {result: 'notEnoughCoins'};
+            }
+            const plant = thisPlant.data();
+            const growth = addCareGrowth(plant.growthPoint, plant.stage, points,
+                stageThresholds(getSpecies(plant.species)));
+            this.addCoinTransaction(transaction, userEmail, {reason: reason, amount: -cost, plantName: plantName});
+            transaction.update(plantRef, {
+                ...growth,
+                ...(growth.fullyGrown ? {grownAt: firebase.firestore.FieldValue.serverTimestamp()} : {}),
+            });
+            return {result: 'cared', ...growth, oldStage: plant.stage};
+        });
+    }
+    
+    /**
+     * \brief take the growth points overdue tasks cost from the plant the user is tending, as a transaction
+     * \details see garden/Wilting.js; the plant never goes below 0 growth points or back a stage.
+     *      The user's document keeps when the loss was last worked out (lastWiltCheck) and the part of a
+     *      growth point left over then (wiltRemainder); nothing happens if lastWiltCheck has changed since
+     *      lastCheck (eg. another phone has just done it).
+     *      Returns a Promise that resolves to how many growth points the plant lost
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} lastCheck lastWiltCheck the loss was worked out from, as an ISO string
+     * @param {*} checkedAt when the loss was worked out, as an ISO string
+     * @param {*} loss how many growth points to take, a whole number
+     * @param {*} remainder the part of a growth point left over, counted in the next loss
+     */
+    async wiltPlantFirebase(userEmail, lastCheck, checkedAt, loss, remainder) {
+        const userRef = firebase.firestore().collection('users').doc(userEmail);
+        const currentPlant = await this.getCurrentPlantFirebase(userEmail);
+        return firebase.firestore().runTransaction(async transaction => {
+            let user = await transaction.get(userRef);
+            let plant = currentPlant != null ? await transaction.get(currentPlant.ref) : null;
+            if (!user.exists || user.data().lastWiltCheck != lastCheck) {
+                return 0;
+            }
+            transaction.update(userRef, {lastWiltCheck: checkedAt, wiltRemainder: remainder});
+            let lost = plant != null ? Math.max(Math.min(loss, plant.data().growthPoint), 0) : 0;
+            if (lost > 0) {
+                transaction.update(plant.ref, {growthPoint: plant.data().growthPoint - lost});
+            }
+            return lost;
+        }).catch(error => {
+            console.log(error);
+            return 0;
+        });
+    }
+
+    /**
+     * \brief save when the growth points overdue tasks cost were last worked out, see wiltPlantFirebase
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} checkedAt as an ISO string
+     */
+    updateWiltCheckFirebase(userEmail, checkedAt) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
+            {
+                lastWiltCheck: checkedAt,
+            },
+            // merge: true will update the fields in the document of create it if it doesn't exist
+            {merge: true}
+        ).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \brief turn vacation mode on or off; while it's on, overdue tasks don't hurt the plant
+     * \details the time from now on is only counted once it's turned off, see wiltPlantFirebase
+     * @param {*} userEmail gmail, used as unique id to identify user's data in firestore
+     * @param {*} vacation true to turn it on
+     * @param {*} checkedAt now, as an ISO string
      */
-    updatePlant(userEmail, plantName, growthPoint, fullyGrown, stage) {
-        plantRef = this.plantRef(userEmail, plantName);
-        plantRef.set(
+    setVacationFirebase(userEmail, vacation, checkedAt) {
+        return firebase.firestore().collection('users').doc(userEmail).set(
             {
-                growthPoint: growthPoint,
-                fullyGrown: fullyGrown,
-                stage: stage,
+                vacation: vacation,
+                lastWiltCheck: checkedAt,
             },
             // merge: true will update the fields in the document of create it if it doesn't exist
             {merge: true}
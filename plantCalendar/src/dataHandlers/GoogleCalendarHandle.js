@@ -0,0 +1,97 @@
+import GoogleHandle from './GoogleHandle';
+
+// where the Google Calendar API lives; see the class comment for using a local stub instead
+const CALENDAR_API_URL = 'https://www.googleapis.com/calendar/v3';
+
+/**
+ * GoogleCalendarHandle class
+ *
+ * \brief Provide helper functions to read the user's Google Calendar, and to add, move and
+ *      delete the events the app plans in it (see home/Scheduler.js)
+ * \details
+ *      the calendar and calendar.events scopes are requested by LogInScreen, so the
+ *      access token used for Google Tasks works here too. Requests are sent with
+ *      GoogleHandle.sendRequest, so failures throw the same way (see GoogleHandle).
+ *      To run the app against the local stub of the Calendar API (stubs/calendarApi.js, started with
+ *      npm run calendar-stub), pass its url in, or set it as extra.calendarApiUrl in app.json:
+ *          new GoogleCalendarHandle('http://localhost:3000/calendar/v3')
+ *      the stub answers the endpoints used below with the same JSON as Google.
+ */
+export default class GoogleCalendarHandle {
+    /**
+     * @param {*} baseUrl the url of the Calendar API, defaults to Google's
+     */
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl || CALENDAR_API_URL;
+        this.googleHandle = new GoogleHandle();
+    }
+
+    /**
+     * \brief gets every calendar in the user's calendar list
+     * \detail
+     *      each calendar has an id, a summary (its name), a backgroundColor, and
+     *      selected, which is true if the user shows it on the Google Calendar website
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    getCalendarList = async(accessToken) => {
+        return await this.googleHandle.getAllPages(this.baseUrl + '/users/me/calendarList', accessToken);
+    }
+
+    /**
+     * \brief gets the events of one calendar that happen between two times
+     * \detail
+     *      repeating events are expanded into one event per occurrence, in order of start time.
+     *      Timed events have start.dateTime and end.dateTime; all day events have start.date and end.date
+     * @param {*} calendarId a string, the id of the calendar (from getCalendarList)
+     * @param {*} timeMin Date object, events that end before this are left out
+     * @param {*} timeMax Date object, events that start after this are left out
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    getCalendarEvents = async(calendarId, timeMin, timeMax, accessToken) => {
+        let url = this.baseUrl + '/calendars/' + encodeURIComponent(calendarId) + '/events' +
+            '?singleEvents=true&orderBy=startTime' +
+            '&timeMin=' + encodeURIComponent(timeMin.toISOString()) +
+            '&timeMax=' + encodeURIComponent(timeMax.toISOString());
+        return await this.googleHandle.getAllPages(url, accessToken);
+    }
+
+    /**
+     * \brief adds an event to a calendar and returns it (with the id Google gave it)
+     * @param {*} calendarId a string, the id of the calendar, 'primary' for the user's main calendar
+     * @param {*} event JSON object in Google's event format, eg. {summary, start: {dateTime}, end: {dateTime}}
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    createEvent = async(calendarId, event, accessToken) => {
+        let url = this.baseUrl + '/calendars/' + encodeURIComponent(calendarId) + '/events';
+        return await this.googleHandle.sendRequest(url, accessToken, {
+            method: 'POST',
+            body: JSON.stringify(event),
+        });
+    }
+
+    /**
+     * \brief changes the given fields of an event and returns the updated event
+     * @param {*} calendarId a string, the id of the calendar the event is in
+     * @param {*} eventId a string, the id of the event
+     * @param {*} changes JSON object with only the fields to change, eg. {start, end}
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    updateEvent = async(calendarId, eventId, changes, accessToken) => {
+        let url = this.baseUrl + '/calendars/' + encodeURIComponent(calendarId) + '/events/' + encodeURIComponent(eventId);
+        return await this.googleHandle.sendRequest(url, accessToken, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+        });
+    }
+
+    /**
+     * \brief deletes an event
+     * @param {*} calendarId a string, the id of the calendar the event is in
+     * @param {*} eventId a string, the id of the event
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    deleteEvent = async(calendarId, eventId, accessToken) => {
+        let url = this.baseUrl + '/calendars/' + encodeURIComponent(calendarId) + '/events/' + encodeURIComponent(eventId);
+        return await this.googleHandle.sendRequest(url, accessToken, {method: 'DELETE'});
+    }
+}
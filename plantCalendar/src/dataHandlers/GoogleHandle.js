@@ -1,37 +1,133 @@
 export default class GoogleHandle{
 
+    /**
+     * \brief sends a request to a Google API (Tasks, or Calendar through GoogleCalendarHandle) and returns the parsed response
+     * \detail
+     *      throws if the phone is offline or Google answers with an error, so callers
+     *      (eg. the mutation queue in TaskData) know the change did not go through
+     * @param {*} url the full url of the request
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     * @param {*} options extra fetch options (method, body)
+     */
+    sendRequest = async(url, accessToken, options = {}) => {
+        let response = await fetch(url, {
+            ...options,
+            headers: { Authorization: `Bearer ${accessToken}`, 'Content-type': 'application/json', "Accept": 'application/json'},
+        });
+
+        if (!response.ok) {
+            let error = new Error("Google request failed with status " + response.status);
+            error.status = response.status;
+            throw error;
+        }
+
+        // DELETE requests (and a few others) answer with an empty body
+        let text = await response.text();
+        return text ? JSON.parse(text) : {};
+    }
+
+    /**
+     * \brief requests every page of a Google Tasks list endpoint and returns all the items
+     * \detail
+     *      Google returns at most 100 items per request, plus a nextPageToken
+     *      if there are more; keep asking until there is no nextPageToken
+     * @param {*} url the url of the endpoint, may already contain query parameters
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    getAllPages = async(url, accessToken) => {
+        let items = [];
+        let pageToken = null;
+        let separator = url.includes('?') ? '&' : '?';
+
+        do {
+            let pageUrl = url + separator + 'maxResults=100';
+            if (pageToken) {
+                pageUrl += '&pageToken=' + encodeURIComponent(pageToken);
+            }
+            let pageJson = await this.sendRequest(pageUrl, accessToken);
+            // a page with no items has no items field at all
+            items = items.concat(pageJson.items || []);
+            pageToken = pageJson.nextPageToken;
+        } while (pageToken);
+
+        return items;
+    }
+
+    /**
+     * \brief gets all of the user's task lists
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    getGoogleTaskLists = async(accessToken) => {
+        return this.getAllPages('https://www.googleapis.com/tasks/v1/users/@me/lists', accessToken);
+    }
+
+    /**
+     * \brief gets all the tasks in a task list
+     * \detail
+     *      if updatedMin is given, only tasks changed since then are returned, including
+     *      deleted and hidden (completed and cleared) ones, so the caller can remove them
+     * @param {*} taskListId a string that represent the id of the task list
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     * @param {*} updatedMin optional RFC 3339 timestamp, the time of the last sync
+     */
+    getGoogleTasks = async(taskListId, accessToken, updatedMin) => {
+        let url = 'https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks';
+        if (updatedMin) {
+            url += '?updatedMin=' + encodeURIComponent(updatedMin) + '&showDeleted=true&showHidden=true';
+        }
+        return this.getAllPages(url, accessToken);
+    }
+
+    /**
+     * \brief gets all the completed tasks in a task list
+     * \detail
+     *      includes hidden tasks (completed tasks the user has cleared in Google Tasks)
+     * @param {*} taskListId a string that represent the id of the task list
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    getCompletedGoogleTasks = async(taskListId, accessToken) => {
+        let tasks = await this.getAllPages('https://www.googleapis.com/tasks/v1/lists/' + taskListId +
+            '/tasks?showCompleted=true&showHidden=true', accessToken);
+        return tasks.filter(task => task.status == 'completed' && !task.deleted);
+    }
+
     /**
      * \brief tells Google to mark a task in user's Google Tasks as completed
-     * \detail 
-     *      right now, can only mark tasks as complete
-     *      can easily be extended to be able to mark tasks as not complete
+     * \detail
+     *      see reopenGoogleTask to mark it as not completed again
      * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
      * @param {*} taskListId a string that represent the id of the task list (each task belongs to a task list)
-     *                       currently being passed in as undefined
-     *                       TODO: add support for multiple task lists
      * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
-     * 
+     *
      */
     completeGoogleTask = async(taskId, taskListId, accessToken) => {
-
-        let taskLists = await fetch('https://www.googleapis.com/tasks/v1/users/@me/lists', {
-            headers: { Authorization: `Bearer ${accessToken}`},
-        }).catch(error => console.log("error message: " + error));
-
-        let taskListJson = await taskLists.json();
-
         // Google Tasks' completed field is the date that the task was completed
-        let completedTask = await fetch('https://www.googleapis.com/tasks/v1/lists/' + taskListJson.items[0].id + '/tasks/' + taskId, {
-            headers: { Authorization: `Bearer ${accessToken}`, 'Content-type': 'application/json'},
+        await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId, accessToken, {
             method: 'PATCH',
             body: JSON.stringify({
                 id: taskId,
-                completed: new Date().toISOString,
+                completed: new Date().toISOString(),
                 status: 'completed'
             })
-        }).catch((error) => {
-            console.error('Error:', error)
-        })
+        });
+    }
+
+    /**
+     * \brief tells Google to mark a completed task in user's Google Tasks as not completed
+     * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+     * @param {*} taskListId a string that represent the id of the task list (each task belongs to a task list)
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    reopenGoogleTask = async(taskId, taskListId, accessToken) => {
+        // clearing the completed date is what actually un-completes the task
+        await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId, accessToken, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                id: taskId,
+                completed: null,
+                status: 'needsAction'
+            })
+        });
     }
 
     /**
@@ -39,43 +135,27 @@ export default class GoogleHandle{
      * \detail
      *      called from the EditTaskScreen
      *      cannot be used to mark tasks as complete
+     *      cannot be used to move a task to another list, see moveGoogleTask
      * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
      * @param {*} taskListId a string that represent the id of the task list (each task belongs to a task list)
-     *                       currently being passed in as undefined
-     *                       TODO: add support for multiple task lists
      * @param {*} taskName a string, the name of the task
      * @param {*} dueDate  a Date object, the date that the task is due
+     * @param {*} notes a string, the task's notes (with the app's links at the end, see home/TaskNotes.js)
      * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
-     * 
+     *
      */
-    updateGoogleTask = async (taskId, taskListId, taskName, dueDate, accessToken) => {
-        // request the list of task lists
-        // a task list contains many tasks, think of "a task list" as a calendar
-        let taskLists = await fetch('https://www.googleapis.com/tasks/v1/users/@me/lists', {
-            headers: { Authorization: `Bearer ${accessToken}`},
-        }).catch(error => console.log("error message: " + error));
-        
-        // have to parse what we receive from the server into a json
-        let taskListJson = await taskLists.json();
-
-        // we assume that all tasks from the user is stored in task list 1
-        // TODO: add support for multiple task lists
-        
-        // send an HTTP PATCH request to the google API, which updates the specified task 
-        // TODO: make it possible to complete tasks, update the due date
-        let editedTask = await fetch('https://www.googleapis.com/tasks/v1/lists/' + taskListJson.items[0].id + '/tasks/' + taskId, {
-            headers: { Authorization: `Bearer ${accessToken}`, 'Content-type': 'application/json'},
+    updateGoogleTask = async (taskId, taskListId, taskName, dueDate, notes, accessToken) => {
+        // send an HTTP PATCH request to the google API, which updates the specified task
+        let editedTaskJson = await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId, accessToken, {
             method: 'PATCH',
             body: JSON.stringify({
                 title: taskName,
                 id: taskId,
-                due: dueDate.toISOString()
+                due: dueDate.toISOString(),
+                notes: notes
             })
-        }).catch((error) => {
-            console.error('Error:', error)
-        })
+        });
 
-        let editedTaskJson = await editedTask.json();
         return editedTaskJson.id;
     }
 
@@ -83,36 +163,103 @@ export default class GoogleHandle{
      * \brief creates a new task in user's Google Tasks
      * \detail
      *      called from the create task screen
+     * @param {*} taskListId a string, the id of the task list to put the task in
      * @param {*} taskName a string, the name of the task
      * @param {*} dueDate  a Date object, the date that the task is due
+     * @param {*} notes a string, the task's notes (with the app's links at the end, see home/TaskNotes.js)
      * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
      */
-    createGoogleTask = async(taskName, dueDate, accessToken) => {
-        // request the list of task lists
-        // a task list contains many tasks, think of "a task list" as a calendar
-        let taskLists = await fetch('https://www.googleapis.com/tasks/v1/users/@me/lists', {
-            headers: { Authorization: `Bearer ${accessToken}`},
-        }).catch(error => console.log("error message: " + error));
-       
-        // have to parse what we receive from the server into a json
-        let taskListJson = await taskLists.json();
-        
-        // we assume that all tasks from the user is stored in task list 1
-        // TODO: add support for multiple task lists
-
-        let newTask = await fetch('https://www.googleapis.com/tasks/v1/lists/' + taskListJson.items[0].id + '/tasks', {
-            headers: { Authorization: `Bearer ${accessToken}`, 'Content-type': 'application/json', "Accept": 'application/json'},
+    createGoogleTask = async(taskListId, taskName, dueDate, notes, accessToken) => {
+        let newTaskJson = await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks', accessToken, {
             method: 'POST',
             body: JSON.stringify({
                 title: taskName,
-                due: dueDate.toISOString()
+                due: dueDate.toISOString(),
+                notes: notes
             })
-        }).catch((error) => {
-                console.error('Error:', error)
-        })
-
-        newTaskJson = await newTask.json();
+        });
 
         return newTaskJson.id;
     }
-}
\ No newline at end of file
+
+    /**
+     * \brief deletes a task from user's Google Tasks
+     * \detail
+     *      a task that is already gone (eg. deleted on the web) counts as deleted
+     * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+     * @param {*} taskListId a string that represent the id of the task list (each task belongs to a task list)
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    deleteGoogleTask = async(taskId, taskListId, accessToken) => {
+        try {
+            await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId, accessToken, {
+                method: 'DELETE',
+            });
+        } catch (error) {
+            if (error.status != 404 && error.status != 410) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * \brief moves a task from one of the user's task lists to another
+     * \detail
+     *      the task keeps its id, so its data in Firebase stays attached to it
+     * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+     * @param {*} taskListId a string, the id of the task list the task is in now
+     * @param {*} destinationTaskListId a string, the id of the task list to move the task to
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    moveGoogleTask = async(taskId, taskListId, destinationTaskListId, accessToken) => {
+        await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId +
+            '/move?destinationTasklist=' + encodeURIComponent(destinationTaskListId), accessToken, {
+            method: 'POST',
+        });
+    }
+
+    /**
+     * \brief makes a task a subtask of another task in the same task list
+     * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+     * @param {*} taskListId a string, the id of the task list both tasks are in
+     * @param {*} parentId a string, the id of the task that becomes the parent
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    moveGoogleTaskUnder = async(taskId, taskListId, parentId, accessToken) => {
+        await this.sendRequest('https://www.googleapis.com/tasks/v1/lists/' + taskListId + '/tasks/' + taskId +
+            '/move?parent=' + encodeURIComponent(parentId), accessToken, {
+            method: 'POST',
+        });
+    }
+
+    /**
+     * \brief creates a new task list in user's Google Tasks
+     * @param {*} title a string, the name of the new task list
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    createGoogleTaskList = async(title, accessToken) => {
+        let newTaskListJson = await this.sendRequest('https://www.googleapis.com/tasks/v1/users/@me/lists', accessToken, {
+            method: 'POST',
+            body: JSON.stringify({
+                title: title
+            })
+        });
+
+        return newTaskListJson.id;
+    }
+
+    /**
+     * \brief renames one of the user's task lists
+     * @param {*} taskListId a string, the id of the task list
+     * @param {*} title a string, the new name of the task list
+     * @param {*} accessToken a string that tells the Google server that the app is authorized to access the user's information
+     */
+    renameGoogleTaskList = async(taskListId, title, accessToken) => {
+        await this.sendRequest('https://www.googleapis.com/tasks/v1/users/@me/lists/' + taskListId, accessToken, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                title: title
+            })
+        });
+    }
+}
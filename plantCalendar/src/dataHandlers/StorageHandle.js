@@ -0,0 +1,56 @@
+import { AsyncStorage } from 'react-native';
+
+/**
+ * StorageHandle class
+ *
+ * \brief Provide helper functions to save and load data on the device itself,
+ *      so the app still has something to show when there is no network
+ * \details
+ *      to use, you should import this class
+ *          import StorageHandle from '../dataHandlers/StorageHandle';
+ *      every value is stored as JSON under a key that starts with the user's email,
+ *      so two accounts signed in on the same phone never see each other's data
+ */
+export default class StorageHandle {
+
+    /**
+     * \brief load a value saved by setItem
+     * @param {*} userEmail gmail, used to keep each user's data separate
+     * @param {*} key a string naming the value (eg. "taskCache")
+     * @param {*} defaultValue returned if nothing is stored under the key or it can't be read
+     */
+    getItem = async(userEmail, key, defaultValue) => {
+        try {
+            let storedValue = await AsyncStorage.getItem(this.storageKey(userEmail, key));
+            if (storedValue != null) {
+                return JSON.parse(storedValue);
+            }
+        } catch (error) {
+            console.log("error loading " + key + ": " + error);
+        }
+        return defaultValue;
+    }
+
+    /**
+     * \brief save a value on the device
+     * @param {*} userEmail gmail, used to keep each user's data separate
+     * @param {*} key a string naming the value (eg. "taskCache")
+     * @param {*} value anything that can be turned into JSON
+     */
+    setItem = async(userEmail, key, value) => {
+        try {
+            await AsyncStorage.setItem(this.storageKey(userEmail, key), JSON.stringify(value));
+        } catch (error) {
+            console.log("error saving " + key + ": " + error);
+        }
+    }
+
+    /**
+     * A helper function that builds the AsyncStorage key for a user's value
+     * @param {*} userEmail
+     * @param {*} key
+     */
+    storageKey(userEmail, key) {
+        return "@plantAhead:" + userEmail + ":" + key;
+    }
+}
@@ -0,0 +1,288 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, Alert, Vibration} from 'react-native';
+import * as firebase from 'firebase';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+
+// how long a pomodoro and the break after it last, until the user changes them
+const DEFAULT_POMODORO_SETTINGS = {workMinutes: 25, breakMinutes: 5};
+const MINUTE_IN_MS = 60 * 1000;
+
+/**
+ * \brief Returns a time in ms as M:SS, for the countdown
+ */
+function formatCountdown(time) {
+    let seconds = Math.max(Math.ceil(time / 1000), 0);
+    let secondsLeft = seconds % 60;
+    return Math.floor(seconds / 60) + ":" + (secondsLeft < 10 ? "0" : "") + secondsLeft;
+}
+
+/**
+ * FocusScreen Class
+ *  \brief a full screen Pomodoro timer for one task: a pomodoro of work, then a break
+ *  \details opened from the ViewTaskModal, which passes in its task (with the TaskData object).
+ *           A finished pomodoro is saved as a session of time spent on the task and grows the user's plant
+ *           (see TaskData.completePomodoro); giving up on a pomodoro saves nothing.
+ *           The lengths of pomodoros and breaks are saved in Firebase
+ */
+export default class FocusScreen extends React.Component {
+    state = {
+        // 'ready' before a pomodoro, 'work' during one, 'break' after one
+        phase: 'ready',
+        phaseStart: null,  // when the current pomodoro or break started, in ms
+        now: Date.now(),
+        // text boxes for the lengths, in minutes
+        workMinutes: String(DEFAULT_POMODORO_SETTINGS.workMinutes),
+        breakMinutes: String(DEFAULT_POMODORO_SETTINGS.breakMinutes),
+        pomodoros: this.getPomodoros(),
+        firestoreHandle: new FirestoreHandle(),
+    }
+
+    componentDidMount() {
+        const userRef = firebase.firestore().collection('users').doc(this.props.route.params.task.taskData.userEmail);
+        userRef.get().then(user => {
+            let settings = user.exists ? user.data().pomodoroSettings : null;
+            if (settings && this.state.phase == 'ready') {
+                this.setState({workMinutes: String(settings.workMinutes), breakMinutes: String(settings.breakMinutes)});
+            }
+        }).catch(
+            error => console.log(error)
+        );
+        this.clock = setInterval(() => this.tick(), 1000);
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.clock);
+    }
+
+    /**
+     * \brief Returns how many pomodoros have been finished on the task, from TaskData
+     */
+    getPomodoros() {
+        const taskRef = this.props.route.params.task;
+        let i = taskRef.taskData.findTask(taskRef.id);
+        return i != -1 ? taskRef.taskData.getData()[i].pomodoros || 0 : 0;
+    }
+
+    /**
+     * \brief Returns how long the current pomodoro or break lasts, in ms
+     */
+    getPhaseLength() {
+        let minutes = this.state.phase == 'work' ? this.state.workMinutes : this.state.breakMinutes;
+        return parseFloat(minutes) * MINUTE_IN_MS;
+    }
+
+    /**
+     * \brief Called every second, finishes the pomodoro or break when its time is up
+     * \details the times are worked out from the clock, so they are right even if
+     *          the phone went to sleep in the middle
+     */
+    tick() {
+        let now = Date.now();
+        this.setState({now: now});
+        if (this.state.phase == 'ready' || now - this.state.phaseStart < this.getPhaseLength()) {
+            return;
+        }
+
+        let end = this.state.phaseStart + this.getPhaseLength();
+        Vibration.vibrate();
+        if (this.state.phase == 'work') {
+            this.finishPomodoro(this.state.phaseStart, end);
+            this.setState({phase: 'break', phaseStart: end});
+        } else {
+            this.setState({phase: 'ready', phaseStart: null});
+        }
+    }
+
+    /**
+     * \brief Starts a pomodoro, after checking and saving the lengths the user typed in
+     * \details the task's own timer is stopped first, so the same time isn't counted twice
+     */
+    async startPomodoro() {
+        const taskRef = this.props.route.params.task;
+        let workMinutes = parseFloat(this.state.workMinutes);
+        let breakMinutes = parseFloat(this.state.breakMinutes);
+        if (!(workMinutes > 0) || !(breakMinutes > 0)) {
+            Alert.alert("Please enter how many minutes a pomodoro and a break last.");
+            return;
+        }
+
+        this.state.firestoreHandle.updatePomodoroSettingsFirebase(taskRef.taskData.userEmail,
+            {workMinutes: workMinutes, breakMinutes: breakMinutes});
+        await taskRef.taskData.stopTimer(taskRef.id);
+        this.setState({phase: 'work', phaseStart: Date.now(), now: Date.now()});
+    }
+
+    /**
+     * \brief Saves a finished pomodoro, see TaskData.completePomodoro
+     */
+    async finishPomodoro(start, end) {
+        const taskRef = this.props.route.params.task;
+        await taskRef.taskData.completePomodoro(taskRef.id, start, end);
+        this.setState({pomodoros: this.getPomodoros()});
+        taskRef.timeSpentHandler();
+    }
+
+    /**
+     * \brief Gives up on the current pomodoro after the user confirms, none of its time is saved
+     * @param {*} onAbandon called after giving up, eg. to close the screen
+     */
+    abandonPomodoro(onAbandon = () => {}) {
+        Alert.alert(
+            "Give up this pomodoro?",
+            "The time spent on it won't be saved and your plant won't grow.",
+            [
+                {text: "Keep going", style: "cancel"},
+                {text: "Give up", style: "destructive", onPress: () => {
+                    this.setState({phase: 'ready', phaseStart: null});
+                    onAbandon();
+                }},
+            ]
+        );
+    }
+
+    /**
+     * \brief Closes the screen, asking first if a pomodoro is under way
+     */
+    close() {
+        if (this.state.phase == 'work') {
+            this.abandonPomodoro(() => this.props.navigation.goBack());
+        } else {
+            this.props.navigation.goBack();
+        }
+    }
+
+    render() {
+        const taskRef = this.props.route.params.task;
+        let phaseText = "Ready to focus";
+        if (this.state.phase == 'work') {
+            phaseText = "Focus";
+        } else if (this.state.phase == 'break') {
+            phaseText = "Take a break";
+        }
+
+        return (
+            <View style={styles.container}>
+                <Text style={styles.taskText} numberOfLines={2}>{taskRef.name}</Text>
+                <Text style={styles.phaseText}>{phaseText}</Text>
+
+                {this.state.phase == 'ready' ?
+                    <View style={styles.settingsRow}>
+                        <TextInput
+                            style={styles.minutesInput}
+                            value={this.state.workMinutes}
+                            keyboardType='numeric'
+                            onChangeText={(text) => this.setState({workMinutes: text})}
+                        />
+                        <Text style={styles.settingsText}>min focus,</Text>
+                        <TextInput
+                            style={styles.minutesInput}
+                            value={this.state.breakMinutes}
+                            keyboardType='numeric'
+                            onChangeText={(text) => this.setState({breakMinutes: text})}
+                        />
+                        <Text style={styles.settingsText}>min break</Text>
+                    </View>
+                :
+                    <Text style={styles.countdownText}>
+                        {formatCountdown(this.getPhaseLength() - (this.state.now - this.state.phaseStart))}
+                    </Text>
+                }
+
+                <Text style={styles.settingsText}>
+                    {this.state.pomodoros} {this.state.pomodoros == 1 ? "pomodoro" : "pomodoros"} done on this task
+                </Text>
+
+                {this.state.phase == 'ready' ?
+                    <TouchableOpacity style={styles.button} onPress={() => this.startPomodoro()}>
+                        <Text style={styles.buttonText}>Start</Text>
+                    </TouchableOpacity>
+                : null}
+                {this.state.phase == 'work' ?
+                    <TouchableOpacity style={styles.button} onPress={() => this.abandonPomodoro()}>
+                        <Text style={styles.buttonText}>Give up</Text>
+                    </TouchableOpacity>
+                : null}
+                {this.state.phase == 'break' ?
+                    <TouchableOpacity style={styles.button}
+                        onPress={() => this.setState({phase: 'ready', phaseStart: null})}>
+                        <Text style={styles.buttonText}>Skip break</Text>
+                    </TouchableOpacity>
+                : null}
+
+                <TouchableOpacity style={styles.closeButton} onPress={() => this.close()}>
+                    <Text style={styles.closeText}>Close</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'center',
+        padding: 20,
+        backgroundColor: '#8ccd82',
+    },
+    taskText:{
+        fontSize: 25,
+        fontWeight: 'bold',
+        textAlign: 'center',
+        color: '#ffffff',
+    },
+    phaseText:{
+        marginTop: 10,
+        fontSize: 20,
+        color: '#ffffff',
+    },
+    countdownText:{
+        marginVertical: 30,
+        fontSize: 70,
+        fontWeight: 'bold',
+        fontVariant: ['tabular-nums'],
+        color: '#ffffff',
+    },
+    settingsRow:{
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginVertical: 30,
+    },
+    minutesInput:{
+        width: 45,
+        height: 40,
+        marginHorizontal: 5,
+        textAlign: 'center',
+        fontSize: 20,
+        color: '#ffffff',
+        borderColor: '#ffffff',
+        borderBottomWidth: 2,
+    },
+    settingsText:{
+        fontSize: 15,
+        color: '#ffffff',
+    },
+    button:{
+        marginTop: 30,
+        paddingVertical: 10,
+        paddingHorizontal: 30,
+        borderRadius: 10,
+        backgroundColor: '#ffffff',
+    },
+    buttonText:{
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    closeButton:{
+        position: 'absolute',
+        top: 50,
+        left: 20,
+    },
+    closeText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#ffffff',
+    },
+});
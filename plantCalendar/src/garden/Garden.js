@@ -0,0 +1,64 @@
+/**
+ * Garden
+ *  \brief the plants the user grows at once, and how new ones are named
+ *  \details the user can grow up to MAX_GROWING_PLANTS plants at a time and picks which one to
+ *           tend; that one (the current plant, saved in the user's document as currentPlant) also
+ *           gets the pomodoro bonuses and wilts from overdue tasks.
+ *           A plant's name is the id of its document in Firebase, so every name must be unique
+ *      Plants are the data of the plants' documents: {name, species, growthPoint, stage,
+ *      fullyGrown, createdAt, grownAt}, see FirestoreHandle.initFirebasePlantData
+ */
+
+// how many plants the user can grow at the same time
+export const MAX_GROWING_PLANTS = 3;
+// how long a plant's name can be, a document id can't be longer than 1500 bytes
+const MAX_PLANT_NAME_LENGTH = 100;
+
+/**
+ * \brief Returns a name no other plant has: the name itself, or with a number after it
+ * \details the name is made a valid document id first: slashes are taken out, a name wrapped in
+ *          double underscores loses one of them on each side, a name that is just "." or ".." (or
+ *          nothing) becomes "Plant", and a very long name is cut short
+ * @param {*} name the name the user picked
+ * @param {*} takenNames the names of all the user's plants, grown ones included
+ */
+export function uniquePlantName(name, takenNames) {
+    let base = name.replace(/\//g, "-").trim().substring(0, MAX_PLANT_NAME_LENGTH).trim();
+    base = base.replace(/^__(.*)__$/, "_$1_");
+    if (base == "" || base == "." || base == "..") {
+        base = "Plant";
+    }
+    if (!takenNames.includes(base)) {
+        return base;
+    }
+    let number = 2;
+    while (takenNames.includes(base + " " + number)) {
+        number += 1;
+    }
+    return base + " " + number;
+}
+
+/**
+ * \brief Returns the plants sorted by when they were planted, oldest first
+ * \details plants from before createdAt was saved come first
+ * @param {*} plants array of plants
+ */
+export function sortPlants(plants) {
+    const plantedAt = plant => plant.createdAt ? plant.createdAt.toMillis() : 0;
+    return plants.slice().sort((a, b) => plantedAt(a) - plantedAt(b));
+}
+
+/**
+ * \brief Returns the plant the user is tending: the one named currentName if it's still growing,
+ *        otherwise the oldest growing plant, null if there are none
+ * @param {*} growingPlants array of the plants that aren't fully grown
+ * @param {*} currentName the name of the plant the user picked last, may be undefined
+ */
+export function pickCurrentPlant(growingPlants, currentName) {
+    let current = growingPlants.find(plant => plant.name == currentName);
+    if (current) {
+        return current;
+    }
+    let sorted = sortPlants(growingPlants);
+    return sorted.length > 0 ? sorted[0] : null;
+}
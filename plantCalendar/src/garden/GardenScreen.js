@@ -1,10 +1,13 @@
 import  React, { Component } from 'react';
 import {View, Text, Button, TouchableOpacity, 
-        StyleSheet, Alert, Image} from 'react-native';
+        StyleSheet, Alert, Image, Switch, ScrollView} from 'react-native';
 import * as Progress from 'react-native-progress';
 import SpriteSheet from 'rn-sprite-sheet';
 import * as firebase from 'firebase';
 import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import { DEFAULT_SPECIES, getSpecies, stageThresholds, spriteSheet, animationName } from './Species';
+import { HEALTHY, WILT_POINTS_PER_DAY } from './Wilting';
+import { MAX_GROWING_PLANTS, uniquePlantName, sortPlants, pickCurrentPlant } from './Garden';
 import GestureRecognizer, {swipeDirections} from 'react-native-swipe-gestures';
 
 export default class GardenScreen extends React.Component {
@@ -13,34 +16,67 @@ export default class GardenScreen extends React.Component {
         this.state = {
             firestoreHandle: new FirestoreHandle,
             plantName: "temp",
+            // the plants that aren't fully grown yet, oldest first, and the names of all the plants
+            //      (see Garden.js)
+            plants: [],
+            plantNames: [],
             growthPoint: -1,
             stage: -1,
+            // the id of the plant's species, see Species.js
+            species: DEFAULT_SPECIES,
             userEmail: this.props.route.params.userEmail,
             money: this.props.route.params.money,
+            // the cosmetics the user has unlocked with achievements, see home/Achievements.js
+            cosmetics: [],
+            // how overdue tasks make the plant look, see Wilting.js
+            wiltLevel: HEALTHY,
+            overdueCount: 0,
+            vacation: false,
         };
         this.plantRef = null;
+        this.spending = false;  // true while the coins for watering or fertilizing are being spent
     };
 
     /**
-     * \brief: get the name of the current plant(the one that is not fully grown) from Firebase
-     * \detail: This function is called in the playPant and progressAdded function
+     * \brief: get the user's plants from Firebase, and the name of the one they are tending
+     * \detail: This function is called in the playPant function. The plant tended is the one the user
+     * picked, see Garden.pickCurrentPlant; if every plant is fully grown, a new one is started
      */
     async getPlantName() {
-        // Warning: assume that there is only one plant that we are currently growing
-        //      so that only one plant data has fullyGrown == false
-        const plantCollectionRef = firebase.firestore().collection('users').doc(this.state.userEmail).
-            collection('plants');
-        return plantCollectionRef.where("fullyGrown", "==", false).get().then((querySnapShot) => {
-            // get the plant that is not fullyGrown
-            this.setState({plantName: querySnapShot.docs[0].get("name")})
-        })
-        .catch(err => {
+        try {
+            const userRef = firebase.firestore().collection('users').doc(this.state.userEmail);
+            const user = await userRef.get();
+            const plantDocs = await this.state.firestoreHandle.getPlantsFirebase(this.state.userEmail);
+            // plants planted on this phone get an estimate of createdAt until it reaches the server
+            let allPlants = plantDocs.docs.map(doc => doc.data({serverTimestamps: 'estimate'}));
+            let plantNames = allPlants.map(plant => plant.name);
+            let plants = sortPlants(allPlants.filter(plant => !plant.fullyGrown));
+            if (plants.length == 0) {
+                let name = uniquePlantName(getSpecies(DEFAULT_SPECIES).name, plantNames);
+                await this.state.firestoreHandle.initFirebasePlantData(this.state.userEmail, name);
+                plants = [{name: name, species: DEFAULT_SPECIES, growthPoint: 0, stage: 0, fullyGrown: false}];
+                plantNames.push(name);
+            }
+            // the plant picked on this screen, or else the one picked last time
+            let current = pickCurrentPlant(plants,
+                this.state.plantName != "temp" ? this.state.plantName : user.data().currentPlant);
+            this.setState({plants: plants, plantNames: plantNames, plantName: current.name});
+        } catch (err) {
             console.log("error getting plants", err);
-        })
+        }
+    }
+
+    /**
+     * \brief: switch to tending another of the user's growing plants
+     * @param {*} plantName name of the plant
+     */
+    selectPlant(plantName) {
+        this.state.firestoreHandle.setCurrentPlantFirebase(this.state.userEmail, plantName);
+        this.setState({plantName: plantName}, () => this.playPlant());
     }
         
       /**
-     * \brief: get and update the stage and growth point of a plant
+     * \brief: get and update the stage, growth point and species of a plant
      * @param {*} plantName name of the plant
      */
     async getPlantInfo(plantName) {
@@ -50,6 +86,8 @@ export default class GardenScreen extends React.Component {
         return plantRef.get().then(thisPlant => {
             this.setState({stage: thisPlant.data().stage});
             this.setState({growthPoint: thisPlant.data().growthPoint});
+            // plants from before there were species are the default one
+            this.setState({species: thisPlant.data().species || DEFAULT_SPECIES});
         });
     }
     
@@ -65,19 +103,15 @@ export default class GardenScreen extends React.Component {
         // then to await the promise
         // get name of the plant
         await this.getPlantName();
+        // overdue tasks take growth points from the plant and make it wilt
+        await this.checkWilting();
         // update stage and growth point state variables
         await this.getPlantInfo(this.state.plantName);
         // updates money state variable
         await this.getUserMoney();
-        // type determines the stage of the plant in the animation
-        var type = ""
-        if (this.state.stage == 0) {
-            type = "stage0";
-        } else if (this.state.stage == 1) {
-            type = "stage1";
-        } else {
-            type = "stage2";
-        }
+        // type determines the stage of the plant in the animation, and whether it droops instead of
+        // swaying, see Species.animationName
+        const type = animationName(getSpecies(this.state.species), this.state.stage, this.state.wiltLevel);
         // animate plant moving
         this.plant.play({
             // (required) name of the animation (name is specified as a key in the animation prop)
@@ -94,46 +128,81 @@ export default class GardenScreen extends React.Component {
         });
     }
 
+    /**
+     * \brief: takes the growth points overdue tasks cost from the plant, and updates how it looks
+     * \details: see Wilting.js; uses the HomeScreen's WiltData and TaskData
+     */
+    async checkWilting() {
+        const { wiltData, taskData } = this.props.route.params;
+        if (!wiltData) {
+            return;
+        }
+        await wiltData.check(taskData.taskArray).catch(
+            error => console.log(error)
+        );
+        this.setState({wiltLevel: wiltData.level, overdueCount: wiltData.overdueCount, vacation: wiltData.vacation});
+    }
+
+    /**
+     * \brief: turns vacation mode on or off; while it's on, overdue tasks don't hurt the plant
+     * @param {*} vacation true to turn it on
+     */
+    setVacation(vacation) {
+        const { wiltData, taskData } = this.props.route.params;
+        wiltData.setVacation(vacation, taskData.taskArray);
+        this.setState({wiltLevel: wiltData.level, overdueCount: wiltData.overdueCount, vacation: vacation},
+            () => this.playPlant());
+    }
+
     /**
      * \brief: updates plant info whenever user waters or fertilizes the plant
      * @param {*} cost an integer that indicates whether the user watered(1) or fertilized(2) the plant
+     * @param {*} message what to tell the user once the coins are spent
      * \details: This function is called whenever the water or fertilize button is pressed. 
-     * It calls the updateUserMoneyFirebase function to update money field in Firebase.
-     * Then, it updates the plant stats depending on by calling the updatePlant in 
-     * the FirestoreHandle class.
-     * threshold is an array that holds 3 integers to indicate 
+     * It calls the carePlantFirebase function in the FirestoreHandle class, which spends the coins
+     * (recording what they were spent on) and updates the plant stats in one Firebase transaction,
+     * so the coins are only spent if the plant grows; nothing happens if the user doesn't have enough.
+     * How many growth points each stage needs comes from the plant's species (see Species.js)
      */
-    progressAdded(cost) {
-        // growth point threshold for different stages(how many growth points each stage needs to move 
-        // to the next one.)
-        let threshold = [50, 70, 100]
-        // local variables to handle updating growth point, and state
-        let newGP = this.state.growthPoint + cost*10;
+    async progressAdded(cost, message) {
+        // ignore taps while the last one is still being paid for
+        if (this.spending) {
+            return;
+        }
+        this.spending = true;
+        // read from Firebase again in the transaction, so a pomodoro bonus or wilting since the garden
+        // was opened isn't overwritten
+        let growth = await this.state.firestoreHandle.carePlantFirebase(this.state.userEmail,
+            this.state.plantName, cost*10, cost, cost == 1 ? 'water' : 'fertilize').catch(error => {
+                console.log(error);
+                return {result: 'failed'};
+            });
+        this.spending = false;
+        if (growth.result == 'notEnoughCoins') {
+            Alert.alert("Oops! You don't have enough money right now.\
+            Try again after more tasks are completed");
+            this.playPlant();
+            return;
+        }
+        if (growth.result != 'cared') {
+            Alert.alert("Your plant couldn't be looked after, please try again when you are online.");
+            this.playPlant();
+            return;
+        }
+        Alert.alert(message);
+        this.recordEvent({type: 'plantCared'});
 
-        // update money in Firebase
-        this.state.firestoreHandle.updateUserMoneyFirebase(this.state.userEmail, this.state.money-cost);
-        
-        // if after adding the points, growth point is less than threshold, it will update in Firebase
-        // with the new growth point
-        if(newGP < threshold[this.state.stage]){
-            this.state.firestoreHandle.updatePlant(this.state.userEmail, this.state.plantName, 
-                newGP, false, this.state.stage);
-        } else {
-            // If plant is in stage 0 or 1 and growth point achieves threshold, plant moves to next stage
+        if (growth.stage != growth.oldStage) {
+            // If plant is not in its last stage and growth point achieves threshold, plant moves to next stage
             // and the plant starts with the old growth point subtract by the threshold
-            if (this.state.stage < 2) {
-                this.state.firestoreHandle.updatePlant(this.state.userEmail, this.state.plantName, 
-                    newGP-threshold[this.state.stage], false, this.state.stage+1);
+            if (!growth.fullyGrown) {
                 Alert.alert("Congratulations! Your plant can move to the next stage.");
             } 
-            //  If plant is in stage 2 and growth point achieves threshold, new plant is created in database
+            //  If plant is in its last stage and growth point achieves threshold, it moves to the greenhouse,
+            //  and the user tends another plant (see getPlantName)
             else {
-                this.state.firestoreHandle.updatePlant(this.state.userEmail, this.state.plantName, 
-                    threshold[oldStage], true, this.state.stage+1);
-                // TODO: instead of giving a default name, there will be a pop-up that prompts
-                // users to enter a new name for the plant
-                this.state.firestoreHandle.initFirebasePlantData(userEmail, "plant 2") 
-                Alert.alert("Your plant is done growing! You will be given a new plant.");
+                Alert.alert("Your plant is done growing! You can find it in the greenhouse.");
+                this.recordEvent({type: 'plantGrown'});
             }
         }
         // updates variables with new stats
@@ -141,13 +210,31 @@ export default class GardenScreen extends React.Component {
     }
 
     /**
-     * \breif: This method updates the state variable money with the field in Firebase
+     * \brief: counts an event towards the user's achievements (see home/Achievements.js), with the
+     * HomeScreen's AchievementData, and tells the user about any achievements it unlocks
+     * @param {*} event {type: 'plantCared'} or {type: 'plantGrown'}
+     */
+    recordEvent(event) {
+        const { achievementData, showUnlocked } = this.props.route.params;
+        if (!achievementData) {
+            return;
+        }
+        achievementData.record(event).then(unlocked => {
+            showUnlocked(unlocked);
+            this.getUserMoney();
+        }).catch(
+            error => console.log(error)
+        );
+    }
+
+    /**
+     * \breif: This method updates the state variables money and cosmetics with the fields in Firebase
      */
     async getUserMoney() {
         const userRef = firebase.firestore().collection('users').doc(this.state.userEmail);
         // get information from firebase
         return userRef.get().then(user => {
-            this.setState({money: user.data().money});
+            this.setState({money: user.data().money, cosmetics: user.data().cosmetics || []});
         });
     }
 
@@ -159,6 +246,11 @@ export default class GardenScreen extends React.Component {
     }
 
     render () {
+        const species = getSpecies(this.state.species);
+        const sheet = spriteSheet(species, this.state.wiltLevel);
+        const thresholds = stageThresholds(species);
+        // the growth points the plant's stage needs (fully grown plants stay full)
+        const threshold = thresholds[Math.min(Math.max(this.state.stage, 0), thresholds.length - 1)];
          // configuration for swiping the screen
          const config = {
             velocityThreshold: 0.3,
@@ -178,32 +270,66 @@ export default class GardenScreen extends React.Component {
                 flex: 1,
             }}
         >
-        <View style={styles.container}>
+        {/* the meadow cosmetic gives the garden a green background */}
+        <View style={this.state.cosmetics.includes('meadow') ? {...styles.container, backgroundColor: '#eaf6e8'}
+            : styles.container}>
             <Text style={styles.headerText}>You currently have  
                 <Text style={{fontWeight:'bold'}}> {this.state.money} </Text> coins
             </Text>
+            {/* the plants the user is growing, to pick which one to tend */}
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}
+                style={styles.plantRow} contentContainerStyle={styles.plantRowContent}>
+                {this.state.plants.map(plant =>
+                    <TouchableOpacity key={plant.name}
+                        style={plant.name == this.state.plantName ? styles.selectedPlantButton : styles.plantButton}
+                        onPress={() => this.selectPlant(plant.name)}>
+                        <Text style={plant.name == this.state.plantName ? styles.selectedPlantText : styles.plantText}>
+                            {plant.name}
+                        </Text>
+                    </TouchableOpacity>
+                )}
+                {this.state.plants.length < MAX_GROWING_PLANTS ?
+                    <TouchableOpacity style={styles.plantButton}
+                        onPress={() => this.props.navigation.navigate('NewPlant', {
+                            userEmail: this.state.userEmail,
+                            plantNames: this.state.plantNames,
+                            onPlanted: (plantName) => this.selectPlant(plantName),
+                        })}>
+                        <Text style={styles.plantText}>+ New plant</Text>
+                    </TouchableOpacity>
+                : null}
+                {/* every plant the user has fully grown */}
+                <TouchableOpacity style={styles.plantButton}
+                    onPress={() => this.props.navigation.navigate('Greenhouse', {userEmail: this.state.userEmail})}>
+                    <Text style={styles.plantText}>Greenhouse</Text>
+                </TouchableOpacity>
+            </ScrollView>
             <SpriteSheet
+                // a plant of another species, or one that starts or stops wilting, needs a new sprite
+                key={species.id + (this.state.wiltLevel == HEALTHY ? "" : "Wilting")}
                 ref={ref => (this.plant = ref)} // declare the reference to this sprite as a data member of Garden Class
-                source={require('./plants/sunflower.png')}
-                columns={3}
-                rows={3}
-                height={300} // set either, none, but not both
+                source={sheet.source}
+                columns={sheet.columns}
+                rows={sheet.rows}
+                height={species.height} // set either, none, but not both
                 // width={200}
                 imageStyle={{ marginTop: -1 }}
-                // refer to the sprite sheet for sunflower
-                animations={{
-                    stage0: [0, 1, 2, 1],
-                    stage1: [3, 4, 5, 4],
-                    stage2: [6, 7, 8, 7],
-                }}
+                // refer to the sprite sheet for the plant's species, and how it wilts (see Wilting.js)
+                animations={sheet.animations}
             />
+            {this.state.wiltLevel != HEALTHY ?
+                <Text style={styles.wiltText}>
+                    Your plant is wilting! {this.state.overdueCount} overdue
+                    {this.state.overdueCount == 1 ? " task costs" : " tasks cost"} it {WILT_POINTS_PER_DAY} growth
+                    points a day each. Complete or reschedule them to help it recover.
+                </Text>
+            : null}
            
             <TouchableOpacity
                 style={styles.button}
                 onPress={() => {
                     if (this.state.money >= 1) {
-                        Alert.alert("You just watered your plants! 10 points added.");
-                        this.progressAdded(1);
+                        this.progressAdded(1, "You just watered your plants! 10 points added.");
                     } else {
                         Alert.alert("Oops! You don't have enough money right now.\
                         Try again after more tasks are completed");
@@ -221,8 +347,7 @@ export default class GardenScreen extends React.Component {
                 style={styles.button}
                 onPress={() => {
                     if (this.state.money >= 2) {
-                        Alert.alert("You just fertilized your plants! 20 points added.");
-                        this.progressAdded(2);
+                        this.progressAdded(2, "You just fertilized your plants! 20 points added.");
                     } else {
                         Alert.alert("Oops! You don't have enough money right now.\
                         Try again after more tasks are completed");
@@ -240,15 +365,27 @@ export default class GardenScreen extends React.Component {
             style={styles.headerText}>
             You currently have
             <Text style={{fontWeight:'bold'}}> {this.state.growthPoint} </Text> 
-             growthPoints!
+             of {threshold} growthPoints!
         </Text>
 
         <Progress.Bar 
-            progress={this.state.growthPoint/100.0} 
+            // how far the plant is towards its next stage
+            progress={this.state.growthPoint / threshold} 
             width={300} 
             height={20}
             color={'#8ccd82'}
             />
+        {/* while the user is away, overdue tasks don't hurt the plant */}
+        {this.props.route.params.wiltData ?
+            <View style={styles.vacationRow}>
+                <Text style={styles.vacationText}>Vacation mode</Text>
+                <Switch
+                    value={this.state.vacation}
+                    onValueChange={(value) => this.setVacation(value)}
+                    trackColor={{true: '#8ccd82'}}
+                />
+            </View>
+        : null}
          </View>
          </GestureRecognizer>
         )
@@ -301,5 +438,55 @@ styles = StyleSheet.create({
         width: 40,
         height:50,
         marginLeft: 10
+    },
+    plantRow: {
+        flexGrow: 0,
+        marginBottom: 5,
+    },
+    plantRowContent: {
+        paddingHorizontal: 10,
+    },
+    plantButton: {
+        marginHorizontal: 3,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    selectedPlantButton: {
+        marginHorizontal: 3,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+        backgroundColor: '#8ccd82',
+    },
+    plantText: {
+        fontSize: 15,
+        color: '#8ccd82',
+    },
+    selectedPlantText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#ffffff',
+    },
+    wiltText: {
+        marginHorizontal: 20,
+        marginBottom: 10,
+        textAlign: 'center',
+        fontSize: 15,
+        color: '#d9534f',
+    },
+    vacationRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 15,
+    },
+    vacationText: {
+        marginRight: 10,
+        fontSize: 15,
+        color: '#464e51',
     }
 });
@@ -1,4 +1,59 @@
+import * as React from 'react';
+import { View, Image } from 'react-native';
+// allow react native to check the input props for Plant Class
+import PropTypes from 'prop-types';
+
+import { getSpecies } from './Species';
+
 /**
  * Plant Class
- *  TODO: Currently inside the garden folder, might need to move it later?
+ *  \brief draws one frame of a plant's sprite sheet, still
+ *  \details used where a plant is shown without being animated (eg. the greenhouse); the
+ *           GardenScreen animates the plant it shows with a SpriteSheet instead.
+ *           The frame is cut out of the sprite sheet by drawing the whole sheet inside a view
+ *           the size of one frame, moved so that the frame is the part that shows
  */
+export default class Plant extends React.Component {
+    render() {
+        const species = getSpecies(this.props.species);
+        const stage = species.stages[Math.min(this.props.stage, species.stages.length - 1)];
+        const frame = stage.frames[0];
+        const sheet = Image.resolveAssetSource(species.sprite);
+        // the sheet is scaled so that a frame is as tall as the height prop
+        const scale = this.props.height / (sheet.height / species.rows);
+        const frameWidth = sheet.width / species.columns * scale;
+
+        return (
+            <View style={{width: frameWidth, height: this.props.height, overflow: 'hidden'}}>
+                <Image
+                    source={species.sprite}
+                    style={{
+                        width: sheet.width * scale,
+                        height: sheet.height * scale,
+                        marginLeft: -(frame % species.columns) * frameWidth,
+                        marginTop: -Math.floor(frame / species.columns) * this.props.height,
+                    }}
+                />
+            </View>
+        );
+    }
+}
+
+/**
+ * Use PropTypes library to typecheck inputted props
+ * and make sure required props are inputted
+ */
+Plant.propTypes = {
+    species: PropTypes.string,
+    stage: PropTypes.number,
+    height: PropTypes.number,
+};
+
+/**
+ * Give default value for some props
+ */
+Plant.defaultProps = {
+    species: undefined,
+    stage: 0,
+    height: 100,
+};
@@ -0,0 +1,51 @@
+/**
+ * PlantGrowth
+ *  \brief how growth points move a plant through its stages
+ *  \details a plant needs thresholds[stage] growth points to move on to the next stage, and starts
+ *           the next stage with the points left over; the thresholds come from the plant's
+ *           species (see Species.stageThresholds)
+ */
+
+/**
+ * \brief Returns the plant's {growthPoint, stage, fullyGrown} after the user waters or fertilizes it
+ * \details the plant moves on at most one stage; reaching the last stage's threshold makes it
+ *          fully grown, with its stage one past the last
+ * @param {*} growthPoint the plant's growth points now
+ * @param {*} stage the plant's stage now
+ * @param {*} points how many growth points to add
+ * @param {*} thresholds how many growth points each stage needs, see Species.stageThresholds
+ */
+export function addCareGrowth(growthPoint, stage, points, thresholds) {
+    let newGrowthPoint = growthPoint + points;
+    if (newGrowthPoint < thresholds[stage]) {
+        return {growthPoint: newGrowthPoint, stage: stage, fullyGrown: false};
+    }
+    if (stage < thresholds.length - 1) {
+        return {growthPoint: newGrowthPoint - thresholds[stage], stage: stage + 1, fullyGrown: false};
+    }
+    return {growthPoint: thresholds[stage], stage: stage + 1, fullyGrown: true};
+}
+
+/**
+ * \brief Returns the plant's {growthPoint, stage} after it gets more growth points as a bonus
+ *        (eg. for finishing a pomodoro)
+ * \details a bonus can move the plant to its next stage, but it never finishes the last stage:
+ *          the plant stops just short of fully grown, so the user gets to finish it in the garden
+ * @param {*} growthPoint the plant's growth points now
+ * @param {*} stage the plant's stage now
+ * @param {*} points how many growth points to add
+ * @param {*} thresholds how many growth points each stage needs, see Species.stageThresholds
+ */
+export function addBonusGrowth(growthPoint, stage, points, thresholds) {
+    const lastStage = thresholds.length - 1;
+    let newGrowthPoint = growthPoint + points;
+    let newStage = stage;
+    while (newStage < lastStage && newGrowthPoint >= thresholds[newStage]) {
+        newGrowthPoint -= thresholds[newStage];
+        newStage += 1;
+    }
+    if (newStage == lastStage) {
+        newGrowthPoint = Math.min(newGrowthPoint, thresholds[lastStage] - 1);
+    }
+    return {growthPoint: newGrowthPoint, stage: newStage};
+}
@@ -0,0 +1,110 @@
+/**
+ * Species
+ *  \brief the catalog of plants the user can grow
+ *  \details every species has its own sprite sheets and stages. Adding a species only needs its
+ *           sprite sheets (growing and wilting) in ./plants and an entry in SPECIES; the GardenScreen and PlantGrowth.js
+ *           read everything else from here.
+ *      A species is
+ *      {
+ *          id,             its key in SPECIES, saved in the plant's document in Firebase
+ *          name,           shown to the user
+ *          sprite,         the sprite sheet, require()d
+ *          columns, rows,  how the frames are laid out in the sprite sheet
+ *          height,         how tall the plant is drawn
+ *          stages,         array of {frames, threshold}, one for each stage from the first:
+ *                          frames are the frames the stage's animation loops through, threshold
+ *                          is how many growth points it takes to move on to the next stage
+ *                          (or to be fully grown, for the last stage)
+ *          unlockCost,     coins it costs to start growing one, 0 if it's free
+ *          wilting,        the sprite sheet of the plant wilting (see Wilting.js), {sprite, columns, rows,
+ *                          stages}: stages has one {wilting, wilted} for each stage, the frames of the
+ *                          plant drooping a little and drooping badly
+ *      }
+ */
+
+import { HEALTHY, WILTING } from './Wilting';
+
+// the species plants without one saved in Firebase are, and the one new users start with
+export const DEFAULT_SPECIES = 'sunflower';
+
+export const SPECIES = {
+    sunflower: {
+        id: 'sunflower',
+        name: "Sunflower",
+        sprite: require('./plants/sunflower.png'),
+        columns: 3,
+        rows: 3,
+        height: 300,
+        stages: [
+            {frames: [0, 1, 2, 1], threshold: 50},
+            {frames: [3, 4, 5, 4], threshold: 70},
+            {frames: [6, 7, 8, 7], threshold: 100},
+        ],
+        unlockCost: 0,
+        wilting: {
+            sprite: require('./plants/sunflower_wilting.png'),
+            columns: 4,
+            rows: 3,
+            stages: [
+                {wilting: [0, 1], wilted: [2, 3]},
+                {wilting: [4, 5], wilted: [6, 7]},
+                {wilting: [8, 9], wilted: [10, 11]},
+            ],
+        },
+    },
+};
+
+/**
+ * \brief Returns a species from the catalog, the default one if it isn't in it
+ * @param {*} speciesId the species' id, eg. from a plant's document in Firebase
+ */
+export function getSpecies(speciesId) {
+    return SPECIES[speciesId] || SPECIES[DEFAULT_SPECIES];
+}
+
+/**
+ * \brief Returns how many growth points each stage of a species needs
+ * @param {*} species a species object from SPECIES
+ */
+export function stageThresholds(species) {
+    return species.stages.map(stage => stage.threshold);
+}
+
+/**
+ * \brief Returns the sprite sheet to draw a species with, for the SpriteSheet's props:
+ *        {source, columns, rows, animations}
+ * \details a healthy plant is drawn from the species' sprite, where each stage has one animation,
+ *          "stageN", the plant swaying; a wilting plant from its wilting sprite, where each stage has
+ *          "stageNWilting" and "stageNWilted" (see animationName)
+ * @param {*} species a species object from SPECIES
+ * @param {*} wiltLevel how the plant looks, see Wilting.wiltLevel
+ */
+export function spriteSheet(species, wiltLevel = HEALTHY) {
+    let animations = {};
+    if (wiltLevel == HEALTHY) {
+        species.stages.forEach((stage, i) => {
+            animations["stage" + i] = stage.frames;
+        });
+        return {source: species.sprite, columns: species.columns, rows: species.rows, animations: animations};
+    }
+    species.wilting.stages.forEach((stage, i) => {
+        animations["stage" + i + "Wilting"] = stage.wilting;
+        animations["stage" + i + "Wilted"] = stage.wilted;
+    });
+    return {source: species.wilting.sprite, columns: species.wilting.columns, rows: species.wilting.rows,
+        animations: animations};
+}
+
+/**
+ * \brief Returns the name of the animation to play for a plant, one of spriteSheet's animations
+ * @param {*} species a species object from SPECIES
+ * @param {*} stage the plant's stage
+ * @param {*} wiltLevel how the plant looks, see Wilting.wiltLevel
+ */
+export function animationName(species, stage, wiltLevel = HEALTHY) {
+    let name = "stage" + Math.min(stage, species.stages.length - 1);
+    if (wiltLevel == HEALTHY) {
+        return name;
+    }
+    return name + (wiltLevel == WILTING ? "Wilting" : "Wilted");
+}
@@ -0,0 +1,73 @@
+/**
+ * WiltData Class
+ *  \brief keeps track of how overdue tasks hurt the user's plant, see Wilting.js
+ *
+ *  \details check is called when the app opens and when the garden is opened: it works out the
+ *           growth points the plant lost since the last check (so nothing needs to run while the
+ *           app is closed) and how the plant looks now.
+ *           Vacation mode pauses it; the time spent on vacation is never counted
+ */
+
+import * as firebase from 'firebase';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import { HEALTHY, wiltLevel, wiltLoss, overdueTasks } from './Wilting';
+
+export default class WiltData {
+    /**
+     * @param {*} userEmail used to find the user's data in Firebase
+     */
+    constructor(userEmail) {
+        this.userEmail = userEmail;
+        this.firestoreHandle = new FirestoreHandle();
+
+        this.vacation = false;  // true while vacation mode is on
+        this.level = HEALTHY;  // how the plant looks, see Wilting.wiltLevel
+        this.overdueCount = 0;  // how many tasks are hurting the plant
+    }
+
+    /**
+     * \brief takes the growth points the plant lost since the last check, and works out how it looks
+     * \details the first check only starts counting; returns how many growth points the plant lost
+     * @param {*} tasks the open tasks, task objects from TaskData
+     */
+    check = async(tasks, now = new Date()) => {
+        let user = await firebase.firestore().collection('users').doc(this.userEmail).get();
+        let userData = user.exists ? user.data() : {};
+        this.vacation = userData.vacation || false;
+        if (this.vacation) {
+            this.level = HEALTHY;
+            this.overdueCount = 0;
+            return 0;
+        }
+        this.level = wiltLevel(tasks, now);
+        this.overdueCount = overdueTasks(tasks, now).length;
+
+        if (!userData.lastWiltCheck) {
+            // not awaited: offline, the write only finishes once the phone is back online
+            this.firestoreHandle.updateWiltCheckFirebase(this.userEmail, now.toISOString());
+            return 0;
+        }
+        // only whole points are taken, the part of a point left over is saved for the next check
+        let loss = (userData.wiltRemainder || 0) + wiltLoss(tasks, new Date(userData.lastWiltCheck), now);
+        if (loss < 1) {
+            // lastWiltCheck stays where it is, so this time counts in the next check
+            return 0;
+        }
+        return await this.firestoreHandle.wiltPlantFirebase(this.userEmail, userData.lastWiltCheck,
+            now.toISOString(), Math.floor(loss), loss - Math.floor(loss));
+    }
+
+    /**
+     * \brief turns vacation mode on or off
+     * @param {*} vacation true to turn it on
+     * @param {*} tasks the open tasks, task objects from TaskData, to work out how the plant looks
+     */
+    setVacation(vacation, tasks, now = new Date()) {
+        // not awaited, like in check
+        this.firestoreHandle.setVacationFirebase(this.userEmail, vacation, now.toISOString());
+        this.vacation = vacation;
+        this.level = vacation ? HEALTHY : wiltLevel(tasks, now);
+        this.overdueCount = vacation ? 0 : overdueTasks(tasks, now).length;
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Wilting
+ *  \brief how overdue tasks hurt the plant the user is growing
+ *  \details every open task that is overdue (past OVERDUE_GRACE_HOURS) costs the plant
+ *           WILT_POINTS_PER_DAY growth points for every day it stays overdue, and makes it wilt:
+ *           the more overdue work there is, the worse it looks (see wiltLevel).
+ *           Only the tasks that are still open count, so completing or rescheduling the overdue
+ *           tasks stops the loss and the plant recovers its looks straight away; the growth
+ *           points lost have to be grown again. The loss is worked out from the time since it was
+ *           last worked out, see WiltData.js
+ */
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+const DAY_IN_MS = 24 * HOUR_IN_MS;
+
+// growth points an overdue task costs the plant for every day it is overdue
+export const WILT_POINTS_PER_DAY = 2;
+// how long a task can be overdue before it starts to hurt the plant
+const OVERDUE_GRACE_HOURS = 1;
+// how many overdue tasks, or how many days overdue the oldest one is, make the plant fully wilted
+const WILTED_TASKS = 3;
+const WILTED_DAYS = 3;
+
+// the ways the plant can look, see wiltLevel
+export const HEALTHY = 0;
+export const WILTING = 1;
+export const WILTED = 2;
+
+/**
+ * \brief Returns when a task starts to hurt the plant, in ms, null if it has no due date
+ * @param {*} task a task object from TaskData
+ */
+function overdueFrom(task) {
+    if (!task.dueDateAndTime) {
+        return null;
+    }
+    return new Date(task.dueDateAndTime).getTime() + OVERDUE_GRACE_HOURS * HOUR_IN_MS;
+}
+
+/**
+ * \brief Returns the tasks that are hurting the plant now
+ * @param {*} tasks the open tasks, task objects from TaskData
+ * @param {*} now Date object
+ */
+export function overdueTasks(tasks, now) {
+    return tasks.filter(task => overdueFrom(task) != null && overdueFrom(task) < now.getTime());
+}
+
+/**
+ * \brief Returns how the plant looks now: HEALTHY, WILTING or WILTED
+ * @param {*} tasks the open tasks, task objects from TaskData
+ * @param {*} now Date object
+ */
+export function wiltLevel(tasks, now) {
+    let overdue = overdueTasks(tasks, now);
+    if (overdue.length == 0) {
+        return HEALTHY;
+    }
+    let oldest = Math.min(...overdue.map(overdueFrom));
+    if (overdue.length >= WILTED_TASKS || now.getTime() - oldest >= WILTED_DAYS * DAY_IN_MS) {
+        return WILTED;
+    }
+    return WILTING;
+}
+
+/**
+ * \brief Returns how many growth points the plant lost between two times, not rounded
+ * @param {*} tasks the open tasks, task objects from TaskData
+ * @param {*} from Date object, when the loss was last worked out
+ * @param {*} to Date object, now
+ */
+export function wiltLoss(tasks, from, to) {
+    let days = 0;
+    for (let i = 0; i < tasks.length; ++i) {
+        let start = overdueFrom(tasks[i]);
+        if (start == null) {
+            continue;
+        }
+        start = Math.max(start, from.getTime());
+        if (start < to.getTime()) {
+            days += (to.getTime() - start) / DAY_IN_MS;
+        }
+    }
+    return days * WILT_POINTS_PER_DAY;
+}
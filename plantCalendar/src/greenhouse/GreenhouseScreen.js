@@ -0,0 +1,106 @@
+import * as React from 'react';
+import {View, Text, StyleSheet, ScrollView, ActivityIndicator} from 'react-native';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import Plant from '../garden/Plant';
+import { getSpecies } from '../garden/Species';
+
+/**
+ * GreenhouseScreen Class
+ *  \brief shows every plant the user has fully grown, newest first, with the date it finished
+ *  \details opened from the GardenScreen, which passes in the user's email through the route params
+ */
+export default class GreenhouseScreen extends React.Component {
+    state = {
+        plants: [],  // the fully grown plants, see garden/Garden.js
+        loading: true,
+        firestoreHandle: new FirestoreHandle(),
+    }
+
+    componentDidMount() {
+        this.state.firestoreHandle.getPlantsFirebase(this.props.route.params.userEmail)
+        .then(querySnapShot => {
+            let plants = querySnapShot.docs.map(doc => doc.data()).filter(plant => plant.fullyGrown);
+            // plants grown before grownAt was saved go last
+            const grownAt = plant => plant.grownAt ? plant.grownAt.toMillis() : 0;
+            plants.sort((a, b) => grownAt(b) - grownAt(a));
+            this.setState({plants: plants, loading: false});
+        }).catch(error => {
+            console.log(error);
+            this.setState({loading: false});
+        });
+    }
+
+    /**
+     * \brief one plant of the grid: the plant, its name and species, and when it finished growing
+     */
+    renderPlant(plant) {
+        const species = getSpecies(plant.species);
+        return (
+            <View key={plant.name} style={styles.plant}>
+                <Plant species={species.id} stage={plant.stage} height={100} />
+                <Text style={styles.nameText} numberOfLines={1}>{plant.name}</Text>
+                <Text style={styles.detailText}>{species.name}</Text>
+                <Text style={styles.detailText}>
+                    {plant.grownAt ? "Grown " + plant.grownAt.toDate().toLocaleDateString() : "Fully grown"}
+                </Text>
+            </View>
+        );
+    }
+
+    render() {
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    {this.state.loading ? <ActivityIndicator size="large" color="#8ccd82" /> : null}
+                    {!this.state.loading && this.state.plants.length == 0 ?
+                        <Text style={styles.emptyText}>
+                            Your fully grown plants will be shown here. Keep tending your garden!
+                        </Text>
+                    : null}
+                    <View style={styles.grid}>
+                        {this.state.plants.map(plant => this.renderPlant(plant))}
+                    </View>
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    grid:{
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'space-between',
+    },
+    plant:{
+        width: '48%',
+        alignItems: 'center',
+        marginBottom: 10,
+        padding: 5,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    nameText:{
+        color: '#000000',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    detailText:{
+        color: '#464e51',
+        fontSize: 13,
+    },
+    emptyText:{
+        alignSelf: 'center',
+        marginTop: 20,
+        textAlign: 'center',
+        fontSize: 18,
+        color: '#8ccd82',
+    },
+});
@@ -0,0 +1,124 @@
+/**
+ * AchievementData Class
+ *  \brief keeps the user's achievement stats and unlocked achievements, see Achievements.js for the catalog
+ *
+ *  \details record is called with every event (see Achievements.js); it adds the event to the stats
+ *           in Firebase and unlocks the achievements whose target has been reached.
+ *           The stats are kept in the user's document in Firebase (achievementStats), the unlocked
+ *           achievements in their achievements collection (see FirestoreHandle.achievementsRef)
+ */
+
+import * as firebase from 'firebase';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import { ACHIEVEMENTS, statChanges, newlyReached } from './Achievements';
+
+export default class AchievementData {
+    /**
+     * @param {*} userEmail used to find the user's data in Firebase
+     */
+    constructor(userEmail) {
+        this.userEmail = userEmail;
+        this.firestoreHandle = new FirestoreHandle();
+
+        this.stats = {};  // {stat: value}, see Achievements.statChanges
+        this.unlocked = {};  // the unlocked achievements by id, {title, coins, unlockedAt}
+        this.cosmetics = [];  // the ids of the cosmetics the user has unlocked, see Achievements.COSMETICS
+        this.loaded = false;
+    }
+
+    /**
+     * \brief loads the stats and unlocked achievements from Firebase, then unlocks any
+     *        achievements that have been reached
+     * \details returns the achievements unlocked now, see checkUnlocks
+     */
+    load = async() => {
+        let user = await firebase.firestore().collection('users').doc(this.userEmail).get();
+        let userData = user.exists ? user.data() : {};
+        this.stats = userData.achievementStats || {};
+        this.cosmetics = userData.cosmetics || [];
+
+        let achievements = await this.firestoreHandle.achievementsRef(this.userEmail).get();
+        this.unlocked = {};
+        achievements.forEach(doc => {
+            this.unlocked[doc.id] = {
+                title: doc.data().title,
+                coins: doc.data().coins,
+                unlockedAt: doc.data().unlockedAt ? doc.data().unlockedAt.toDate() : null,
+            };
+        });
+        this.loaded = true;
+        return await this.checkUnlocks();
+    }
+
+    /**
+     * \brief counts an event towards the user's achievements
+     * \details returns the achievements unlocked by it, see checkUnlocks
+     * @param {*} event see Achievements.js
+     */
+    record = async(event) => {
+        let changes = statChanges(event);
+        if (Object.keys(changes).length == 0) {
+            return [];
+        }
+        // not awaited: offline, the write only finishes once the phone is back online
+        this.firestoreHandle.addAchievementStatsFirebase(this.userEmail, changes);
+        if (!this.loaded) {
+            // the stats loaded from Firebase already include the change
+            return await this.load();
+        }
+        Object.keys(changes).forEach(stat => {
+            this.stats[stat] = (this.stats[stat] || 0) + changes[stat];
+        });
+        return await this.checkUnlocks();
+    }
+
+    /**
+     * \brief unlocks the achievements whose target the stats have reached
+     * \details returns the achievements unlocked now, array of objects from Achievements.ACHIEVEMENTS
+     */
+    checkUnlocks = async() => {
+        let reached = newlyReached(this.stats, Object.keys(this.unlocked));
+        let unlockedNow = [];
+        for (let i = 0; i < reached.length; ++i) {
+            let achievement = reached[i];
+            if (await this.firestoreHandle.unlockAchievementFirebase(this.userEmail, achievement)) {
+                unlockedNow.push(achievement);
+                this.unlocked[achievement.id] = {title: achievement.title, coins: achievement.coins, unlockedAt: new Date()};
+                if (achievement.cosmetic && !this.cosmetics.includes(achievement.cosmetic)) {
+                    this.cosmetics.push(achievement.cosmetic);
+                }
+            }
+        }
+        return unlockedNow;
+    }
+
+    /**
+     * \brief Returns how far the user is towards an achievement, {value, target}
+     * @param {*} achievement the achievement's object, see Achievements.ACHIEVEMENTS
+     */
+    getProgress(achievement) {
+        return {value: Math.max(this.stats[achievement.stat] || 0, 0), target: achievement.target};
+    }
+
+    /**
+     * \brief Returns every achievement, each with unlocked (null if it isn't, see unlocked) and progress
+     */
+    getAchievements() {
+        return ACHIEVEMENTS.map(achievement => ({
+            ...achievement,
+            unlocked: this.unlocked[achievement.id] || null,
+            progress: this.getProgress(achievement),
+        }));
+    }
+}
+
+/**
+ * \brief Returns the message telling the user about achievements they have just unlocked
+ * @param {*} achievements the achievements unlocked, see AchievementData.checkUnlocks
+ */
+export function describeUnlocked(achievements) {
+    let coins = achievements.reduce((total, achievement) => total + (achievement.coins || 0), 0);
+    return achievements.map(achievement => achievement.title).join(", ") +
+        (coins > 0 ? "\nYou have earned " + coins + " coins." : "");
+}
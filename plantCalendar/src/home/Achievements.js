@@ -0,0 +1,125 @@
+/**
+ * Achievements
+ *  \brief the catalog of achievements (badges) the user can unlock, and how events count towards them
+ *
+ *  \details every achievement is unlocked when one of the user's stats reaches its target.
+ *           The stats are counted from events: TaskData emits them when time is tracked on a task
+ *           (see TaskData.onEvent), and the GardenScreen when the plant is cared for or grows up.
+ *           A completed task is counted with its reward instead, at most once per task however often
+ *           it is reopened (see FirestoreHandle.payTaskRewardFirebase), so its event is never emitted.
+ *      Events are
+ *      {type: 'taskCompleted', task, completedAt}      task is the task object, completedAt a Date object
+ *      {type: 'timeTracked', hours}                    hours tracked (negative if a session was shortened)
+ *      {type: 'plantCared'}                            the plant was watered or fertilized
+ *      {type: 'plantGrown'}                            a plant became fully grown
+ *  Progress only counts from the first time the app sends an event, earlier history isn't counted.
+ *  An achievement can pay coins and unlock a cosmetic (see COSMETICS), see AchievementData.js
+ */
+
+// ratios of time spent to estimate this close to 1 count as an accurate estimate
+const ACCURATE_ESTIMATE_MARGIN = 0.1;
+
+// the achievements, in the order they're shown; stat is the stat it counts, see statChanges
+export const ACHIEVEMENTS = [
+    {
+        id: 'firstTask',
+        title: "First step",
+        description: "Complete your first task",
+        stat: 'tasksCompleted',
+        target: 1,
+        coins: 2,
+    },
+    {
+        id: 'fiftyTasks',
+        title: "Getting things done",
+        description: "Complete 50 tasks",
+        stat: 'tasksCompleted',
+        target: 50,
+        coins: 20,
+    },
+    {
+        id: 'highPriorityOnTime',
+        title: "On top of it",
+        description: "Complete 10 high-priority tasks before their due date",
+        stat: 'highPriorityOnTime',
+        target: 10,
+        coins: 15,
+    },
+    {
+        id: 'accurateEstimates',
+        title: "Good judge",
+        description: "Finish a task within 10% of its estimate five times",
+        stat: 'accurateEstimates',
+        target: 5,
+        coins: 10,
+    },
+    {
+        id: 'hundredHours',
+        title: "Centurion",
+        description: "Track 100 hours on your tasks",
+        stat: 'hoursTracked',
+        target: 100,
+        coins: 30,
+    },
+    {
+        id: 'caretaker',
+        title: "Caretaker",
+        description: "Water or fertilize your plant 25 times",
+        stat: 'plantCare',
+        target: 25,
+        coins: 5,
+    },
+    {
+        id: 'firstPlant',
+        title: "Green thumb",
+        description: "Grow your first plant all the way",
+        stat: 'plantsGrown',
+        target: 1,
+        coins: 10,
+        cosmetic: 'meadow',
+    },
+];
+
+// cosmetics achievements can unlock, by id
+export const COSMETICS = {
+    meadow: {title: "Meadow", description: "A meadow behind your garden"},
+};
+
+/**
+ * \brief Returns how an event changes the user's stats, {stat: amount to add}
+ * @param {*} event see the top of this file
+ */
+export function statChanges(event) {
+    switch (event.type) {
+        case 'taskCompleted': {
+            let task = event.task;
+            let changes = {tasksCompleted: 1};
+            if (task.priority == 'high' && task.dueDateAndTime && event.completedAt <= new Date(task.dueDateAndTime)) {
+                changes.highPriorityOnTime = 1;
+            }
+            let estimate = parseFloat(task.estTimeToComplete) || 0;
+            let actual = parseFloat(task.timeSpent) || 0;
+            if (estimate > 0 && actual > 0 && Math.abs(actual / estimate - 1) <= ACCURATE_ESTIMATE_MARGIN) {
+                changes.accurateEstimates = 1;
+            }
+            return changes;
+        }
+        case 'timeTracked':
+            return event.hours != 0 ? {hoursTracked: event.hours} : {};
+        case 'plantCared':
+            return {plantCare: 1};
+        case 'plantGrown':
+            return {plantsGrown: 1};
+    }
+    return {};
+}
+
+/**
+ * \brief Returns the achievements the stats have reached that aren't unlocked yet
+ * @param {*} stats {stat: value}
+ * @param {*} unlockedIds array of the ids of the unlocked achievements
+ */
+export function newlyReached(stats, unlockedIds) {
+    return ACHIEVEMENTS.filter(achievement =>
+        !unlockedIds.includes(achievement.id) && (stats[achievement.stat] || 0) >= achievement.target);
+}
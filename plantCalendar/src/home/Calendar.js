@@ -1,10 +1,20 @@
 import * as React from 'react';
-import { StyleSheet, View, ScrollView } from 'react-native';
+import { StyleSheet, View, ScrollView, Text, TouchableOpacity, Alert } from 'react-native';
 import Task from './Task';  // import task components
+import CalendarGrid from './CalendarGrid';
+
+// the ways the tasks can be shown, see render
+const MODES = [
+    {value: 'list', label: 'List'},
+    {value: 'week', label: 'Week'},
+    {value: 'month', label: 'Month'},
+];
 
 /**
  * Calendar Class
- *  \brief render each individual task
+ *  \brief render each individual task, sorted, filtered and grouped as the user picked (see TaskData.queryTasks),
+ *         with subtasks nested under their parent, or on a week or month grid next to the user's
+ *         Google Calendar events (see CalendarGrid)
  *         Created by HomeScreen using HomeScreen's state's TaskData object and functions for updating and completing tasks 
  *  TODO: rename to Calendar after finished moving functions around
  * 
@@ -12,7 +22,11 @@ import Task from './Task';  // import task components
 export default class Calendar extends React.Component {
     state = {
         taskArray: [],  // array for holding Task components
-        dataInitiated: false  // turns true if TaskData prop has loaded data
+        dataInitiated: false,  // turns true if TaskData prop has loaded data
+        collapsed: {},  // ids of the tasks whose subtasks are hidden
+        gridTasks: [],  // the same tasks as taskArray (subtasks included), as task objects for CalendarGrid
+        mode: 'list',  // 'list', 'week' or 'month'
+        openTaskId: null,  // the task to open as soon as it is shown, see openTask
     }
 
     /**
@@ -22,6 +36,15 @@ export default class Calendar extends React.Component {
         this.renderTask();
     }
 
+    /**
+     * \brief Render the tasks again whenever the user changes the search on the HomeScreen
+     */
+    componentDidUpdate(prevProps) {
+        if (prevProps.searchText != this.props.searchText && this.state.dataInitiated) {
+            this.renderTask();
+        }
+    }
+
     /**
      * \brief Initiates TaskData
      */
@@ -34,58 +57,165 @@ export default class Calendar extends React.Component {
      * \brief Translates TaskData into an array of Tasks
      */
     renderTask = async() => {
-        let taskJson;
         if (this.state.dataInitiated == false) {
-            taskJson = await this.props.taskData.initiate();
+            await this.props.taskData.initiate();
             this.setState({dataInitiated:true});
-        } else {
-            taskJson = this.props.taskData.getData();
         }
+        // sorted, filtered and grouped the way the user picked on the HomeScreen
+        let searchText = this.props.searchText || "";
+        let groups = this.props.taskData.queryTasks(undefined, searchText);
+
+        // a task to open (see openTask) is shown even if its parent is collapsed
+        let collapsed = this.state.collapsed;
+        let openTaskId = this.state.openTaskId;
+        if (openTaskId != null) {
+            let i = this.props.taskData.findTask(openTaskId);
+            if (i == -1) {
+                Alert.alert("This task has already been completed or deleted.");
+                openTaskId = null;
+            } else if (this.props.taskData.taskArray[i].parentId) {
+                collapsed = {...collapsed};
+                collapsed[this.props.taskData.taskArray[i].parentId] = false;
+            }
+        }
+        let openTaskShown = false;
+
         let tempTaskArray = [];
-        for (let i = 0; i < taskJson.length; ++i) {
-            tempTaskArray[i] =  
+        let gridTasks = [];
+        for (let i = 0; i < groups.length; ++i) {
+            // tasks that aren't grouped don't get a header
+            if (groups[i].title != null) {
+                tempTaskArray.push(
+                    <Text key = {"header".concat(groups[i].key)} style = {styles.listHeader}>
+                        {groups[i].title}
+                    </Text>
+                );
+            }
+            for (let j = 0; j < groups[i].tasks.length; ++j) {
+                let {task, subtasks, subtaskCount, archived} = groups[i].tasks[j];
+                tempTaskArray.push(this.createTaskComponent(task, subtaskCount, false, archived));
+                openTaskShown = openTaskShown || task.id == openTaskId;
+                // completed tasks found by the search stay off the grid
+                if (!archived) {
+                    gridTasks.push(task, ...subtasks);
+                }
+
+                // while searching, matching subtasks are shown even if their parent is collapsed
+                if (!collapsed[task.id] || searchText.trim() != "") {
+                    for (let k = 0; k < subtasks.length; ++k) {
+                        tempTaskArray.push(this.createTaskComponent(subtasks[k], 0, true));
+                        openTaskShown = openTaskShown || subtasks[k].id == openTaskId;
+                    }
+                }
+            }
+        }
+        if (openTaskId != null && !openTaskShown) {
+            Alert.alert("This task is hidden by the search or filters.",
+                "Clear them to see it.");
+            openTaskId = null;
+        }
+        // setState will trigger Calender to call its render() function
+        this.setState({taskArray: tempTaskArray, gridTasks: gridTasks, collapsed: collapsed, openTaskId: openTaskId});
+        // the user may have picked other calendars to show events from
+        if (this.grid) {
+            this.grid.loadEvents();
+        }
+    }
+
+    /**
+     * \brief Opens a task's ViewTaskModal, eg. when the user taps one of its reminders
+     * \details switches to the list, where the task's component opens itself once it is rendered
+     *          with openNow (see createTaskComponent); if the tasks haven't loaded yet, it opens
+     *          once they have
+     * @param {*} taskId the task's id in TaskData
+     */
+    openTask = (taskId) => {
+        this.setState({mode: 'list', openTaskId: taskId}, () => {
+            if (this.state.dataInitiated) {
+                this.renderTask();
+            }
+        });
+    }
+
+    /**
+     * \brief Moves a task to another day, keeping the time of day it is due
+     * \details called when the user drags a task onto another day of the CalendarGrid
+     * @param {*} task the task's object in TaskData
+     * @param {*} day Date object, midnight of the day to move the task to
+     */
+    rescheduleTask = async(task, day) => {
+        let dueDate = new Date(task.dueDateAndTime);
+        dueDate.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+        await this.props.taskData.updateTask(task.id, task.taskListId, task.name, dueDate, task.priority,
+            task.estTimeToComplete, task.timeSpent, task.recurrence, task.notes, task.links);
+        this.props.renderCalendar();
+    }
+
+    /**
+     * \brief Shows or hides the subtasks of a task
+     */
+    toggleCollapsed(taskId) {
+        let collapsed = {...this.state.collapsed};
+        collapsed[taskId] = !collapsed[taskId];
+        this.setState({collapsed: collapsed}, () => this.renderTask());
+    }
+
+    /**
+     * \brief Creates the Task component that displays one task from TaskData
+     * @param {*} task the task's object in TaskData
+     * @param {*} subtaskCount how many subtasks the task has
+     * @param {*} isSubtask whether the task is shown nested under its parent
+     * @param {*} archived whether the task has been completed (only shown when searching)
+     */
+    createTaskComponent(task, subtaskCount, isSubtask, archived = false) {
+        return (
                 <Task 
                     // --------------------------------variables-----------------------------
                     userEmail = {this.props.userEmail}
                     // compiler wants a "key" prop when the components are 
                     // rendered in an array
                     // this prop is there to just make the compiler happy
-                    key = {taskJson[i].taskListId.concat(taskJson[i].id)}
+                    key = {task.taskListId.concat(task.id)}
                     // data for the task
-                    id = {taskJson[i].id}
-                    name={taskJson[i].name}
-                    dueDate={new Date(taskJson[i].dueDateAndTime)}
-                    priority={taskJson[i].priority}
-                    estTimeToComplete={taskJson[i].estTimeToComplete}
-                    timeSpent = {taskJson[i].timeSpent}
-                    
-                    currentMoney = {this.props.currentMoney}
+                    id = {task.id}
+                    taskListId = {task.taskListId}
+                    name={task.name}
+                    dueDate={new Date(task.dueDateAndTime)}
+                    priority={task.priority}
+                    estTimeToComplete={task.estTimeToComplete}
+                    timeSpent = {task.timeSpent}
+                    parentId = {task.parentId}
+                    recurrence = {task.recurrence}
+                    notes = {task.notes}
+                    links = {task.links}
+                    googleLinks = {task.googleLinks}
+                    // hours estimated and spent, rolled up from the subtasks
+                    progress = {this.props.taskData.getProgress(task.id)}
+
+                    // --------------------------------subtasks-----------------------------
+                    subtaskCount = {subtaskCount}
+                    isSubtask = {isSubtask}
+                    archived = {archived}
+                    // the search text, highlighted in the task's name and notes
+                    highlight = {this.props.searchText}
+                    collapsed = {!!this.state.collapsed[task.id]}
+                    toggleCollapsed = {() => this.toggleCollapsed(task.id)}
+                    // opens the ViewTaskModal by itself, see openTask
+                    openNow = {this.state.openTaskId == task.id}
+                    onOpened = {() => this.setState({openTaskId: null}, () => this.renderTask())}
 
                     // --------------------------------functions-----------------------------
                     taskData = {this.props.taskData}
                     renderCalendar = {this.props.renderCalendar}
                     
-                    // pass in Calendar's deleteCompletedTask function
-                    // so that when a task is completed, the task can call Calendar's function
-                    // completeTask={(taskId) => this.deleteCompletedTask(taskId)}
                     // pass in the Calendar's renderTask function
                     // so that when a task and possibly the ViewTaskModal needs to re-render
                     //  all the task, they can call this function
-                    updatedTaskHandler={() => this.updatedTaskHandler()}
+                    updatedTaskHandler={() => this.renderTask()}
                     // the updateMoneyDisplay function from the HomeScreen is passed to Task
                     updateMoneyDisplay={() => this.props.updateMoneyDisplay()}
                 ></Task>
-                ;
-        // A sneaky way to make the rendering task work
-            // this ensures that all the tasks will be added to the array
-            //      before Calendar calls its render() function
-            if (i == taskJson.length-1){
-                // if (this.state.dataInitiated == false) 
-                // setState will trigger Calender to call its render() function
-                this.setState({taskArray: tempTaskArray});
-            }
-        }
-        this.setState({taskArray: tempTaskArray});
+        );
     }
 
     render() {
@@ -95,9 +225,39 @@ export default class Calendar extends React.Component {
             }
         return (
             <View style={styles.container}>
-                <ScrollView showsVerticalScrollIndicator={false}>
-                    {returnObject}
-                </ScrollView>
+                {/* switches between the list, week and month views */}
+                <View style={styles.modeRow}>
+                    {MODES.map(mode =>
+                        <TouchableOpacity
+                            key = {mode.value}
+                            style = {this.state.mode == mode.value ? styles.modeButtonSelected : styles.modeButton}
+                            onPress = {() => this.setState({mode: mode.value})}>
+                            <Text style = {this.state.mode == mode.value ? styles.modeTextSelected : styles.modeText}>
+                                {mode.label}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+                    {/* proposes blocks of time in the user's calendar for their tasks */}
+                    <TouchableOpacity style = {styles.modeButton} onPress = {() => this.props.planWeek()}>
+                        <Text style = {styles.modeText}>Plan</Text>
+                    </TouchableOpacity>
+                </View>
+                {this.state.mode == 'list' || this.state.dataInitiated == false ?
+                    <ScrollView showsVerticalScrollIndicator={false}>
+                        {returnObject}
+                    </ScrollView>
+                :
+                    <CalendarGrid
+                        mode = {this.state.mode}
+                        tasks = {this.state.gridTasks}
+                        taskData = {this.props.taskData}
+                        eventData = {this.props.eventData}
+                        ref = {grid => {this.grid = grid}}
+                        renderTaskComponent = {task => this.createTaskComponent(task,
+                            this.props.taskData.getSubtasks(task.id).length, false)}
+                        onReschedule = {this.rescheduleTask}
+                    />
+                }
             </View>
             );
     }
@@ -111,4 +271,43 @@ const styles = StyleSheet.create({
         flex: 1,
         paddingTop:20,
     },
+    modeRow:{
+        flexDirection: 'row',
+        marginBottom: 5,
+    },
+    modeButton:{
+        paddingVertical: 5,
+        paddingHorizontal: 15,
+        marginHorizontal: 5,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    modeButtonSelected:{
+        paddingVertical: 5,
+        paddingHorizontal: 15,
+        marginHorizontal: 5,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+        backgroundColor: '#8ccd82',
+    },
+    modeText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    modeTextSelected:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#ffffff',
+    },
+    listHeader:{
+        alignSelf: 'flex-start',
+        marginTop: 10,
+        marginBottom: 5,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
 });
\ No newline at end of file
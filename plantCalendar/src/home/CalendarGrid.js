@@ -0,0 +1,502 @@
+import * as React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, ScrollView, PanResponder, Animated } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { dueTime, startOfDay, startOfWeek } from './TaskQuery';
+import { formatTime } from './EventData';
+
+// a day with this many hours of work left shows a full load bar
+const FULL_DAY_HOURS = 8;
+// how many tasks a day shows in its cell before "+n more"
+const MAX_CHIPS = {week: 6, month: 2};
+// how many events a day shows in its cell, the month view only has room for the free hours
+const MAX_EVENT_CHIPS = {week: 3, month: 0};
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * DraggableChip Class
+ *  \brief the name of a task inside a day's cell, which the user can drag onto another day
+ *  \details the chip follows the finger; when it is let go, onDrop is called with the
+ *           position of the finger on the screen and the chip jumps back into its cell
+ */
+class DraggableChip extends React.Component {
+    state = {
+        pan: new Animated.ValueXY(),
+    }
+
+    panResponder = PanResponder.create({
+        // only start dragging once the finger moves, so tapping still selects the day
+        onMoveShouldSetPanResponder: (event, gesture) => Math.abs(gesture.dx) > 5 || Math.abs(gesture.dy) > 5,
+        // don't let the HomeScreen's swipe to the garden take over half way through a drag
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: () => this.props.onDragStart(),
+        onPanResponderMove: Animated.event([null, {dx: this.state.pan.x, dy: this.state.pan.y}]),
+        onPanResponderRelease: (event, gesture) => {
+            this.state.pan.setValue({x: 0, y: 0});
+            this.props.onDrop(gesture.moveX, gesture.moveY);
+        },
+        onPanResponderTerminate: () => {
+            this.state.pan.setValue({x: 0, y: 0});
+            this.props.onDrop(null, null);
+        },
+    });
+
+    render() {
+        return (
+            <Animated.View
+                {...this.panResponder.panHandlers}
+                style = {[styles.chip, {transform: this.state.pan.getTranslateTransform()}]}>
+                <Text style = {styles.chipText} numberOfLines = {1}>{this.props.name}</Text>
+            </Animated.View>
+        );
+    }
+}
+
+/**
+ * CalendarGrid Class
+ *  \brief shows the tasks on a week or month grid, on the day they are due
+ *  \details each day shows how many hours of work are left on the tasks due that day.
+ *           Tapping a day lists its tasks under the grid (renderTaskComponent builds their Task components),
+ *           and dragging a task onto another day calls onReschedule(task, day).
+ *           The events of the user's Google calendars (see EventData) are shown next to the tasks,
+ *           with how many of the day's working hours are free.
+ *           Created by Calendar, which passes in the tasks to show (already sorted and filtered)
+ */
+export default class CalendarGrid extends React.Component {
+    state = {
+        // any day in the week or month being shown
+        anchorDate: startOfDay(new Date()),
+        selectedDay: startOfDay(new Date()),
+        // id of the task being dragged, its cell is drawn above the others
+        draggingTaskId: null,
+        // true while the events of the days shown are being loaded from Google Calendar
+        eventsLoading: false,
+    }
+    mounted = false;  // false once the grid is gone (eg. the user went back to the list), see loadEvents
+
+    componentDidMount() {
+        this.mounted = true;
+        this.loadEvents();
+    }
+
+    componentWillUnmount() {
+        this.mounted = false;
+    }
+
+    /**
+     * \brief Loads the events of the days shown again whenever the user moves to another week or month
+     */
+    componentDidUpdate(prevProps, prevState) {
+        if (prevState.anchorDate != this.state.anchorDate || prevProps.mode != this.props.mode) {
+            this.loadEvents();
+        }
+    }
+
+    /**
+     * \brief Loads the events of the days shown on the grid
+     * \details called by Calendar every time it renders the tasks again, so events of newly picked
+     *          calendars show up; EventData doesn't ask Google again if it already has them
+     */
+    loadEvents() {
+        let days = this.getDays();
+        let lastDay = days[days.length - 1];
+        this.setState({eventsLoading: true});
+        this.props.eventData.loadEvents(days[0],
+            new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1)
+        ).catch(
+            // without a connection the grid just shows the tasks
+            error => console.log(error)
+        ).then(() => {
+            if (this.mounted) {
+                this.setState({eventsLoading: false});
+            }
+        });
+    }
+
+    /**
+     * \brief Returns whether events have been loaded, so the free hours can be trusted
+     */
+    hasEvents() {
+        return !this.state.eventsLoading && this.props.eventData.loadedRange != null;
+    }
+
+    /**
+     * \brief Returns the days shown on the grid, from the Monday the week or month starts on
+     */
+    getDays() {
+        let anchor = this.state.anchorDate;
+        let firstDay = this.props.mode == 'week' ? startOfWeek(anchor) :
+            startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+        let dayCount = 7;
+        if (this.props.mode == 'month') {
+            // enough whole weeks to reach the end of the month
+            let lastDay = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+            // (rounded, since a day can be 23 or 25 hours long when the clocks change)
+            dayCount = Math.ceil((Math.round((lastDay - firstDay) / DAY_IN_MS) + 1) / 7) * 7;
+        }
+
+        let days = [];
+        for (let i = 0; i < dayCount; ++i) {
+            days.push(new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate() + i));
+        }
+        return days;
+    }
+
+    /**
+     * \brief Returns the tasks due on the given day
+     */
+    getTasksOn(day) {
+        let nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        return this.props.tasks.filter(task => {
+            let time = dueTime(task);
+            return time != null && time >= day.getTime() && time < nextDay.getTime();
+        });
+    }
+
+    /**
+     * \brief Returns the hours of work left on a list of tasks
+     * \details a task with subtasks doesn't count itself, its subtasks are counted on their own days
+     */
+    getLoad(tasks) {
+        let hours = 0;
+        for (let i = 0; i < tasks.length; ++i) {
+            if (this.props.taskData.getSubtasks(tasks[i].id).length > 0) {
+                continue;
+            }
+            let left = (parseFloat(tasks[i].estTimeToComplete) || 0) - (parseFloat(tasks[i].timeSpent) || 0);
+            hours += Math.max(left, 0);
+        }
+        return hours;
+    }
+
+    /**
+     * \brief Moves the grid a week or month forwards (direction 1) or backwards (direction -1)
+     */
+    changePage(direction) {
+        let anchor = this.state.anchorDate;
+        let newAnchor = this.props.mode == 'week' ?
+            new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * direction) :
+            new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+        this.setState({anchorDate: newAnchor});
+    }
+
+    /**
+     * \brief Remembers where the grid is on the screen, so a dropped task can be matched to a day
+     */
+    measureGrid() {
+        if (this.grid) {
+            this.grid.measureInWindow((x, y, width, height) => {
+                this.gridRect = {x: x, y: y, width: width, height: height};
+            });
+        }
+    }
+
+    /**
+     * \brief Called when the user lets go of a dragged task, reschedules it if it was dropped on another day
+     * @param {*} task the task object from TaskData
+     * @param {*} x position of the finger on the screen, null if the drag was cancelled
+     * @param {*} y position of the finger on the screen, null if the drag was cancelled
+     */
+    dropTask(task, x, y) {
+        this.setState({draggingTaskId: null});
+        if (x == null || !this.gridRect) {
+            return;
+        }
+
+        let days = this.getDays();
+        let rows = days.length / 7;
+        let column = Math.floor((x - this.gridRect.x) / (this.gridRect.width / 7));
+        let row = Math.floor((y - this.gridRect.y) / (this.gridRect.height / rows));
+        if (column < 0 || column >= 7 || row < 0 || row >= rows) {
+            return;
+        }
+
+        let day = days[row * 7 + column];
+        if (day.getTime() != startOfDay(new Date(dueTime(task))).getTime()) {
+            this.setState({selectedDay: day});
+            this.props.onReschedule(task, day);
+        }
+    }
+
+    /**
+     * \brief The bar under a day's number showing how much work is due that day
+     */
+    renderLoad(hours) {
+        if (hours <= 0) {
+            return <View style = {styles.loadBar} />;
+        }
+        let color = hours >= FULL_DAY_HOURS ? '#d9534f' : hours >= FULL_DAY_HOURS / 2 ? '#f0ad4e' : '#8ccd82';
+        return (
+            <View>
+                <View style = {styles.loadBar}>
+                    <View style = {{...styles.loadFill, backgroundColor: color,
+                        width: Math.min(hours / FULL_DAY_HOURS, 1) * 100 + '%'}} />
+                </View>
+                <Text style = {styles.loadText}>{Math.round(hours * 10) / 10}h</Text>
+            </View>
+        );
+    }
+
+    /**
+     * \brief How many of the day's working hours are free, red if that's less than the work due that day
+     */
+    renderFreeHours(day, load) {
+        if (!this.hasEvents()) {
+            return null;
+        }
+        let free = this.props.eventData.getFreeHours(day);
+        return (
+            <Text style = {[styles.freeText, free < load ? styles.notEnoughFreeText : null]}>
+                {Math.round(free * 10) / 10}h free
+            </Text>
+        );
+    }
+
+    /**
+     * \brief The time and title of an event, in a day's cell or in the selected day's list
+     */
+    renderEvent(event, inCell) {
+        let time = event.allDay ? "All day" : formatTime(event.start) + (inCell ? "" : " - " + formatTime(event.end));
+        return (
+            <View key = {event.calendarId + event.id} style = {[inCell ? styles.eventChip : styles.eventRow,
+                {borderLeftColor: event.color}]}>
+                <Text style = {inCell ? styles.eventChipText : styles.eventText} numberOfLines = {1}>
+                    {time} {event.title}
+                </Text>
+            </View>
+        );
+    }
+
+    /**
+     * \brief One day of the grid: its number, its load, its free hours, its events and the tasks due that day
+     */
+    renderDay(day) {
+        let tasks = this.getTasksOn(day);
+        let load = this.getLoad(tasks);
+        let maxChips = MAX_CHIPS[this.props.mode];
+        let events = this.hasEvents() ? this.props.eventData.getEventsOn(day).slice(0, MAX_EVENT_CHIPS[this.props.mode]) : [];
+        let isSelected = day.getTime() == this.state.selectedDay.getTime();
+        let isToday = day.getTime() == startOfDay(new Date()).getTime();
+        // in the month view, days of the months before and after are greyed out
+        let isOtherMonth = this.props.mode == 'month' && day.getMonth() != this.state.anchorDate.getMonth();
+        let hasDraggingTask = tasks.some(task => task.id == this.state.draggingTaskId);
+
+        return (
+            <TouchableOpacity
+                key = {day.toISOString()}
+                style = {[styles.day, this.props.mode == 'week' ? styles.weekDay : styles.monthDay,
+                    isSelected ? styles.selectedDay : null, hasDraggingTask ? styles.draggingDay : null]}
+                onPress = {() => this.setState({selectedDay: day})}>
+                <Text style = {[styles.dayNumber, isToday ? styles.today : null, isOtherMonth ? styles.otherMonth : null]}>
+                    {day.getDate()}
+                </Text>
+                {this.renderLoad(load)}
+                {this.renderFreeHours(day, load)}
+                {events.map(event => this.renderEvent(event, true))}
+                {tasks.slice(0, maxChips).map(task =>
+                    <DraggableChip
+                        key = {task.taskListId.concat(task.id)}
+                        name = {task.name}
+                        onDragStart = {() => {
+                            this.measureGrid();
+                            this.setState({draggingTaskId: task.id});
+                        }}
+                        onDrop = {(x, y) => this.dropTask(task, x, y)}
+                    />
+                )}
+                {tasks.length > maxChips ?
+                    <Text style = {styles.moreText}>+{tasks.length - maxChips} more</Text>
+                : null}
+            </TouchableOpacity>
+        );
+    }
+
+    render() {
+        let days = this.getDays();
+        let weeks = [];
+        for (let i = 0; i < days.length; i += 7) {
+            weeks.push(days.slice(i, i + 7));
+        }
+
+        let title = this.props.mode == 'week' ?
+            "Week of " + days[0].toDateString() :
+            MONTH_NAMES[this.state.anchorDate.getMonth()] + " " + this.state.anchorDate.getFullYear();
+        let selectedTasks = this.getTasksOn(this.state.selectedDay);
+        let selectedEvents = this.hasEvents() ? this.props.eventData.getEventsOn(this.state.selectedDay) : [];
+
+        return (
+            <View style = {styles.container}>
+                {/* moving to the previous or next week or month */}
+                <View style = {styles.header}>
+                    <TouchableOpacity onPress = {() => this.changePage(-1)}>
+                        <Text style = {styles.arrowText}>{"◀"}</Text>
+                    </TouchableOpacity>
+                    <Text style = {styles.titleText}>{title}</Text>
+                    <TouchableOpacity onPress = {() => this.changePage(1)}>
+                        <Text style = {styles.arrowText}>{"▶"}</Text>
+                    </TouchableOpacity>
+                </View>
+                <View style = {styles.week}>
+                    {WEEKDAY_NAMES.map(name => <Text key = {name} style = {styles.weekdayName}>{name}</Text>)}
+                </View>
+
+                <View ref = {grid => {this.grid = grid}} onLayout = {() => this.measureGrid()}>
+                    {weeks.map(week =>
+                        <View key = {week[0].toISOString()} style = {styles.week}>
+                            {week.map(day => this.renderDay(day))}
+                        </View>
+                    )}
+                </View>
+
+                {/* the events and tasks of the day the user tapped */}
+                <Text style = {styles.selectedDayText}>{this.state.selectedDay.toDateString()}</Text>
+                <ScrollView showsVerticalScrollIndicator = {false}>
+                    {selectedEvents.map(event => this.renderEvent(event, false))}
+                    {selectedTasks.length == 0 ?
+                        <Text style = {styles.emptyText}>Nothing due this day.</Text>
+                    : selectedTasks.map(task => this.props.renderTaskComponent(task))}
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+CalendarGrid.propTypes = {
+    mode: PropTypes.oneOf(['week', 'month']).isRequired,
+    tasks: PropTypes.arrayOf(PropTypes.object).isRequired,
+    taskData: PropTypes.object.isRequired,
+    eventData: PropTypes.object.isRequired,
+    renderTaskComponent: PropTypes.func.isRequired,
+    onReschedule: PropTypes.func.isRequired,
+};
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        width: '100%',
+        paddingRight: 10,
+    },
+    header:{
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 5,
+    },
+    arrowText:{
+        fontSize: 20,
+        color: '#8ccd82',
+        paddingHorizontal: 10,
+    },
+    titleText:{
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    week:{
+        flexDirection: 'row',
+    },
+    weekdayName:{
+        flex: 1,
+        textAlign: 'center',
+        color: '#464e51',
+    },
+    day:{
+        flex: 1,
+        borderWidth: 0.5,
+        borderColor: '#8ccd82',
+        padding: 2,
+    },
+    weekDay:{
+        height: 180,
+    },
+    monthDay:{
+        height: 80,
+    },
+    selectedDay:{
+        backgroundColor: '#eaf6e8',
+    },
+    draggingDay:{
+        // keep the dragged task above the other days
+        zIndex: 10,
+        elevation: 10,
+    },
+    dayNumber:{
+        fontSize: 13,
+        color: '#000000',
+    },
+    today:{
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    otherMonth:{
+        color: '#b0b0b0',
+    },
+    loadBar:{
+        height: 4,
+        backgroundColor: '#f2f2f2',
+        borderRadius: 2,
+        overflow: 'hidden',
+    },
+    loadFill:{
+        height: 4,
+    },
+    loadText:{
+        fontSize: 10,
+        color: '#464e51',
+    },
+    chip:{
+        backgroundColor: '#8ccd82',
+        borderRadius: 3,
+        paddingHorizontal: 2,
+        marginTop: 2,
+    },
+    chipText:{
+        fontSize: 10,
+        color: '#ffffff',
+    },
+    freeText:{
+        fontSize: 10,
+        color: '#8ccd82',
+    },
+    notEnoughFreeText:{
+        color: '#d9534f',
+    },
+    eventChip:{
+        borderLeftWidth: 3,
+        backgroundColor: '#f2f2f2',
+        paddingHorizontal: 2,
+        marginTop: 2,
+    },
+    eventChipText:{
+        fontSize: 10,
+        color: '#464e51',
+    },
+    eventRow:{
+        borderLeftWidth: 4,
+        paddingLeft: 8,
+        paddingVertical: 5,
+        marginTop: 5,
+    },
+    eventText:{
+        fontSize: 15,
+        color: '#464e51',
+    },
+    moreText:{
+        fontSize: 10,
+        color: '#464e51',
+    },
+    selectedDayText:{
+        marginTop: 10,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    emptyText:{
+        marginTop: 5,
+        fontSize: 15,
+        color: '#464e51',
+    },
+});
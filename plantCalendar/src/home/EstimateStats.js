@@ -0,0 +1,122 @@
+/**
+ * EstimateStats
+ *  \brief compares how long the user estimated their completed tasks would take with the time they spent on them
+ *
+ *  \details only completed tasks with both an estimate and some time spent are used; each of them is a sample:
+ *      {
+ *          task        the completed task's object, see TaskData.getCompletedData
+ *          estimate    hours the user estimated
+ *          actual      hours the user spent
+ *          ratio       actual / estimate, above 1 when the task took longer than estimated
+ *          date        Date object, when the task was completed
+ *      }
+ *  A ratio for several samples is their total actual hours over their total estimated hours,
+ *  so that big tasks count for more than small ones
+ */
+
+import { startOfWeek } from './TaskQuery';
+
+/**
+ * \brief Returns the samples (see the top of this file) for the completed tasks that can be used
+ * @param {*} completedTasks the completed tasks, see TaskData.getCompletedData
+ */
+export function estimateSamples(completedTasks) {
+    let samples = [];
+    for (let i = 0; i < completedTasks.length; ++i) {
+        let task = completedTasks[i];
+        let estimate = parseFloat(task.estTimeToComplete) || 0;
+        let actual = parseFloat(task.timeSpent) || 0;
+        if (estimate <= 0 || actual <= 0 || !task.completedDate) {
+            continue;
+        }
+        samples.push({
+            task: task,
+            estimate: estimate,
+            actual: actual,
+            ratio: actual / estimate,
+            date: new Date(task.completedDate),
+        });
+    }
+    return samples;
+}
+
+/**
+ * \brief Returns {count, estimate, actual, ratio} for a list of samples, ratio is null if there are none
+ */
+export function summarize(samples) {
+    let estimate = 0;
+    let actual = 0;
+    for (let i = 0; i < samples.length; ++i) {
+        estimate += samples[i].estimate;
+        actual += samples[i].actual;
+    }
+    return {
+        count: samples.length,
+        estimate: estimate,
+        actual: actual,
+        ratio: estimate > 0 ? actual / estimate : null,
+    };
+}
+
+/**
+ * \brief Splits the samples into groups and summarizes each one
+ * \details returns an array of {key, count, estimate, actual, ratio} (see summarize), biggest groups first
+ * @param {*} samples see estimateSamples
+ * @param {*} keyOf function that returns the key of the group a sample goes in
+ */
+export function groupSummaries(samples, keyOf) {
+    let groups = {};
+    for (let i = 0; i < samples.length; ++i) {
+        let key = keyOf(samples[i]);
+        groups[key] = (groups[key] || []).concat([samples[i]]);
+    }
+    return Object.keys(groups)
+        .map(key => ({key: key, ...summarize(groups[key])}))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * \brief Summarizes the samples of each of the last few weeks, oldest first
+ * \details returns an array of {weekStart, count, estimate, actual, ratio}; weeks without samples
+ *          are included with a ratio of null, so the trend shows the gaps
+ * @param {*} samples see estimateSamples
+ * @param {*} weekCount how many weeks to go back, including this one
+ * @param {*} now Date object
+ */
+export function weeklyTrend(samples, weekCount, now = new Date()) {
+    let thisWeek = startOfWeek(now);
+    let weeks = [];
+    for (let i = weekCount - 1; i >= 0; --i) {
+        let weekStart = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 7 * i);
+        let weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+        let weekSamples = samples.filter(sample => sample.date >= weekStart && sample.date < weekEnd);
+        weeks.push({weekStart: weekStart, ...summarize(weekSamples)});
+    }
+    return weeks;
+}
+
+/**
+ * \brief Returns the samples whose estimate was furthest off, in either direction
+ * \details taking twice as long counts as much as taking half as long
+ * @param {*} samples see estimateSamples
+ * @param {*} count how many to return
+ */
+export function worstEstimated(samples, count) {
+    return [...samples]
+        .sort((a, b) => Math.abs(Math.log(b.ratio)) - Math.abs(Math.log(a.ratio)))
+        .slice(0, count);
+}
+
+/**
+ * \brief Describes a ratio in words, eg. "40% over your estimates"
+ */
+export function describeRatio(ratio) {
+    if (ratio == null) {
+        return "no data";
+    }
+    let percent = Math.round(Math.abs(ratio - 1) * 100);
+    if (percent == 0) {
+        return "right on your estimates";
+    }
+    return percent + "% " + (ratio > 1 ? "over" : "under") + " your estimates";
+}
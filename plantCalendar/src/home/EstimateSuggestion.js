@@ -0,0 +1,115 @@
+/**
+ * EstimateSuggestion
+ *  \brief suggests how many hours a new task will take, from the tasks the user has completed
+ *
+ *  \details the completed tasks most like the new one are used: tasks with words of their name in common
+ *           count the most, then tasks in the same list and with the same priority.
+ *           A task the user tracked time on counts with the time it actually took; one they didn't
+ *           counts with its estimate, corrected by how far off the user's estimates usually are
+ *           (their personal factor, see EstimateStats.js).
+ *           The suggestion is {hours, low, high, count}: low to high is the range most similar
+ *           tasks took, and count is how many tasks the suggestion is based on
+ */
+
+import { estimateSamples, summarize } from './EstimateStats';
+
+// how many of the most similar tasks a suggestion is based on
+const MAX_SIMILAR_TASKS = 10;
+// tasks less similar than this (eg. only the same priority) aren't used
+const MIN_SIMILARITY = 1;
+// the personal factor is only used once it's based on this many tasks, and is kept within these bounds
+const MIN_FACTOR_SAMPLES = 3;
+const FACTOR_BOUNDS = [0.5, 3];
+// the range is at least this far either side of the suggestion (as a fraction of it)
+const MIN_RANGE = 0.25;
+
+/**
+ * \brief Returns the words of a task's name that say what it is about, in lower case
+ * \details short words ("a", "to", ...) and numbers ("week 3") are left out
+ */
+function nameWords(name) {
+    return (name || "").toLowerCase().split(/[^a-z0-9]+/)
+        .filter(word => word.length > 2 && isNaN(word));
+}
+
+/**
+ * \brief Returns how much two task names have in common, from 0 (no words) to 1 (the same words)
+ */
+function nameSimilarity(wordsA, wordsB) {
+    if (wordsA.length == 0 || wordsB.length == 0) {
+        return 0;
+    }
+    let setB = new Set(wordsB);
+    let common = new Set(wordsA.filter(word => setB.has(word))).size;
+    let all = new Set(wordsA.concat(wordsB)).size;
+    return common / all;
+}
+
+/**
+ * \brief Returns how far off the user's estimates usually are: the time their tasks took over
+ *        the time they estimated, 1 if there isn't enough history to tell
+ * @param {*} completedTasks the completed tasks, see TaskData.getCompletedData
+ */
+export function personalFactor(completedTasks) {
+    let summary = summarize(estimateSamples(completedTasks));
+    if (summary.count < MIN_FACTOR_SAMPLES) {
+        return 1;
+    }
+    return Math.min(Math.max(summary.ratio, FACTOR_BOUNDS[0]), FACTOR_BOUNDS[1]);
+}
+
+/**
+ * \brief Returns a suggested estimate for a new task, see the top of this file;
+ *        null if no completed task is similar enough
+ * @param {*} name the new task's name
+ * @param {*} taskListId the list the new task goes in
+ * @param {*} priority the new task's priority
+ * @param {*} completedTasks the completed tasks, see TaskData.getCompletedData
+ */
+export function suggestEstimate(name, taskListId, priority, completedTasks) {
+    let factor = personalFactor(completedTasks);
+    let words = nameWords(name);
+
+    let similarTasks = [];
+    for (let i = 0; i < completedTasks.length; ++i) {
+        let task = completedTasks[i];
+        let actual = parseFloat(task.timeSpent) || 0;
+        let estimate = parseFloat(task.estTimeToComplete) || 0;
+        let hours = actual > 0 ? actual : estimate * factor;
+        if (hours <= 0) {
+            continue;
+        }
+        let similarity = 3 * nameSimilarity(words, nameWords(task.name)) +
+            (task.taskListId == taskListId ? 0.5 : 0) + (task.priority == priority ? 0.5 : 0);
+        if (similarity >= MIN_SIMILARITY) {
+            similarTasks.push({hours: hours, weight: similarity});
+        }
+    }
+    if (similarTasks.length == 0) {
+        return null;
+    }
+    similarTasks = similarTasks.sort((a, b) => b.weight - a.weight).slice(0, MAX_SIMILAR_TASKS);
+
+    // averaged on a log scale, so that one very long task doesn't take over
+    let totalWeight = 0;
+    let logMean = 0;
+    for (let i = 0; i < similarTasks.length; ++i) {
+        totalWeight += similarTasks[i].weight;
+        logMean += similarTasks[i].weight * Math.log(similarTasks[i].hours);
+    }
+    logMean /= totalWeight;
+    let logVariance = 0;
+    for (let i = 0; i < similarTasks.length; ++i) {
+        logVariance += similarTasks[i].weight * Math.pow(Math.log(similarTasks[i].hours) - logMean, 2);
+    }
+    let logSpread = Math.max(Math.sqrt(logVariance / totalWeight), Math.log(1 + MIN_RANGE));
+
+    // rounded to the nearest quarter of an hour
+    let round = hours => Math.max(Math.round(hours * 4) / 4, 0.25);
+    return {
+        hours: round(Math.exp(logMean)),
+        low: round(Math.exp(logMean - logSpread)),
+        high: round(Math.exp(logMean + logSpread)),
+        count: similarTasks.length,
+    };
+}
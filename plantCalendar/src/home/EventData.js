@@ -0,0 +1,310 @@
+/**
+ * EventData Class
+ *  \brief stores the user's Google Calendar events, to show them next to their tasks
+ *
+ *  \details The events are only read, never changed. Only the calendars the user picked
+ *           (see CalendarsScreen) are loaded; until they pick some, the calendars they show
+ *           on the Google Calendar website are used. The choice is saved in Firebase.
+ *           It also keeps the blocks of time planned for tasks (see Scheduler.js), which are events
+ *           the app added to the user's main calendar, linked to their task in Firebase.
+ *           After loadEvents, events is a collection of the following objects:
+ *      {
+ *          id
+ *          calendarId
+ *          title
+ *          start       Date object
+ *          end         Date object
+ *          allDay      boolean, all day events don't count as busy time
+ *          busy        boolean, false for events marked "free" in Google Calendar
+ *          color       the color of the event's calendar
+ *      }
+ *  Google Calendar is only reached through calendarHandle and Firebase through firestoreHandle, so
+ *  both can be swapped for stubs (eg. a GoogleCalendarHandle using the stub in stubs/calendarApi.js)
+ */
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import GoogleCalendarHandle from '../dataHandlers/GoogleCalendarHandle';
+
+// the hours of the day that count as time to work on tasks, when nothing is scheduled
+export const DEFAULT_WORKING_HOURS = {start: 9, end: 17};
+const HOUR_IN_MS = 60 * 60 * 1000;
+// planned blocks are added to the user's main calendar
+const BLOCK_CALENDAR_ID = 'primary';
+
+/**
+ * \brief returns the free time between two times, as an array of {start, end} Date objects
+ * \details busy time is the time taken by events that are busy and not all day
+ * @param {*} events array of event objects, see the top of this file
+ * @param {*} from Date object
+ * @param {*} to Date object
+ */
+export function getFreeSlots(events, from, to) {
+    let busy = events.filter(event => event.busy && !event.allDay && event.end > from && event.start < to)
+        .map(event => ({start: Math.max(event.start.getTime(), from.getTime()),
+            end: Math.min(event.end.getTime(), to.getTime())}))
+        .sort((a, b) => a.start - b.start);
+
+    let slots = [];
+    let time = from.getTime();
+    for (let i = 0; i < busy.length; ++i) {
+        if (busy[i].start > time) {
+            slots.push({start: new Date(time), end: new Date(busy[i].start)});
+        }
+        // overlapping events are merged by only ever moving forward
+        time = Math.max(time, busy[i].end);
+    }
+    if (time < to.getTime()) {
+        slots.push({start: new Date(time), end: to});
+    }
+    return slots;
+}
+
+/**
+ * \brief returns the working hours of a day as {start, end} Date objects
+ * @param {*} day Date object, any time on the day
+ * @param {*} workingHours {start, end}, hours of the day (0 to 24)
+ */
+export function getWorkingWindow(day, workingHours) {
+    return {
+        start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), workingHours.start),
+        end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), workingHours.end),
+    };
+}
+
+/**
+ * \brief Returns the time of day of a Date object as H:MM
+ */
+export function formatTime(date) {
+    let minutes = date.getMinutes();
+    return date.getHours() + ":" + (minutes < 10 ? "0" + minutes : minutes);
+}
+
+/**
+ * \brief reads the start or end of a Google event, which is a dateTime for timed events
+ *        and a date (YYYY-MM-DD, in the user's time zone) for all day events
+ */
+function readEventTime(time) {
+    if (time.dateTime) {
+        return new Date(time.dateTime);
+    }
+    let [year, month, day] = time.date.split('-').map(part => parseInt(part));
+    return new Date(year, month - 1, day);
+}
+
+export default class EventData {
+    /**
+     * @param {*} accessToken used to access the user's Google Calendar
+     * @param {*} userEmail used to save the user's choice of calendars in Firebase
+     * @param {*} calendarHandle class for reading Google Calendar, can be given one that uses a local stub
+     * @param {*} firestoreHandle class for reading and saving the user's choices and planned blocks in Firebase,
+     *                            can be given any object with the same functions
+     */
+    constructor(accessToken, userEmail, calendarHandle = new GoogleCalendarHandle(),
+        firestoreHandle = new FirestoreHandle()) {
+        this.accessToken = accessToken;
+        this.userEmail = userEmail;
+        this.calendarHandle = calendarHandle;
+        this.firestoreHandle = firestoreHandle;
+
+        this.calendars = [];  // array of {id, title, color, selected}
+        this.calendarsLoaded = false;
+        this.events = [];  // array of event objects, see the top of this file
+        this.loadedRange = null;  // {from, to}, the times the events were loaded for
+        this.workingHours = {...DEFAULT_WORKING_HOURS};
+        this.timeBlocks = [];  // array of {eventId, calendarId, taskId, start, end}, see loadTimeBlocks
+    }
+
+    /**
+     * \brief loads the user's calendar list from Google, and which ones they picked from Firebase
+     */
+    loadCalendars = async() => {
+        let calendarList = await this.calendarHandle.getCalendarList(this.accessToken);
+
+        let settings = await this.firestoreHandle.getCalendarSettingsFirebase(this.userEmail);
+        let selectedIds = settings.selectedCalendars;
+        if (settings.workingHours) {
+            this.workingHours = settings.workingHours;
+        }
+
+        this.calendars = calendarList.map(calendar => ({
+            id: calendar.id,
+            title: calendar.summaryOverride || calendar.summary,
+            color: calendar.backgroundColor || '#8ccd82',
+            selected: selectedIds ? selectedIds.includes(calendar.id) : !!(calendar.selected || calendar.primary),
+        }));
+        this.calendarsLoaded = true;
+    }
+
+    /**
+     * \brief Returns the user's calendars, an array of {id, title, color, selected}
+     */
+    getCalendars() {
+        return this.calendars;
+    }
+
+    /**
+     * \brief Changes which calendars' events are shown, and saves the choice in Firebase
+     * @param {*} calendarIds array of the ids of the calendars to show
+     */
+    setSelectedCalendars = async(calendarIds) => {
+        for (let i = 0; i < this.calendars.length; ++i) {
+            this.calendars[i].selected = calendarIds.includes(this.calendars[i].id);
+        }
+        // the events have to be loaded again
+        this.loadedRange = null;
+        await this.firestoreHandle.updateSelectedCalendarsFirebase(this.userEmail, calendarIds);
+    }
+
+    /**
+     * \brief Changes the hours of the day the user works on tasks, and saves them in Firebase
+     * @param {*} workingHours {start, end}, hours of the day (0 to 24)
+     */
+    setWorkingHours = async(workingHours) => {
+        this.workingHours = workingHours;
+        await this.firestoreHandle.updateWorkingHoursFirebase(this.userEmail, workingHours);
+    }
+
+    /**
+     * \brief loads the events of the selected calendars between two times from Google Calendar
+     * \details does nothing if the events for that time have been loaded already
+     * @param {*} from Date object
+     * @param {*} to Date object
+     */
+    loadEvents = async(from, to) => {
+        if (this.loadedRange && this.loadedRange.from <= from && this.loadedRange.to >= to) {
+            return;
+        }
+        if (!this.calendarsLoaded) {
+            await this.loadCalendars();
+        }
+
+        let events = [];
+        let calendars = this.calendars.filter(calendar => calendar.selected);
+        for (let i = 0; i < calendars.length; ++i) {
+            let googleEvents = await this.calendarHandle.getCalendarEvents(calendars[i].id, from, to,
+                this.accessToken);
+
+            for (let j = 0; j < googleEvents.length; ++j) {
+                let event = googleEvents[j];
+                if (event.status == 'cancelled' || !event.start || !event.end) {
+                    continue;
+                }
+                events.push({
+                    id: event.id,
+                    calendarId: calendars[i].id,
+                    title: event.summary || "(No title)",
+                    start: readEventTime(event.start),
+                    end: readEventTime(event.end),
+                    allDay: !event.start.dateTime,
+                    busy: event.transparency != 'transparent',
+                    color: calendars[i].color,
+                });
+            }
+        }
+        events.sort((a, b) => a.start - b.start);
+        this.events = events;
+        this.loadedRange = {from: from, to: to};
+    }
+
+    /**
+     * \brief Returns the loaded events that happen (at least partly) on the given day
+     */
+    getEventsOn(day) {
+        let dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        let dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+        return this.events.filter(event => event.start < dayEnd && event.end > dayStart);
+    }
+
+    /**
+     * \brief Returns how many hours of the day's working hours have no events in them
+     */
+    getFreeHours(day) {
+        let window = getWorkingWindow(day, this.workingHours);
+        let slots = getFreeSlots(this.getEventsOn(day), window.start, window.end);
+        let free = 0;
+        for (let i = 0; i < slots.length; ++i) {
+            free += slots[i].end - slots[i].start;
+        }
+        return free / HOUR_IN_MS;
+    }
+
+    // --------------------------Planned Blocks --------------------------
+
+    /**
+     * \brief loads the blocks of time planned for tasks from Firebase, in order
+     */
+    loadTimeBlocks = async() => {
+        let blocks = await this.firestoreHandle.getTimeBlocksFirebase(this.userEmail);
+        this.timeBlocks = blocks.sort((a, b) => a.start - b.start);
+        return this.timeBlocks;
+    }
+
+    /**
+     * \brief Returns the planned blocks that haven't started yet, which planning again can move or remove
+     * @param {*} now Date object
+     */
+    getReplaceableBlocks(now = new Date()) {
+        return this.timeBlocks.filter(block => block.start >= now);
+    }
+
+    /**
+     * \brief writes a new plan to Google Calendar and Firebase
+     * \details the blocks that haven't started yet are reused for the same task where possible
+     *          (their events are moved), the ones left over are deleted, and new events are added for the rest.
+     *          Blocks that have already started are kept as they are
+     * @param {*} blocks the planned blocks, see Scheduler.js
+     * @param {*} now Date object, the time the plan was made
+     */
+    saveTimeBlocks = async(blocks, now = new Date()) => {
+        let staleBlocks = this.getReplaceableBlocks(now);
+
+        for (let i = 0; i < blocks.length; ++i) {
+            let block = blocks[i];
+            let times = {
+                start: {dateTime: block.start.toISOString()},
+                end: {dateTime: block.end.toISOString()},
+            };
+            let index = staleBlocks.findIndex(oldBlock => oldBlock.taskId == block.taskId);
+            let eventId, calendarId;
+
+            if (index != -1) {
+                // move an old block of the same task instead of adding another event
+                let oldBlock = staleBlocks.splice(index, 1)[0];
+                eventId = oldBlock.eventId;
+                calendarId = oldBlock.calendarId;
+                if (oldBlock.start.getTime() == block.start.getTime() && oldBlock.end.getTime() == block.end.getTime()) {
+                    continue;
+                }
+                await this.calendarHandle.updateEvent(calendarId, eventId, {...times, summary: block.name},
+                    this.accessToken);
+            } else {
+                let event = await this.calendarHandle.createEvent(BLOCK_CALENDAR_ID, {
+                    ...times,
+                    summary: block.name,
+                    description: "Time to work on this task, planned by Plant Calendar.",
+                    // lets the event be matched to its task even without Firebase
+                    extendedProperties: {private: {taskId: block.taskId}},
+                }, this.accessToken);
+                eventId = event.id;
+                calendarId = BLOCK_CALENDAR_ID;
+            }
+            await this.firestoreHandle.setTimeBlockFirebase(this.userEmail, eventId, calendarId, block.taskId,
+                block.start, block.end);
+        }
+
+        for (let i = 0; i < staleBlocks.length; ++i) {
+            await this.calendarHandle.deleteEvent(staleBlocks[i].calendarId, staleBlocks[i].eventId,
+                this.accessToken).catch(error => {
+                    // the user may have deleted the event themselves already
+                    if (error.status != 404 && error.status != 410) {
+                        throw error;
+                    }
+                });
+            await this.firestoreHandle.deleteTimeBlockFirebase(this.userEmail, staleBlocks[i].eventId);
+        }
+
+        // the calendar changed, so the events have to be loaded again
+        this.loadedRange = null;
+        await this.loadTimeBlocks();
+    }
+}
@@ -0,0 +1,41 @@
+import * as React from 'react';
+import { StyleSheet, Text } from 'react-native';
+import PropTypes from 'prop-types';
+
+import { splitMatches } from './TaskQuery';
+
+/**
+ * HighlightedText Class
+ *  \brief a Text that highlights every part of its text matching the search on the HomeScreen
+ */
+export default class HighlightedText extends React.Component {
+    render() {
+        let parts = splitMatches(this.props.text, this.props.highlight);
+        return (
+            <Text style = {this.props.style} numberOfLines = {this.props.numberOfLines}>
+                {parts.map((part, index) => part.match ?
+                    <Text key = {"part" + index} style = {styles.highlight}>{part.text}</Text>
+                    : part.text
+                )}
+            </Text>
+        );
+    }
+}
+
+HighlightedText.propTypes = {
+    text: PropTypes.string,
+    highlight: PropTypes.string,
+};
+
+HighlightedText.defaultProps = {
+    text: "",
+    highlight: "",
+};
+
+const styles = StyleSheet.create({
+    highlight:{
+        backgroundColor: '#8ccd82',
+        color: '#ffffff',
+        fontWeight: 'bold',
+    },
+});
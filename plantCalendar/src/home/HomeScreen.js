@@ -1,10 +1,18 @@
 import  React, { Component } from 'react';
-import {View, Text, Button, TouchableOpacity, StyleSheet, Alert} from 'react-native';
-import {Dropdown} from 'react-native-material-dropdown';
+import {View, Text, Button, TouchableOpacity, StyleSheet, Alert, TextInput, ScrollView} from 'react-native';
+import { Notifications } from 'expo';
+import Constants from 'expo-constants';
 import * as Progress from 'react-native-progress';
 import * as firebase from 'firebase';
 import TaskData from './TaskData';
+import EventData from './EventData';
+import GoogleCalendarHandle from '../dataHandlers/GoogleCalendarHandle';
+import StreakData from './StreakData';
+import AchievementData, { describeUnlocked } from './AchievementData';
+import ReminderData from './ReminderData';
+import WiltData from '../garden/WiltData';
 import Calendar from './Calendar';
+import TaskViewBar from './TaskViewBar';
 import GestureRecognizer, {swipeDirections} from 'react-native-swipe-gestures';
 
 export default class HomeScreen extends React.Component {
@@ -19,9 +27,74 @@ export default class HomeScreen extends React.Component {
             money: 0,
             userEmail: this.props.route.params.userEmail,
             refresh: false,
-            taskData: new TaskData(this.props.route.params.accessToken, this.props.route.params.userEmail)
+            // text typed in the search bar, the calendar only shows the tasks that match it
+            searchText: "",
+            taskData: new TaskData(this.props.route.params.accessToken, this.props.route.params.userEmail),
+            // events from the user's Google calendars, shown next to the tasks
+            // app.json's extra.calendarApiUrl points it at a stub of the Calendar API, see stubs/calendarApi.js
+            eventData: new EventData(this.props.route.params.accessToken, this.props.route.params.userEmail,
+                new GoogleCalendarHandle((Constants.manifest.extra || {}).calendarApiUrl)),
         };
+        // the user's daily goal and streak, shown next to the coins
+        this.state.streakData = new StreakData(this.props.route.params.userEmail, this.state.taskData);
+        // the user's achievements, counted from the events TaskData (and the Garden) send
+        this.state.achievementData = new AchievementData(this.props.route.params.userEmail);
+        // schedules the notifications that remind the user of their tasks
+        this.state.reminderData = new ReminderData(this.props.route.params.userEmail);
+        // how overdue tasks hurt the user's plant
+        this.state.wiltData = new WiltData(this.props.route.params.userEmail);
+        this.wiltChecked = false;  // true once the plant has been checked since the app opened
         this.updateMoneyDisplay = this.updateMoneyDisplay.bind(this);
+        this.updateStreak = this.updateStreak.bind(this);
+        this.showUnlocked = this.showUnlocked.bind(this);
+        this.updateReminders = this.updateReminders.bind(this);
+        this.handleNotification = this.handleNotification.bind(this);
+        this.changeTaskView = this.changeTaskView.bind(this);
+        this.changeSearch = this.changeSearch.bind(this);
+        // completed tasks are only loaded from Google the first time the user searches
+        this.completedTasksRequested = false;
+        // coins earned while offline only reach Firebase once TaskData sends its queue,
+        // and so do the completions the streak is worked out from
+        this.state.taskData.onSync = () => {
+            this.updateMoneyDisplay();
+            this.updateStreak();
+            this.updateAchievements();
+            // new tasks get their real ids once they are sent, and their reminders need them
+            this.updateReminders();
+        };
+        this.state.taskData.onTasksChanged = () => {
+            this.updateReminders();
+            // eg. a task created on the phone has been sent and has its real id now
+            if (this.calendar) {
+                this.renderCalendar();
+            }
+            // the plant can only be checked once the tasks have loaded
+            if (!this.wiltChecked && this.state.taskData.initiated) {
+                this.wiltChecked = true;
+                this.checkWilting();
+            }
+        };
+        // the estimates of tasks added in Google Tasks are suggested after they are first shown
+        this.state.taskData.onEstimatesSuggested = () => {
+            if (this.calendar) {
+                this.renderCalendar();
+            }
+        };
+        this.state.taskData.onMutationDropped = (mutation, error) => {
+            // Google's errors have the HTTP status, Firebase's a code (see TaskData's isRetryable)
+            const reason = error.status != undefined ?
+                "Google Tasks would not accept " + this.state.taskData.describeMutation(mutation) +
+                ", most likely because it was changed or deleted somewhere else." :
+                "The app's online storage would not accept " + this.state.taskData.describeMutation(mutation) +
+                " (" + error.code + "), most likely because it was changed or deleted on another phone.";
+            Alert.alert("A change could not be saved",
+                reason + " Your tasks will be loaded again the next time the app opens.");
+        };
+        this.state.taskData.onEvent = (event) => {
+            this.state.achievementData.record(event).then(this.showUnlocked).catch(
+                error => console.log(error)
+            );
+        };
     };
     
     /*
@@ -45,6 +118,55 @@ export default class HomeScreen extends React.Component {
         this.updateMoneyDisplay();
    }
 
+   /**
+    * \brief: Asks the user to allow notifications, and starts listening for the taps on them
+    */
+   componentDidMount() {
+        this.notificationSubscription = Notifications.addListener(this.handleNotification);
+        this.state.reminderData.load().then(this.updateReminders).catch(
+            error => console.log(error)
+        );
+   }
+
+   componentWillUnmount() {
+        this.notificationSubscription.remove();
+        this.state.taskData.dispose();
+   }
+
+   /**
+    * \brief: This function schedules the reminders for the user's open tasks again
+    */
+   updateReminders() {
+        this.state.reminderData.reschedule(this.state.taskData.taskArray);
+   }
+
+   /**
+    * \brief: This function takes the growth points overdue tasks cost from the user's plant
+    * since it was last checked (see garden/Wilting.js), and tells the user about them
+    */
+   checkWilting() {
+        this.state.wiltData.check(this.state.taskData.taskArray).then(lost => {
+            if (lost > 0) {
+                Alert.alert("Your plant is wilting!",
+                    this.state.wiltData.overdueCount + " overdue " +
+                    (this.state.wiltData.overdueCount == 1 ? "task has" : "tasks have") + " cost it " + lost +
+                    " growth points. Complete or reschedule them to help it recover.");
+            }
+        }).catch(
+            error => console.log(error)
+        );
+   }
+
+   /**
+    * \brief: This function opens the task of a reminder the user tapped, see Reminders.js
+    * @param {*} notification the notification object from Expo
+    */
+   handleNotification(notification) {
+        if (notification.origin == 'selected' && notification.data && notification.data.taskId) {
+            this.calendar.openTask(notification.data.taskId);
+        }
+   }
+
    /**
     * \brief: This function updates the dispaly of money in the HomeScreen by getting
     * it from Firebase
@@ -56,13 +178,76 @@ export default class HomeScreen extends React.Component {
         });
    }
  
+   /**
+    * \brief: This function loads the streak from Firebase, which also pays for any streak
+    * milestones reached, and tells the user about them
+    */
+   updateStreak() {
+        this.state.streakData.load().then(paid => {
+            if (paid.length > 0) {
+                let coins = paid.reduce((total, milestone) => total + milestone.coins, 0);
+                Alert.alert(paid[paid.length - 1].days + " day streak!",
+                    "You have earned " + coins + " bonus coins for keeping it up.");
+                this.updateMoneyDisplay();
+            }
+            this.setState({refresh: !this.state.refresh});
+        }).catch(
+            error => console.log(error)
+        );
+   }
+ 
+   /**
+    * \brief: This function loads the achievements from Firebase, which also unlocks any
+    * achievements reached (eg. by events sent while the achievements weren't loaded yet)
+    */
+   updateAchievements() {
+        this.state.achievementData.load().then(this.showUnlocked).catch(
+            error => console.log(error)
+        );
+   }
+ 
+   /**
+    * \brief: This function tells the user about the achievements they have just unlocked
+    * @param {*} unlocked the achievements, see AchievementData.checkUnlocks
+    */
+   showUnlocked(unlocked) {
+        if (unlocked.length > 0) {
+            Alert.alert("Achievement unlocked!", describeUnlocked(unlocked));
+            this.updateMoneyDisplay();
+        }
+   }
+ 
+   /**
+    * \brief: This function is called when the user changes how the tasks are sorted, filtered
+    * or grouped; TaskData saves the choice, then the calendar is rendered again
+    */
+   async changeTaskView(changes) {
+        await this.state.taskData.setTaskView(changes);
+        this.renderCalendar();
+   }
+ 
+   /**
+    * \brief: This function is called every time the user types in the search bar
+    * \details the calendar renders the matching tasks by itself when searchText changes;
+    * the first search also loads the completed tasks (unless they have been loaded already)
+    * so they can be found too
+    */
+   changeSearch(text) {
+        this.setState({searchText: text});
+        if (text.trim() != "" && !this.completedTasksRequested) {
+            this.completedTasksRequested = true;
+            this.state.taskData.loadCompletedHistory().then(() => {
+                // eg. offline: the next search tries again
+                if (!this.state.taskData.completedLoaded) {
+                    this.completedTasksRequested = false;
+                } else if (this.calendar) {
+                    this.calendar.renderTask();
+                }
+            });
+        }
+   }
+ 
     render() {
-        // options for drop-down box
-        let data = [{
-            value: 'By Due Date'},{
-            value: 'By Priority'
-        }];
-
         // configuration for swiping the screen
         const config = {
             velocityThreshold: 0.3,
@@ -79,7 +264,13 @@ export default class HomeScreen extends React.Component {
                     // pass in the userEmail so Garden can have the necessary info
                     // to interact with firestore
                     userEmail: this.props.route.params.userEmail,
-                    money: this.state.money
+                    money: this.state.money,
+                    // caring for the plant counts towards the user's achievements
+                    achievementData: this.state.achievementData,
+                    showUnlocked: this.showUnlocked,
+                    // overdue tasks make the plant wilt
+                    wiltData: this.state.wiltData,
+                    taskData: this.state.taskData,
                     })
                 } 
             }}
@@ -91,13 +282,41 @@ export default class HomeScreen extends React.Component {
             <View style={styles.container}>
             
                 <Text style={styles.text}>You currently have <Text style={{fontWeight:"bold"}}>{this.state.money}</Text> coins</Text>
-            <Dropdown
-                label='Sort'
-                data={data}
-                style={styles.dropDown}
+                {/* the days in a row the user met their daily goal, opens the goal and streak screen */}
+                <TouchableOpacity onPress={()=> this.props.navigation.navigate('Streak', 
+                    {
+                        streakData:this.state.streakData,
+                        updateMoneyDisplay: this.updateMoneyDisplay,
+                        renderCalendar: this.renderCalendar.bind(this),
+                    })}>
+                    <Text style={styles.streakText}>
+                        {this.state.streakData.getStreak().days} day streak
+                        {this.state.streakData.getStreak().todayMet ? ", today's goal met" : ""}
+                    </Text>
+                </TouchableOpacity>
+            {/* search bar, searches the names and notes of the tasks */}
+            <View style={styles.searchRow}>
+                <TextInput
+                    style={styles.searchInput}
+                    value={this.state.searchText}
+                    onChangeText={this.changeSearch}
+                    placeholder="Search tasks"
+                    autoCorrect={false}
+                />
+                {this.state.searchText != "" ?
+                    <TouchableOpacity onPress={() => this.changeSearch("")}>
+                        <Text style={styles.clearText}>Clear</Text>
+                    </TouchableOpacity>
+                : null}
+            </View>
+            <TaskViewBar
+                taskView = {this.state.taskData.getTaskView()}
+                taskLists = {this.state.taskData.getTaskLists()}
+                onChange = {this.changeTaskView}
             />
              <Calendar
                 taskData = {this.state.taskData}
+                eventData = {this.state.eventData}
                 userEmail = {this.props.route.params.userEmail}
                 // ref is required so that the renderTask function from the Calendar
                 // class can be called by the renderCalendar in this class
@@ -107,7 +326,13 @@ export default class HomeScreen extends React.Component {
                 // accessToken = {this.props.route.params.accessToken}
                 userEmail = {this.props.route.params.userEmail}
                 updateMoneyDisplay = {this.updateMoneyDisplay}
-                currentMoney = {this.state.money}
+                searchText = {this.state.searchText}
+                planWeek = {() => this.props.navigation.navigate('Plan',
+                    {
+                        taskData:this.state.taskData,
+                        eventData:this.state.eventData,
+                        renderCalendar: this.renderCalendar.bind(this),
+                    })}
             ></Calendar>
 
             <View style={styles.bottomContainer}>
@@ -127,12 +352,90 @@ export default class HomeScreen extends React.Component {
                         <Text style={styles.textButton}>+</Text>
                 </TouchableOpacity>
 
+                {/* the other buttons scroll sideways, under the create button if there are too many */}
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}
+                    style={{flex: 1}} contentContainerStyle={styles.navRow}>
                 {/* For user to Sign out */}
                 <TouchableOpacity 
                     style={styles.logoutButton}
                     onPress={()=> this.props.navigation.navigate('Login')}>
                     <Text style={styles.textButton}>Sign out</Text>
                 </TouchableOpacity>
+
+                {/* For user to create and rename task lists */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('TaskLists', 
+                        {
+                            taskData:this.state.taskData,
+                            renderCalendar: this.renderCalendar.bind(this),
+                        })}>
+                    <Text style={styles.navButtonText}>Lists</Text>
+                </TouchableOpacity>
+
+                {/* For user to see completed tasks and reopen them */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Archive', 
+                        {
+                            taskData:this.state.taskData,
+                            renderCalendar: this.renderCalendar.bind(this),
+                        })}>
+                    <Text style={styles.navButtonText}>Archive</Text>
+                </TouchableOpacity>
+
+                {/* For user to pick which Google calendars are shown next to the tasks */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Calendars', 
+                        {
+                            eventData:this.state.eventData,
+                            renderCalendar: this.renderCalendar.bind(this),
+                        })}>
+                    <Text style={styles.navButtonText}>Calendars</Text>
+                </TouchableOpacity>
+
+                {/* For user to see how their estimates compare with the time they spent */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Stats', 
+                        {
+                            taskData:this.state.taskData,
+                        })}>
+                    <Text style={styles.navButtonText}>Stats</Text>
+                </TouchableOpacity>
+
+                {/* For user to see every coin they have earned and spent */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Coins', 
+                        {
+                            userEmail: this.props.route.params.userEmail,
+                        })}>
+                    <Text style={styles.navButtonText}>Coins</Text>
+                </TouchableOpacity>
+
+                {/* For user to see the achievements they have unlocked and how close they are to the rest */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Achievements', 
+                        {
+                            achievementData:this.state.achievementData,
+                        })}>
+                    <Text style={styles.navButtonText}>Badges</Text>
+                </TouchableOpacity>
+
+                {/* For user to pick when their tasks remind them */}
+                <TouchableOpacity 
+                    style={styles.navButton}
+                    onPress={()=> this.props.navigation.navigate('Reminders', 
+                        {
+                            reminderData:this.state.reminderData,
+                            taskData:this.state.taskData,
+                        })}>
+                    <Text style={styles.navButtonText}>Reminders</Text>
+                </TouchableOpacity>
+                </ScrollView>
             </View>
            
         </View>
@@ -176,24 +479,61 @@ const styles = StyleSheet.create({
         padding:10,
         borderRadius:5,
     },
+    navButton: {
+        backgroundColor:'#8ccd82',
+        padding:10,
+        marginLeft:10,
+        borderRadius:5,
+    },
+    navButtonText: {
+        textAlign: 'center',
+        fontSize: 18,
+        fontWeight: 'bold',
+        color:'#FFFFFF'
+    },
     bottomContainer:{
         // control how the children align horizontally
         // flex: 2,
         flexDirection:'row',
         marginBottom: 50,
         alignItems: "center",
-        justifyContent: 'space-between',
+        // buttons line up from the left, leaving the right side for the create button
+        justifyContent: 'flex-start',
         padding:10,
     },
+    navRow:{
+        alignItems: "center",
+        // leave room for the create button at the end
+        paddingRight: 100,
+    },
+    searchRow:{
+        flexDirection:'row',
+        alignItems: 'center',
+        paddingRight:10,
+    },
+    searchInput:{
+        flex: 1,
+        height: 40,
+        paddingLeft: 10,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+        fontSize: 15,
+    },
+    clearText:{
+        marginLeft: 10,
+        fontSize: 15,
+        color: '#8ccd82',
+        fontWeight: 'bold',
+    },
     text:{
         marginTop: 15,
         alignSelf: 'center',
         fontSize: 20,
         color: '#8ccd82',   
     },
-    dropDown:{
-        fontSize:15,
-        // fontColor:'#8ccd82',   
-        paddingLeft:10,
-    }
+    streakText:{
+        alignSelf: 'center',
+        fontSize: 15,
+        color: '#464e51',
+    },
 });
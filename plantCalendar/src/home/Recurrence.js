@@ -0,0 +1,248 @@
+/**
+ * Recurrence helpers
+ *  \brief works out when the next occurrence of a recurring task is due
+ *
+ *  \details Google Tasks has no recurrence, so the rule is stored with the task's Firebase document.
+ *           A rule is one of the following JSON objects (or null for a task that doesn't repeat):
+ *      { type: 'daily' }
+ *      { type: 'weekdays' }                    every Monday to Friday
+ *      { type: 'everyNDays', interval: 3 }
+ *      { type: 'monthly', day: 15 }            the 15th (or the last day of shorter months)
+ *      { type: 'rrule', rule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH' }
+ *
+ *           The RRULE subset understands FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL,
+ *           BYDAY (weekly only), BYMONTHDAY (monthly only), COUNT and UNTIL.
+ */
+
+// RRULE day names, in the same order as Date.getDay()
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * \brief options for the recurrence picker, value is the rule's type
+ */
+export const recurrenceTypes = [
+    {value: 'none', label: 'Does not repeat'},
+    {value: 'daily', label: 'Daily'},
+    {value: 'weekdays', label: 'Every weekday'},
+    {value: 'everyNDays', label: 'Every N days'},
+    {value: 'monthly', label: 'Monthly on a day'},
+    {value: 'rrule', label: 'Custom (RRULE)'},
+];
+
+/**
+ * \brief returns a copy of date moved by a number of days, keeping the time of day
+ */
+function addDays(date, days) {
+    let newDate = new Date(date.getTime());
+    newDate.setDate(newDate.getDate() + days);
+    return newDate;
+}
+
+/**
+ * \brief returns a copy of date moved by a number of months, on the given day of the month
+ * \details if the month is too short (eg. the 31st in April), uses its last day
+ */
+function addMonths(date, months, dayOfMonth) {
+    let newDate = new Date(date.getTime());
+    // go to the 1st first, so that setMonth can't overflow into the month after
+    newDate.setDate(1);
+    newDate.setMonth(newDate.getMonth() + months);
+    let daysInMonth = new Date(newDate.getFullYear(), newDate.getMonth() + 1, 0).getDate();
+    newDate.setDate(Math.min(dayOfMonth, daysInMonth));
+    return newDate;
+}
+
+/**
+ * \brief reads an RRULE string like "FREQ=WEEKLY;BYDAY=MO,WE" into an object of its parts
+ * \details returns null if the rule is not part of the supported subset
+ */
+export function parseRRule(rule) {
+    let parts = {};
+    let text = rule.trim().replace(/^RRULE:/i, '');
+    let pairs = text.split(';');
+    for (let i = 0; i < pairs.length; ++i) {
+        let [key, value] = pairs[i].split('=');
+        if (!key || !value) {
+            return null;
+        }
+        parts[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY'].includes(parts.FREQ)) {
+        return null;
+    }
+
+    let parsed = {
+        freq: parts.FREQ,
+        interval: parts.INTERVAL ? parseInt(parts.INTERVAL) : 1,
+        byDay: null,
+        byMonthDay: null,
+        count: parts.COUNT ? parseInt(parts.COUNT) : null,
+        until: null,
+    };
+    if (!(parsed.interval >= 1) || (parts.COUNT && !(parsed.count >= 1))) {
+        return null;
+    }
+
+    if (parts.BYDAY) {
+        parsed.byDay = parts.BYDAY.split(',').map(day => RRULE_DAYS.indexOf(day));
+        if (parsed.freq != 'WEEKLY' || parsed.byDay.includes(-1)) {
+            return null;
+        }
+    }
+    if (parts.BYMONTHDAY) {
+        parsed.byMonthDay = parseInt(parts.BYMONTHDAY);
+        if (parsed.freq != 'MONTHLY' || !(parsed.byMonthDay >= 1 && parsed.byMonthDay <= 31)) {
+            return null;
+        }
+    }
+    if (parts.UNTIL) {
+        // UNTIL is written as 20201231 or 20201231T235959Z
+        let match = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) {
+            return null;
+        }
+        parsed.until = match[4] ?
+            new Date(Date.UTC(match[1], match[2] - 1, match[3], match[5], match[6], match[7])) :
+            new Date(match[1], match[2] - 1, match[3], 23, 59, 59);
+    }
+    return parsed;
+}
+
+/**
+ * \brief checks whether a rule can be used; the recurrence picker uses it before saving
+ */
+export function isValidRecurrence(recurrence) {
+    if (recurrence == null) {
+        return true;
+    }
+    switch (recurrence.type) {
+        case 'daily':
+        case 'weekdays':
+            return true;
+        case 'everyNDays':
+            return Number.isInteger(recurrence.interval) && recurrence.interval >= 1;
+        case 'monthly':
+            return Number.isInteger(recurrence.day) && recurrence.day >= 1 && recurrence.day <= 31;
+        case 'rrule':
+            return typeof recurrence.rule == 'string' && parseRRule(recurrence.rule) != null;
+        default:
+            return false;
+    }
+}
+
+/**
+ * \brief returns the due date of the occurrence that comes right after dueDate, or null if there is none
+ * @param {*} recurrence a rule, see the top of this file
+ * @param {*} dueDate Date object, the due date of the current occurrence
+ */
+function nextDueDate(recurrence, dueDate) {
+    switch (recurrence.type) {
+        case 'daily':
+            return addDays(dueDate, 1);
+        case 'weekdays': {
+            let next = addDays(dueDate, 1);
+            // skip Saturday (6) and Sunday (0)
+            while (next.getDay() == 0 || next.getDay() == 6) {
+                next = addDays(next, 1);
+            }
+            return next;
+        }
+        case 'everyNDays':
+            return addDays(dueDate, recurrence.interval);
+        case 'monthly':
+            return addMonths(dueDate, 1, recurrence.day);
+        case 'rrule':
+            return nextRRuleDate(parseRRule(recurrence.rule), dueDate);
+    }
+    return null;
+}
+
+/**
+ * \brief nextDueDate for an RRULE that has been read by parseRRule
+ */
+function nextRRuleDate(rule, dueDate) {
+    switch (rule.freq) {
+        case 'DAILY':
+            return addDays(dueDate, rule.interval);
+        case 'WEEKLY': {
+            if (!rule.byDay) {
+                return addDays(dueDate, 7 * rule.interval);
+            }
+            // weeks start on Monday; look for a later day in the same week first
+            let dayInWeek = (dueDate.getDay() + 6) % 7;
+            let daysInWeek = rule.byDay.map(day => (day + 6) % 7).sort((a, b) => a - b);
+            let laterDay = daysInWeek.find(day => day > dayInWeek);
+            if (laterDay != undefined) {
+                return addDays(dueDate, laterDay - dayInWeek);
+            }
+            // otherwise the first listed day of the week INTERVAL weeks later
+            return addDays(dueDate, 7 * rule.interval - dayInWeek + daysInWeek[0]);
+        }
+        case 'MONTHLY':
+            return addMonths(dueDate, rule.interval, rule.byMonthDay || dueDate.getDate());
+    }
+    return null;
+}
+
+/**
+ * \brief works out the next occurrence of a recurring task that has just been completed
+ * \details skips occurrences that are already in the past, so a daily task that was
+ *          left for a week comes back once, not seven times
+ *          returns {dueDate, recurrence} for the new task (the rule changes when it has a COUNT),
+ *          or null if the task does not repeat anymore
+ * @param {*} recurrence the completed task's rule, see the top of this file
+ * @param {*} dueDate Date object, the completed task's due date
+ * @param {*} now Date object, defaults to the current time
+ */
+export function nextOccurrence(recurrence, dueDate, now = new Date()) {
+    if (!recurrence || !isValidRecurrence(recurrence) || isNaN(dueDate.getTime())) {
+        return null;
+    }
+
+    let rrule = recurrence.type == 'rrule' ? parseRRule(recurrence.rule) : null;
+    let remaining = rrule && rrule.count ? rrule.count : null;
+    let next = dueDate;
+
+    do {
+        next = nextDueDate(recurrence, next);
+        if (remaining != null) {
+            // COUNT includes the occurrence that was just completed
+            remaining -= 1;
+            if (remaining < 1) {
+                return null;
+            }
+        }
+        if (next == null || (rrule && rrule.until && next > rrule.until)) {
+            return null;
+        }
+    } while (next.getTime() <= now.getTime());
+
+    let nextRecurrence = recurrence;
+    if (remaining != null) {
+        nextRecurrence = {type: 'rrule', rule: recurrence.rule.replace(/COUNT=\d+/i, 'COUNT=' + remaining)};
+    }
+    return {dueDate: next, recurrence: nextRecurrence};
+}
+
+/**
+ * \brief a short description of a rule for displaying to the user, eg. "Every 3 days"
+ */
+export function describeRecurrence(recurrence) {
+    if (!recurrence) {
+        return "Does not repeat";
+    }
+    switch (recurrence.type) {
+        case 'daily':
+            return "Daily";
+        case 'weekdays':
+            return "Every weekday";
+        case 'everyNDays':
+            return "Every " + recurrence.interval + " days";
+        case 'monthly':
+            return "Monthly on day " + recurrence.day;
+        case 'rrule':
+            return "Custom: " + recurrence.rule;
+    }
+    return "Does not repeat";
+}
@@ -0,0 +1,101 @@
+/**
+ * ReminderData Class
+ *  \brief schedules the local notifications that remind the user of their tasks, see Reminders.js
+ *
+ *  \details the reminders are planned again from scratch every time the tasks change (see
+ *           TaskData.onTasksChanged): every notification scheduled before is cancelled, then the
+ *           next reminders and digests are scheduled. The settings are saved on the phone, since
+ *           the notifications are scheduled on it too
+ */
+
+import { Notifications } from 'expo';
+import * as Permissions from 'expo-permissions';
+import { Platform } from 'react-native';
+
+import StorageHandle from '../dataHandlers/StorageHandle';
+import { DEFAULT_REMINDER_SETTINGS, planReminders, planDigests } from './Reminders';
+
+// key used to save the settings on the phone (see StorageHandle)
+const REMINDER_SETTINGS_KEY = "reminderSettings";
+// the Android channel the notifications are sent on
+const CHANNEL_ID = "reminders";
+// iOS only keeps 64 scheduled notifications, leaving room for the digests
+const MAX_REMINDERS = 60;
+const DIGEST_DAYS = 3;
+
+export default class ReminderData {
+    /**
+     * @param {*} userEmail used to save the settings on the phone
+     */
+    constructor(userEmail) {
+        this.userEmail = userEmail;
+        this.storageHandle = new StorageHandle();
+
+        this.settings = {...DEFAULT_REMINDER_SETTINGS};
+        this.permitted = false;  // true once the user has let the app send notifications
+        this.scheduling = false;  // true while reschedule is scheduling notifications
+        this.pendingTasks = null;  // the tasks to plan for once the current reschedule is done
+    }
+
+    /**
+     * \brief loads the settings from the phone and asks the user to allow notifications
+     */
+    load = async() => {
+        this.settings = {...DEFAULT_REMINDER_SETTINGS,
+            ...await this.storageHandle.getItem(this.userEmail, REMINDER_SETTINGS_KEY, {})};
+        let { status } = await Permissions.askAsync(Permissions.NOTIFICATIONS);
+        this.permitted = status == 'granted';
+        if (Platform.OS == 'android') {
+            await Notifications.createChannelAndroidAsync(CHANNEL_ID, {name: "Task reminders", sound: true});
+        }
+    }
+
+    /**
+     * \brief changes the settings, saves them on the phone and plans the reminders again
+     * @param {*} settings see Reminders.DEFAULT_REMINDER_SETTINGS
+     * @param {*} tasks the open tasks, task objects from TaskData
+     */
+    setSettings = async(settings, tasks) => {
+        this.settings = settings;
+        await this.storageHandle.setItem(this.userEmail, REMINDER_SETTINGS_KEY, settings);
+        await this.reschedule(tasks);
+    }
+
+    /**
+     * \brief cancels every scheduled notification and schedules the reminders for the tasks
+     * \details called while it is still scheduling, the tasks are planned for once it's done
+     * @param {*} tasks the open tasks, task objects from TaskData
+     */
+    reschedule = async(tasks) => {
+        this.pendingTasks = tasks;
+        if (this.scheduling) {
+            return;
+        }
+        this.scheduling = true;
+        try {
+            while (this.pendingTasks != null) {
+                let now = new Date();
+                let planned = planReminders(this.pendingTasks, this.settings, now, MAX_REMINDERS).concat(
+                    planDigests(this.pendingTasks, this.settings, now, DIGEST_DAYS));
+                this.pendingTasks = null;
+
+                await Notifications.cancelAllScheduledNotificationsAsync();
+                if (!this.permitted) {
+                    continue;
+                }
+                for (let i = 0; i < planned.length; ++i) {
+                    await Notifications.scheduleLocalNotificationAsync({
+                        title: planned[i].title,
+                        body: planned[i].body,
+                        data: planned[i].data,
+                        ios: {sound: true},
+                        android: {channelId: CHANNEL_ID},
+                    }, {time: planned[i].time});
+                }
+            }
+        } catch (error) {
+            console.log(error);
+        }
+        this.scheduling = false;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Reminders
+ *  \brief works out which local notifications to schedule for the user's open tasks
+ *
+ *  \details every open task with a due date gets a reminder at each of the offsets the user picked
+ *           (see REMINDER_OFFSETS), and every morning there is a digest of the tasks due that day.
+ *           Reminders are only planned in the future, soonest first; the phone can only hold so many
+ *           scheduled notifications (iOS keeps 64), so only the first few are scheduled and the rest
+ *           are planned again the next time the tasks change, see ReminderData.js
+ *      Reminders are {time, title, body, data}: time is a Date object, and data is {taskId} for the
+ *      reminders of a task (so that tapping it opens the task) and {} for the digest
+ */
+
+const MINUTE_IN_MS = 60 * 1000;
+const DAY_IN_MS = 24 * 60 * MINUTE_IN_MS;
+
+// the offsets the user can pick from, in minutes before the task is due
+export const REMINDER_OFFSETS = [
+    {minutes: 24 * 60, label: "1 day before"},
+    {minutes: 3 * 60, label: "3 hours before"},
+    {minutes: 60, label: "1 hour before"},
+    {minutes: 15, label: "15 minutes before"},
+    {minutes: 0, label: "At the due time"},
+];
+
+// offsets are minutes before the task is due, digestHour is the hour of the morning digest
+export const DEFAULT_REMINDER_SETTINGS = {
+    offsets: [24 * 60, 60, 0],
+    digest: true,
+    digestHour: 8,
+};
+
+/**
+ * \brief Returns how long before the due time an offset is, eg. "1 day", "3 hours"
+ * @param {*} minutes the offset, in minutes
+ */
+function describeOffset(minutes) {
+    let amount = minutes;
+    let unit = "minute";
+    if (minutes % (24 * 60) == 0) {
+        amount = minutes / (24 * 60);
+        unit = "day";
+    } else if (minutes % 60 == 0) {
+        amount = minutes / 60;
+        unit = "hour";
+    }
+    return amount + " " + unit + (amount == 1 ? "" : "s");
+}
+
+/**
+ * \brief Returns the reminders for the tasks, soonest first, at most max of them
+ * @param {*} tasks the open tasks, task objects from TaskData
+ * @param {*} settings see DEFAULT_REMINDER_SETTINGS
+ * @param {*} now Date object, reminders before it are left out
+ * @param {*} max how many reminders to return at most
+ */
+export function planReminders(tasks, settings, now, max) {
+    let reminders = [];
+    for (let i = 0; i < tasks.length; ++i) {
+        let task = tasks[i];
+        if (!task.dueDateAndTime) {
+            continue;
+        }
+        let dueDate = new Date(task.dueDateAndTime);
+        for (let j = 0; j < settings.offsets.length; ++j) {
+            let minutes = settings.offsets[j];
+            let time = new Date(dueDate.getTime() - minutes * MINUTE_IN_MS);
+            if (time <= now) {
+                continue;
+            }
+            reminders.push({
+                time: time,
+                title: minutes == 0 ? "Due now" : "Due in " + describeOffset(minutes),
+                body: task.name + " is due " + dueDate.toLocaleString(),
+                data: {taskId: task.id},
+            });
+        }
+    }
+    reminders.sort((a, b) => a.time - b.time);
+    return reminders.slice(0, max);
+}
+
+/**
+ * \brief Returns the morning digests of the next few days, soonest first
+ * \details a day's digest lists the tasks due that day, and says how many are overdue by then
+ *          (assuming they are still open); days with neither are left out
+ * @param {*} tasks the open tasks, task objects from TaskData
+ * @param {*} settings see DEFAULT_REMINDER_SETTINGS
+ * @param {*} now Date object, digests before it are left out
+ * @param {*} days how many days to plan, starting today
+ */
+export function planDigests(tasks, settings, now, days) {
+    if (!settings.digest) {
+        return [];
+    }
+    let digests = [];
+    for (let i = 0; i < days; ++i) {
+        let dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
+        let time = new Date(dayStart.getTime() + settings.digestHour * 60 * MINUTE_IN_MS);
+        if (time <= now) {
+            continue;
+        }
+        let dayEnd = new Date(dayStart.getTime() + DAY_IN_MS);
+        let dueToday = tasks.filter(task => task.dueDateAndTime &&
+            new Date(task.dueDateAndTime) >= dayStart && new Date(task.dueDateAndTime) < dayEnd);
+        let overdue = tasks.filter(task => task.dueDateAndTime && new Date(task.dueDateAndTime) < dayStart);
+        if (dueToday.length == 0 && overdue.length == 0) {
+            continue;
+        }
+        dueToday.sort((a, b) => new Date(a.dueDateAndTime) - new Date(b.dueDateAndTime));
+
+        let lines = dueToday.map(task => "- " + task.name + ", " +
+            new Date(task.dueDateAndTime).toLocaleTimeString([], {hour: 'numeric', minute: '2-digit'}));
+        if (overdue.length > 0) {
+            lines.push(overdue.length + (overdue.length == 1 ? " task is" : " tasks are") + " overdue");
+        }
+        digests.push({
+            time: time,
+            title: dueToday.length == 0 ? "Nothing due today" :
+                dueToday.length + (dueToday.length == 1 ? " task" : " tasks") + " due today",
+            body: lines.join("\n"),
+            data: {},
+        });
+    }
+    return digests;
+}
@@ -0,0 +1,92 @@
+/**
+ * Rewards
+ *  \brief how many coins the user earns for completing a task, and why
+ *
+ *  \details a task pays
+ *      - a few coins for its priority
+ *      - coins for every hour tracked on it (see TaskData.startTimer), up to MAX_TRACKED_HOURS
+ *      - fewer coins for the hours it was estimated at but not tracked; since anyone can type in a big
+ *        estimate, only MAX_UNVERIFIED_HOURS of them count
+ *      and then more if it was completed on time, less if it was late.
+ *  A reward is {coins, parts, timing}: parts is an array of {label, coins} adding up to the coins
+ *  before the timing, timing is {label, factor} (null for tasks without a due date).
+ *  TaskData.completeTask works out the reward; Firebase makes sure each task only pays once
+ */
+
+// coins for each priority
+const PRIORITY_COINS = {low: 1, medium: 2, high: 3};
+// coins for every tracked hour, and how many tracked hours count
+const COINS_PER_TRACKED_HOUR = 2;
+const MAX_TRACKED_HOURS = 8;
+// coins for every estimated hour that wasn't tracked, and how many of them count
+const COINS_PER_UNVERIFIED_HOUR = 1;
+const MAX_UNVERIFIED_HOURS = 2;
+// what the coins are multiplied by for completing a task on time or late
+const ON_TIME_FACTOR = 1.25;
+const LATE_FACTOR = 0.5;
+
+/**
+ * \brief Returns an amount of hours in a few words, eg. "1.5 hours"
+ */
+function formatHours(hours) {
+    let rounded = Math.round(hours * 10) / 10;
+    return rounded + (rounded == 1 ? " hour" : " hours");
+}
+
+/**
+ * \brief Returns the reward (see the top of this file) for completing a task
+ * @param {*} task a task object from TaskData's taskArray
+ * @param {*} completedAt Date object, when the task is completed
+ */
+export function computeReward(task, completedAt = new Date()) {
+    let priority = PRIORITY_COINS[task.priority] != undefined ? task.priority : 'medium';
+    let tracked = Math.max(parseFloat(task.timeSpent) || 0, 0);
+    let estimate = Math.max(parseFloat(task.estTimeToComplete) || 0, 0);
+
+    let parts = [{
+        label: priority.charAt(0).toUpperCase() + priority.slice(1) + " priority",
+        coins: PRIORITY_COINS[priority],
+    }];
+    if (tracked > 0) {
+        let counted = Math.min(tracked, MAX_TRACKED_HOURS);
+        parts.push({
+            label: formatHours(tracked) + " tracked" +
+                (tracked > MAX_TRACKED_HOURS ? " (" + MAX_TRACKED_HOURS + " count)" : ""),
+            coins: Math.round(counted * COINS_PER_TRACKED_HOUR),
+        });
+    }
+    let unverified = estimate - tracked;
+    if (unverified > 0) {
+        let counted = Math.min(unverified, MAX_UNVERIFIED_HOURS);
+        parts.push({
+            label: formatHours(unverified) + " estimated but not tracked" +
+                (unverified > MAX_UNVERIFIED_HOURS ? " (" + MAX_UNVERIFIED_HOURS + " count)" : ""),
+            coins: Math.round(counted * COINS_PER_UNVERIFIED_HOUR),
+        });
+    }
+
+    let timing = null;
+    if (task.dueDateAndTime) {
+        timing = completedAt <= new Date(task.dueDateAndTime) ?
+            {label: "Completed on time", factor: ON_TIME_FACTOR} :
+            {label: "Completed late", factor: LATE_FACTOR};
+    }
+
+    let coins = parts.reduce((total, part) => total + part.coins, 0);
+    if (timing != null) {
+        coins = Math.round(coins * timing.factor);
+    }
+    return {coins: Math.max(coins, 1), parts: parts, timing: timing};
+}
+
+/**
+ * \brief Returns how a reward was worked out, one line per part, to show the user
+ */
+export function describeReward(reward) {
+    let lines = reward.parts.map(part => part.label + ": +" + part.coins);
+    if (reward.timing != null) {
+        let percent = Math.round((reward.timing.factor - 1) * 100);
+        lines.push(reward.timing.label + ": " + (percent > 0 ? "+" : "") + percent + "%");
+    }
+    return lines.join("\n");
+}
@@ -0,0 +1,113 @@
+/**
+ * Scheduler
+ *  \brief plans when the user should work on their open tasks, by placing blocks of work
+ *         into the free time of their calendar (used by PlanScreen's "Plan my week")
+ *
+ *  \details the tasks due first are planned first, and tasks due the same day go by priority.
+ *           A task's remaining hours can be split across several free slots, but all of it
+ *           has to fit before the task is due (overdue tasks are planned as soon as possible).
+ *           A planned block is a JSON object:
+ *      {
+ *          taskId
+ *          taskListId
+ *          name        the task's name, used as the title of the block's calendar event
+ *          start       Date object
+ *          end         Date object
+ *      }
+ */
+
+import { getFreeSlots, getWorkingWindow } from './EventData';
+import { dueTime, startOfDay, PRIORITY_ORDER } from './TaskQuery';
+
+// blocks shorter than this aren't worth switching tasks for (unless it's all that is left of the task)
+export const MIN_BLOCK_HOURS = 0.25;
+const HOUR_IN_MS = 60 * 60 * 1000;
+
+/**
+ * \brief returns the free time inside the working hours of every day between two times,
+ *        as an array of {start, end} Date objects in order
+ * @param {*} events the events that take up time, see EventData
+ * @param {*} from Date object, usually now
+ * @param {*} to Date object
+ * @param {*} workingHours {start, end}, hours of the day (0 to 24)
+ */
+export function getWorkingSlots(events, from, to, workingHours) {
+    let slots = [];
+    for (let day = startOfDay(from); day < to; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        let window = getWorkingWindow(day, workingHours);
+        let start = window.start < from ? from : window.start;
+        let end = window.end > to ? to : window.end;
+        if (start < end) {
+            slots = slots.concat(getFreeSlots(events, start, end));
+        }
+    }
+    return slots;
+}
+
+/**
+ * \brief compare function for the order tasks are planned in: by due day, then by priority
+ */
+function comparePlanOrder(a, b) {
+    let dueA = dueTime(a);
+    let dueB = dueTime(b);
+    if (dueA == null || dueB == null) {
+        return (dueA == null) - (dueB == null);
+    }
+    let dayDifference = startOfDay(new Date(dueA)) - startOfDay(new Date(dueB));
+    if (dayDifference != 0) {
+        return dayDifference;
+    }
+    let rankA = PRIORITY_ORDER.indexOf(a.priority);
+    let rankB = PRIORITY_ORDER.indexOf(b.priority);
+    return (rankA == -1 ? PRIORITY_ORDER.length : rankA) - (rankB == -1 ? PRIORITY_ORDER.length : rankB) ||
+        dueA - dueB;
+}
+
+/**
+ * \brief places the remaining work of the tasks into the free slots
+ * \details returns {blocks, unplanned}: blocks is an array of blocks (see the top of this file) in order,
+ *          unplanned is an array of {task, hours}, the work that didn't fit before the task is due
+ * @param {*} tasks the task objects from TaskData to plan, tasks with no time left are skipped
+ * @param {*} slots the free time, see getWorkingSlots
+ * @param {*} getTimeLeft function that returns the hours left on a task, or null if it has no estimate
+ * @param {*} now Date object, tasks due before this are overdue
+ */
+export function planBlocks(tasks, slots, getTimeLeft, now = new Date()) {
+    // the part of each slot that hasn't been given to a task yet
+    let free = slots.map(slot => ({start: slot.start.getTime(), end: slot.end.getTime()}));
+    let minBlock = MIN_BLOCK_HOURS * HOUR_IN_MS;
+    let blocks = [];
+    let unplanned = [];
+
+    let orderedTasks = tasks.filter(task => getTimeLeft(task) > 0).sort(comparePlanOrder);
+    for (let i = 0; i < orderedTasks.length; ++i) {
+        let task = orderedTasks[i];
+        let left = getTimeLeft(task) * HOUR_IN_MS;
+        let due = dueTime(task);
+        let deadline = due != null && due > now.getTime() ? due : Infinity;
+
+        for (let j = 0; j < free.length && left > 0; ++j) {
+            let end = Math.min(free[j].end, deadline);
+            let length = Math.min(left, end - free[j].start);
+            if (length <= 0 || length < Math.min(left, minBlock)) {
+                continue;
+            }
+            blocks.push({
+                taskId: task.id,
+                taskListId: task.taskListId,
+                name: task.name,
+                start: new Date(free[j].start),
+                end: new Date(free[j].start + length),
+            });
+            free[j].start += length;
+            left -= length;
+        }
+
+        if (left > 0) {
+            unplanned.push({task: task, hours: left / HOUR_IN_MS});
+        }
+    }
+
+    blocks.sort((a, b) => a.start - b.start);
+    return {blocks: blocks, unplanned: unplanned};
+}
@@ -0,0 +1,158 @@
+/**
+ * StreakData Class
+ *  \brief keeps the user's daily goal and streak, see Streaks.js for how the streak is worked out
+ *
+ *  \details The completions come from Firebase (the tasks completed in the last LOOKBACK_DAYS) and from
+ *           TaskData's queue (the ones that haven't been sent yet, see TaskData.getPendingCompletions).
+ *           The goal, the user's streak freezes, the days they froze and the streak milestones they
+ *           have been paid for are kept in the user's document in Firebase.
+ *           Every time it loads, it also looks after the streak: missed days are covered with the
+ *           user's freezes (if they have enough to keep the streak going), and milestones are paid for
+ */
+
+import * as firebase from 'firebase';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import { DEFAULT_DAILY_GOAL, STREAK_MILESTONES, computeStreak, missedDays } from './Streaks';
+
+// how many days of completions are loaded; a streak can't be longer than this
+const LOOKBACK_DAYS = 400;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+// after the first load, only completions from a little before the last load are loaded again
+const RELOAD_MARGIN = 10 * 60 * 1000;
+// how many coins a streak freeze costs, and how many of them the user can hold
+export const FREEZE_COST = 15;
+export const MAX_FREEZES = 2;
+
+export default class StreakData {
+    /**
+     * @param {*} userEmail used to find the user's data in Firebase
+     * @param {*} taskData the TaskData object, for the completions that haven't reached Firebase yet
+     */
+    constructor(userEmail, taskData) {
+        this.userEmail = userEmail;
+        this.taskData = taskData;
+        this.firestoreHandle = new FirestoreHandle();
+
+        this.goal = {...DEFAULT_DAILY_GOAL};  // {type, amount}, see Streaks.js
+        this.freezes = 0;  // how many streak freezes the user has
+        this.frozenDays = [];  // the days covered by a freeze, as "YYYY-MM-DD"
+        this.paidMilestones = [];  // the keys of the milestones paid for, see payMilestones
+        this.savedCompletions = {};  // the completions in Firebase, by task id
+        this.lastLoad = null;  // when load last started, in ms
+    }
+
+    /**
+     * \brief loads the goal, freezes and completions from Firebase, then uses freezes and pays
+     *        milestones if needed (see the top of this file)
+     * \details returns the milestones paid for, see payMilestones
+     */
+    load = async() => {
+        let loadStart = Date.now();
+        let user = await firebase.firestore().collection('users').doc(this.userEmail).get();
+        let userData = user.exists ? user.data() : {};
+        this.goal = userData.dailyGoal || {...DEFAULT_DAILY_GOAL};
+        this.freezes = userData.streakFreezes || 0;
+        this.frozenDays = userData.frozenDays || [];
+        this.paidMilestones = userData.paidStreakMilestones || [];
+
+        let since = this.lastLoad != null ? this.lastLoad - RELOAD_MARGIN : loadStart - LOOKBACK_DAYS * DAY_IN_MS;
+        let tasks = await this.firestoreHandle.getCompletionsFirebase(this.userEmail, new Date(since).toISOString());
+        tasks.forEach(doc => {
+            if (doc.data().completed) {
+                this.savedCompletions[doc.id] = {
+                    taskId: doc.id,
+                    completedAt: doc.data().completedAt,
+                    hours: doc.data().timeSpent,
+                };
+            } else {
+                delete this.savedCompletions[doc.id];
+            }
+        });
+        this.lastLoad = loadStart;
+
+        await this.useFreezes();
+        return await this.payMilestones();
+    }
+
+    /**
+     * \brief Returns every completion, from Firebase and from TaskData's queue
+     */
+    getCompletions() {
+        let completions = {...this.savedCompletions};
+        let pending = this.taskData.getPendingCompletions();
+        for (let i = 0; i < pending.length; ++i) {
+            completions[pending[i].taskId] = pending[i];
+        }
+        return Object.values(completions);
+    }
+
+    /**
+     * \brief Returns the user's streak now, {days, start, todayMet, today}, see Streaks.computeStreak
+     */
+    getStreak(now = new Date()) {
+        return computeStreak(this.getCompletions(), this.goal, this.frozenDays, now);
+    }
+
+    /**
+     * \brief changes the user's daily goal and saves it in Firebase
+     * @param {*} goal {type, amount}, see Streaks.js
+     */
+    setGoal = async(goal) => {
+        this.goal = goal;
+        await this.firestoreHandle.updateDailyGoalFirebase(this.userEmail, goal);
+    }
+
+    /**
+     * \brief buys a streak freeze with the user's coins
+     * \details returns true if it was bought, false if the user doesn't have enough coins
+     *          or already has MAX_FREEZES
+     */
+    buyFreeze = async() => {
+        let bought = await this.firestoreHandle.buyStreakFreezeFirebase(this.userEmail, FREEZE_COST, MAX_FREEZES);
+        if (bought) {
+            this.freezes += 1;
+        }
+        return bought;
+    }
+
+    /**
+     * \brief covers the days the user last missed their goal with their freezes, one freeze a day
+     * \details only if there was a streak before those days and the user has enough freezes to cover
+     *          all of them (see Streaks.missedDays); otherwise the streak is over and the freezes are kept
+     */
+    useFreezes = async(now = new Date()) => {
+        let missed = missedDays(this.getCompletions(), this.goal, this.frozenDays, this.freezes, now);
+        if (missed.days.length == 0 || missed.days.length > this.freezes || missed.streakBefore == 0) {
+            return;
+        }
+        if (await this.firestoreHandle.useStreakFreezesFirebase(this.userEmail, missed.days)) {
+            this.freezes -= missed.days.length;
+            this.frozenDays = this.frozenDays.concat(missed.days);
+        }
+    }
+
+    /**
+     * \brief pays the bonus coins of every milestone (see Streaks.STREAK_MILESTONES) the streak has reached
+     * \details a milestone's key is the first day of the streak and its number of days, so a new streak
+     *          can earn the same milestones again; Firebase makes sure each key only pays once.
+     *          Returns the milestones paid for now, array of {days, coins}
+     */
+    payMilestones = async(now = new Date()) => {
+        let streak = this.getStreak(now);
+        let paid = [];
+        for (let i = 0; i < STREAK_MILESTONES.length; ++i) {
+            let milestone = STREAK_MILESTONES[i];
+            let key = streak.start + ":" + milestone.days;
+            if (milestone.days > streak.days || this.paidMilestones.includes(key)) {
+                continue;
+            }
+            if (await this.firestoreHandle.payStreakMilestoneFirebase(this.userEmail, key,
+                    milestone.days, milestone.coins)) {
+                paid.push(milestone);
+                this.paidMilestones.push(key);
+            }
+        }
+        return paid;
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Streaks
+ *  \brief works out the user's streak: how many days in a row they have met their daily goal
+ *
+ *  \details the daily goal is {type, amount}: type is 'tasks' to complete a number of tasks a day,
+ *           or 'hours' to complete tasks worth a number of tracked hours a day.
+ *           The streak is worked out from completions, {taskId, completedAt, hours}: completedAt is when
+ *           TaskData.completeTask ran (an RFC3339 timestamp), hours is the time tracked on the task.
+ *           A day the goal wasn't met can be covered by a streak freeze (see StreakData.js): a frozen day
+ *           doesn't count towards the streak, but doesn't end it either.
+ *           Today only ends the streak once it's over, so the streak shown in the morning is yesterday's
+ */
+
+export const DEFAULT_DAILY_GOAL = {type: 'tasks', amount: 3};
+// how many days back a missed day can still be covered by a streak freeze, see missedDays
+const FREEZE_WINDOW_DAYS = 3;
+// streaks long enough to pay bonus coins, see StreakData.payMilestones
+export const STREAK_MILESTONES = [
+    {days: 3, coins: 5},
+    {days: 7, coins: 10},
+    {days: 14, coins: 20},
+    {days: 30, coins: 40},
+    {days: 60, coins: 80},
+    {days: 100, coins: 150},
+];
+
+/**
+ * \brief Returns the local day of a Date object as "YYYY-MM-DD", used as a key for days
+ */
+export function dayKey(date) {
+    let pad = number => (number < 10 ? "0" : "") + number;
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+/**
+ * \brief Returns the day that is a number of days before a Date object, at midnight
+ */
+function daysBefore(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - days);
+}
+
+/**
+ * \brief Returns the tasks completed and their hours for each day, {dayKey: {tasks, hours}}
+ * @param {*} completions see the top of this file
+ */
+export function dailyTotals(completions) {
+    let totals = {};
+    for (let i = 0; i < completions.length; ++i) {
+        let key = dayKey(new Date(completions[i].completedAt));
+        let total = totals[key] || {tasks: 0, hours: 0};
+        totals[key] = {tasks: total.tasks + 1, hours: total.hours + (parseFloat(completions[i].hours) || 0)};
+    }
+    return totals;
+}
+
+/**
+ * \brief Returns how much of the goal a day's total reaches, 1 or more when it's met
+ * @param {*} total {tasks, hours}, see dailyTotals; undefined for a day without completions
+ * @param {*} goal the daily goal, see the top of this file
+ */
+export function goalProgress(total, goal) {
+    let done = total ? total[goal.type] : 0;
+    return goal.amount > 0 ? done / goal.amount : 0;
+}
+
+/**
+ * \brief Returns {days, start} for the streak ending on a day: how many days it has (frozen days don't count)
+ *        and the key of its first day, null if there is no streak
+ * @param {*} totals see dailyTotals
+ * @param {*} goal the daily goal
+ * @param {*} frozenDays array of the keys of frozen days
+ * @param {*} lastDay Date object, the day the streak ends on
+ */
+function streakEndingOn(totals, goal, frozenDays, lastDay) {
+    let days = 0;
+    let start = null;
+    for (let i = 0; ; ++i) {
+        let key = dayKey(daysBefore(lastDay, i));
+        if (goalProgress(totals[key], goal) >= 1) {
+            days += 1;
+            start = key;
+        } else if (frozenDays.indexOf(key) == -1) {
+            break;
+        }
+    }
+    return {days: days, start: start};
+}
+
+/**
+ * \brief Returns the user's streak now: {days, start, todayMet, today}
+ * \details days and start are described in streakEndingOn; today is today's {tasks, hours}
+ * @param {*} completions see the top of this file
+ * @param {*} goal the daily goal
+ * @param {*} frozenDays array of the keys of frozen days
+ * @param {*} now Date object
+ */
+export function computeStreak(completions, goal, frozenDays, now = new Date()) {
+    let totals = dailyTotals(completions);
+    let today = totals[dayKey(now)] || {tasks: 0, hours: 0};
+    let todayMet = goalProgress(today, goal) >= 1;
+    let streak = streakEndingOn(totals, goal, frozenDays, todayMet ? now : daysBefore(now, 1));
+    return {days: streak.days, start: streak.start, todayMet: todayMet, today: today};
+}
+
+/**
+ * \brief Returns the days a streak freeze could cover now: {days, streakBefore}
+ * \details days are the keys of the latest days missed in a row (newest first, at most maxDays + 1
+ *          of them); only days missed in the last FREEZE_WINDOW_DAYS count, so old gaps between
+ *          streaks are left alone. streakBefore is how many days the streak before them had;
+ *          freezing the days only keeps a streak going if there are no more of them than freezes
+ *          and streakBefore is more than 0
+ * @param {*} completions see the top of this file
+ * @param {*} goal the daily goal
+ * @param {*} frozenDays array of the keys of frozen days
+ * @param {*} maxDays how many days could be frozen (the user's freezes)
+ * @param {*} now Date object
+ */
+export function missedDays(completions, goal, frozenDays, maxDays, now = new Date()) {
+    let totals = dailyTotals(completions);
+    let isCovered = key => goalProgress(totals[key], goal) >= 1 || frozenDays.indexOf(key) != -1;
+
+    // the newest missed day, skipping the days of the streak since then
+    let first = 1;
+    while (first <= FREEZE_WINDOW_DAYS && isCovered(dayKey(daysBefore(now, first)))) {
+        first += 1;
+    }
+    if (first > FREEZE_WINDOW_DAYS) {
+        return {days: [], streakBefore: 0};
+    }
+
+    let days = [];
+    for (let i = first; i < first + maxDays + 1; ++i) {
+        let key = dayKey(daysBefore(now, i));
+        if (isCovered(key)) {
+            break;
+        }
+        days.push(key);
+    }
+    let streakBefore = streakEndingOn(totals, goal, frozenDays, daysBefore(now, first + days.length));
+    return {days: days, streakBefore: streakBefore.days};
+}
+
+/**
+ * \brief Returns the next milestone (see STREAK_MILESTONES) a streak will reach, null after the last one
+ */
+export function nextMilestone(streakDays) {
+    return STREAK_MILESTONES.find(milestone => milestone.days > streakDays) || null;
+}
@@ -6,7 +6,10 @@ import PropTypes from 'prop-types';
 // allow a child component (not a Screen) to use the "navigation"
 // in this case, allow a Task component to open the ViewTaskModal
 import { useNavigation } from '@react-navigation/native';
-import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+// allow the user to swipe a task to the left to reveal the delete button
+import Swipeable from 'react-native-gesture-handler/Swipeable';
+import HighlightedText from './HighlightedText';
+import { describeReward } from './Rewards';
 
 /**
  * Task Class
@@ -17,6 +20,7 @@ class Task extends React.Component {
     constructor(props) {
         super(props);
         this.isCompleted = this.isCompleted.bind(this);
+        this.deleteTask = this.deleteTask.bind(this);
     }
 
     state = {
@@ -27,34 +31,159 @@ class Task extends React.Component {
         checked: false,
         // for estimated time left
         timeLeft: this.props.estTimeToComplete-this.props.timeSpent,
-        firebaseHandle: new FirestoreHandle,
     };
 
 
     /**
      * \brief check the checkbox, update money, animate fading out, 
      *  and call parent (Calendar Class)'s function to complete this task
+     * \details the task can only be completed once, pressing the checkbox again does nothing
      */
-    isCompleted() {
-        this.setState({checked: !this.state.checked});  // check the checkbox
-        // update the field money in Firebase, with money = (current money + 
-        // the estimation of how long the task would take)
-        this.state.firebaseHandle.updateUserMoneyFirebase(this.props.userEmail, 
-            this.props.currentMoney + parseInt(this.props.estTimeToComplete));
-        
-        // calls this function in the HomeScreen to update the display
-        this.props.updateMoneyDisplay();
-
-        // alert the user how much they gained
-        Alert.alert("You have gained " + this.props.estTimeToComplete + " coins!");
+    async isCompleted() {
+        if (this.state.checked) {
+            return;
+        }
+        this.setState({checked: true});  // check the checkbox
         
         // animation 
         this.animateUnmount();
 
-        this.props.taskData.completeTask(this.props.id);
+        // TaskData works out the reward (see Rewards.js) and adds it to the money in Firebase
+        // together with completing the task, and HomeScreen updates the display once that has been sent
+        let reward = await this.props.taskData.completeTask(this.props.id);
         this.props.renderCalendar();
+
+        // alert the user how much they gained, and why
+        if (reward != null) {
+            Alert.alert("You have gained " + reward.coins + " coins!", describeReward(reward));
+        }
     };
 
+    /**
+     * \brief open the ViewTaskModal for this task
+     * \details the task passes in itself so that ViewTaskModal can display this task's information
+     */
+    openTask() {
+        let currentTimeLeft = parseFloat(this.props.estTimeToComplete) - parseFloat(this.props.timeSpent);
+        // if the time spent exceed estimated time, time left should just be 0
+        if (currentTimeLeft < 0) {
+            currentTimeLeft = 0;
+        }
+
+        this.props.navigation.navigate("ViewTaskModal", {
+            // data and functions to pass into the ViewTaskModal
+            task: {
+                name: this.props.name,
+                id: this.props.id,
+                taskListId: this.props.taskListId,
+                dueDate: this.props.dueDate,
+                priority: this.props.priority,
+                estTimeToComplete: this.props.estTimeToComplete,
+                timeSpent: this.props.timeSpent,
+                timeLeft: currentTimeLeft,
+                parentId: this.props.parentId,
+                recurrence: this.props.recurrence,
+                notes: this.props.notes,
+                links: this.props.links,
+                googleLinks: this.props.googleLinks,
+                archived: this.props.archived,
+                subtaskCount: this.props.subtaskCount,
+                progress: this.props.progress,
+                accessToken: this.props.accessToken,
+                userEmail: this.props.userEmail,
+                // function that ViewTaskModal can call if the user clicks
+                //     the "complete" button on the modal
+                taskData: this.props.taskData,
+                renderCalendar: this.props.renderCalendar,
+                
+                // passed in so ViewTaskModal can complete tasks
+                completedHandler: this.isCompleted,
+                // passed in so ViewTaskModal can delete tasks
+                deletedHandler: this.deleteTask,
+
+                timeSpentHandler: this.props.updatedTaskHandler,
+                updateMoneyDisplay: this.props.updateMoneyDisplay,
+            },
+            // pass in the user email so View Task Modal has the necessary information
+            //      to call the firestore handler functions
+            userEmail: this.props.userEmail,
+        });
+    }
+
+    /**
+     * \brief open the task as soon as it is shown, if the Calendar asks for it (see Calendar.openTask)
+     */
+    componentDidMount() {
+        if (this.props.openNow) {
+            this.openTask();
+            this.props.onOpened();
+        }
+    }
+
+    /**
+     * \brief open the task when the Calendar asks for it (see Calendar.openTask)
+     */
+    componentDidUpdate(prevProps) {
+        if (this.props.openNow && !prevProps.openNow) {
+            this.openTask();
+            this.props.onOpened();
+        }
+    }
+
+    /**
+     * \brief ask the user to confirm, then delete this task
+     * \details called when the user presses the delete button revealed by swiping the task
+     */
+    confirmDelete() {
+        Alert.alert(
+            "Delete task",
+            "Are you sure you want to delete \"" + this.props.name + "\"?",
+            [
+                // close the swipe action again if the user changes their mind
+                {text: "Cancel", style: "cancel", onPress: () => this.swipeable.close()},
+                {text: "Delete", style: "destructive", onPress: () => this.deleteTask()},
+            ]
+        );
+    }
+
+    /**
+     * \brief animate fading out, and delete this task from TaskData (and Google Tasks and Firebase)
+     */
+    deleteTask() {
+        this.animateUnmount();
+
+        this.props.taskData.deleteTask(this.props.id);
+        this.props.renderCalendar();
+    }
+
+    /**
+     * \brief The delete button shown under the task when it is swiped to the left
+     */
+    renderDeleteAction() {
+        return (
+            <TouchableOpacity
+                style = {styles.deleteAction}
+                onPress = {() => this.confirmDelete()}>
+                <Text style = {styles.deleteText}>Delete</Text>
+            </TouchableOpacity>
+        );
+    }
+
+    /**
+     * \brief Returns the part of the task's notes around the first match of the search, or null
+     * \details lets the user see why a task matched when the match is only in its notes
+     */
+    notesSnippet() {
+        let search = (this.props.highlight || "").trim().toLowerCase();
+        let notes = this.props.notes || "";
+        let index = notes.toLowerCase().indexOf(search);
+        if (search == "" || index == -1) {
+            return null;
+        }
+        let start = Math.max(index - 20, 0);
+        return (start > 0 ? "..." : "") + notes.substring(start).replace(/\s+/g, ' ');
+    }
+
     /**
      * \brief Animate the task fading away by changing its opacity
      */
@@ -69,8 +198,16 @@ class Task extends React.Component {
         // only render the task if it is not completed
         if (!this.props.completed) {
             return(
+                <Swipeable
+                    ref = {ref => (this.swipeable = ref)}
+                    renderRightActions = {() => this.renderDeleteAction()}
+                    // completed tasks found by the search can't be deleted from here
+                    enabled = {!this.props.archived}
+                >
                 <Animated.View style={{
                     marginBottom: 5,
+                    // subtasks are indented under their parent
+                    marginLeft: this.props.isSubtask ? 30 : 0,
                     flexDirection: 'row',
                     opacity: this.state.fadeValue, // allow animation to change opacity and animate fading away
                     borderBottomWidth:2,
@@ -78,6 +215,14 @@ class Task extends React.Component {
                     
                     
                 }}>
+                    {/* arrow to show or hide the subtasks, only for tasks that have some */}
+                    {this.props.subtaskCount > 0 ?
+                        <TouchableOpacity
+                            style = {styles.collapseButton}
+                            onPress = {() => this.props.toggleCollapsed()}>
+                            <Text style = {styles.collapseText}>{this.props.collapsed ? "\u25B8" : "\u25BE"}</Text>
+                        </TouchableOpacity>
+                    : null}
                     {/** 
                      * Create a clickable rectangle that displays info about a task 
                      *  once it's clicked, it will call the task viewer (a modal)
@@ -86,49 +231,39 @@ class Task extends React.Component {
                         style = {styles.task}
                         // when the Task component calls the ViewTaskModal
                         //  it passes in itself so that ViewTaskModal can display this task's information
-                        onPress = {() => {
-                            let currentTimeLeft = parseFloat(this.props.estTimeToComplete) - parseFloat(this.props.timeSpent);
-                            // if the time spent exceed estimated time, time left should just be 0
-                            if (currentTimeLeft < 0) {
-                                currentTimeLeft = 0;
-                            }
-
-                            this.props.navigation.navigate("ViewTaskModal", {
-                                // data and functions to pass into the ViewTaskModal
-                                task: {
-                                    name: this.props.name,
-                                    id: this.props.id,
-                                    dueDate: this.props.dueDate,
-                                    priority: this.props.priority,
-                                    estTimeToComplete: this.props.estTimeToComplete,
-                                    timeSpent: this.props.timeSpent,
-                                    timeLeft: currentTimeLeft,
-                                    accessToken: this.props.accessToken,
-                                    userEmail: this.props.userEmail,
-                                    // function that ViewTaskModal can call if the user clicks
-                                    //     the "complete" button on the modal
-                                    taskData: this.props.taskData,
-                                    renderCalendar: this.props.renderCalendar,
-                                    
-                                    // passed in so ViewTaskModal can complete tasks
-                                    completedHandler: this.isCompleted,
-
-                                    timeSpentHandler: this.props.updatedTaskHandler,
-                                    updateMoneyDisplay: this.props.updateMoneyDisplay,
-                                },
-                                // pass in the user email so View Task Modal has the necessary information
-                                //      to call the firestore handler functions
-                                userEmail: this.props.userEmail,
-                            });}}
+                        onPress = {() => this.openTask()}
                     >
-                        <Text style={styles.nameText}>{this.props.name}</Text>
+                        <HighlightedText style={styles.nameText} text={this.props.name} highlight={this.props.highlight} />
                         <Text style={styles.dateText}>{this.props.dueDate.toLocaleString()}</Text>
+                        {/* when searching, show where the search matched the notes */}
+                        {this.notesSnippet() != null ?
+                            <HighlightedText style={styles.dateText} numberOfLines={1}
+                                text={this.notesSnippet()} highlight={this.props.highlight} />
+                        : null}
+                        {this.props.archived ?
+                            <Text style={styles.dateText}>Completed</Text>
+                        : null}
+                        {/* a task being timed (see ViewTaskModal) says so */}
+                        {!this.props.archived && this.props.taskData.getTimer(this.props.id) != null ?
+                            <Text style={styles.dateText}>
+                                {this.props.taskData.getTimer(this.props.id).sessionStart != null ? "Timer running" : "Timer paused"}
+                            </Text>
+                        : null}
+                        {/* a parent task shows the progress of its subtasks */}
+                        {this.props.subtaskCount > 0 ?
+                            <Text style={styles.dateText}>
+                                {this.props.subtaskCount} subtasks, {this.props.progress.timeSpent} of {this.props.progress.estTimeToComplete} hours done
+                            </Text>
+                        : null}
                     </TouchableOpacity>
-                    <CheckBox 
-                        checked = {this.state.checked}
-                        onPress = {() => this.isCompleted()}
-                    />
+                    {this.props.archived ? null :
+                        <CheckBox 
+                            checked = {this.state.checked}
+                            onPress = {() => this.isCompleted()}
+                        />
+                    }
                 </Animated.View>
+                </Swipeable>
             );
         } else {
             return null;
@@ -159,7 +294,17 @@ Task.propTypes = {
     name: PropTypes.string.isRequired,
     dueDate: PropTypes.instanceOf(Date).isRequired,
     priority: PropTypes.oneOf(['low', 'medium', 'high']),
-    hoursLeft: PropTypes.number
+    hoursLeft: PropTypes.number,
+    subtaskCount: PropTypes.number,
+    isSubtask: PropTypes.bool,
+    recurrence: PropTypes.object,
+    notes: PropTypes.string,
+    links: PropTypes.arrayOf(PropTypes.object),
+    googleLinks: PropTypes.arrayOf(PropTypes.object),
+    archived: PropTypes.bool,
+    highlight: PropTypes.string,
+    openNow: PropTypes.bool,
+    onOpened: PropTypes.func,
 };
 
 /**
@@ -167,6 +312,12 @@ Task.propTypes = {
  */
 Task.defaultProps = {
     priority: 'medium',
+    subtaskCount: 0,
+    isSubtask: false,
+    archived: false,
+    highlight: "",
+    openNow: false,
+    onOpened: () => {},
 }
 
 const styles = StyleSheet.create({
@@ -187,5 +338,24 @@ const styles = StyleSheet.create({
     },
     animatedView:{
         
-    }
+    },
+    collapseButton:{
+        justifyContent: 'center',
+        paddingHorizontal: 5,
+    },
+    collapseText:{
+        color: '#8ccd82',
+        fontSize: 20,
+    },
+    deleteAction:{
+        backgroundColor: '#d9534f',
+        justifyContent: 'center',
+        paddingHorizontal: 20,
+        marginBottom: 5,
+    },
+    deleteText:{
+        color: '#ffffff',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
 });
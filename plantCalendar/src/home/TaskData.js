@@ -8,78 +8,209 @@
  */
 
 import * as firebase from 'firebase';
+import { AppState } from 'react-native';
 
 import FirestoreHandle from '../dataHandlers/FirestoreHandle';
 import GoogleHandle from '../dataHandlers/GoogleHandle';
+import StorageHandle from '../dataHandlers/StorageHandle';
+import { nextOccurrence } from './Recurrence';
+import { splitNotes, joinNotes } from './TaskNotes';
+import { defaultTaskView, matchesFilters, matchesSearch, taskComparator, taskGroup } from './TaskQuery';
+import { suggestEstimate } from './EstimateSuggestion';
+import { computeReward } from './Rewards';
+import { statChanges } from './Achievements';
+
+// keys used to save TaskData's state on the phone (see StorageHandle)
+const TASK_CACHE_KEY = "taskCache";
+const TASK_LISTS_KEY = "taskLists";
+const MUTATION_QUEUE_KEY = "mutationQueue";
+const LAST_SYNC_KEY = "lastGoogleSync";
+const TASK_VIEW_KEY = "taskView";
+const TIMERS_KEY = "timers";
+
+// how long to wait before trying to send queued changes again after a failure
+const RETRY_DELAY = 30 * 1000;
+// Firebase error codes that won't go away by sending the same change again
+const PERMANENT_FIREBASE_ERRORS = ['permission-denied', 'invalid-argument', 'not-found'];
+// how far before the actual sync time to ask Google for changes on the next sync
+const SYNC_CLOCK_MARGIN = 5 * 60 * 1000;
+const HOUR_IN_MS = 60 * 60 * 1000;
+// growth points the user's plant gets for every finished pomodoro
+const POMODORO_GROWTH_POINTS = 5;
+// the estimate a task added in Google Tasks starts with when its history doesn't suggest one
+const DEFAULT_ESTIMATE_HOURS = 2;
+// the mutations that add, remove or reschedule an open task, see onTasksChanged
+const TASK_CHANGE_TYPES = ['create', 'update', 'complete', 'reopen', 'delete'];
+
+/**
+ * \brief Returns true if sending a mutation that failed with this error may work later
+ * \details errors without a status come from the network or Firebase (see GoogleHandle.sendRequest);
+ *          Google's 401 (expired token), 429 (too many requests) and 5xx (its own problems) go away
+ *          by themselves, any other 4xx means Google won't accept the change
+ */
+function isRetryable(error) {
+    if (error.status == undefined) {
+        return !PERMANENT_FIREBASE_ERRORS.includes(error.code);
+    }
+    return error.status == 401 || error.status == 429 || error.status >= 500;
+}
 
  export default class TaskData {
     constructor(accessToken, userEmail) {
         this.accessToken = accessToken,
         this.userEmail = userEmail,
         this.taskArray = []  // array of JSON objects, each of which represents a task
+        this.taskLists = []  // array of {id, title}, the user's Google task lists in Google's order
+        this.completedTaskArray = []  // completed tasks, only loaded when getCompletedData is called
+        this.completedLoaded = false;  // true once getCompletedData has loaded completedTaskArray
         this.firestoreHandle = new FirestoreHandle();  // class for manipulating Firebase
         this.googleHandle = new GoogleHandle();  // class for manipulating Google Tasks
+        this.storageHandle = new StorageHandle();  // class for saving data on the phone
         this.initiated = false;
+        // how the HomeScreen sorts, filters and groups the tasks, see TaskQuery.js
+        this.taskView = {...defaultTaskView};
+        // the running (or paused) timers, by task id, see getTimer
+        this.timers = {};
+        // the sessions of time spent on each task, by task id, only for tasks whose sessions have been loaded
+        this.sessions = {};
+        // the ids Google gave tasks created on the phone, by their temporary local id, see replaceTaskId
+        this.taskIdAliases = {};
+
+        // changes (create/update/complete) that have been made locally but have not
+        // reached Google Tasks and Firebase yet, oldest first
+        this.mutationQueue = [];
+        this.replaying = false;  // true while replayMutations is sending the queue
+        this.retryTimer = null;
+        this.disposed = false;  // true once dispose has been called
+        // optional function called every time the queue has been fully sent
+        //      (HomeScreen uses it to refresh the coin display)
+        this.onSync = null;
+        // optional function called with every event that counts towards the user's achievements, except
+        //      completed tasks, which are counted with their reward
+        //      (see Achievements.js, HomeScreen uses it to unlock them)
+        this.onEvent = null;
+        // optional function called every time an open task is created, updated, completed, reopened
+        //      or deleted, and once the tasks are loaded (HomeScreen uses it to schedule the reminders again)
+        this.onTasksChanged = null;
+        // optional function called with a queued change that Google or Firebase refused for good
+        //      and that has been dropped from the queue (HomeScreen uses it to tell the user)
+        this.onMutationDropped = null;
+        // optional function called once the estimates of tasks added in Google Tasks have been
+        //      suggested, see suggestImportedEstimates (HomeScreen uses it to show them)
+        this.onEstimatesSuggested = null;
+
+        // the app coming back to the foreground is a good time to retry queued changes
+        this.appStateHandler = (nextAppState) => {
+            if (nextAppState == 'active') {
+                this.replayMutations();
+            }
+        };
+        AppState.addEventListener('change', this.appStateHandler);
+    }
+
+    /**
+     * \brief stops listening to the app coming back to the foreground and stops retrying the queue
+     * \details call it when the screen that made this TaskData goes away; whatever is still
+     *          queued is saved on the phone and sent by the next TaskData
+     */
+    dispose() {
+        AppState.removeEventListener('change', this.appStateHandler);
+        clearTimeout(this.retryTimer);
+        this.disposed = true;
     }
 
      /**
       * \brief gets user's Task information from Google Tasks and adds it to taskArray
       * 
       * \details does not get completed tasks from Google Tasks 
+      *         follows Google's nextPageToken, so every task is loaded no matter how many there are
+      *         if the tasks have been synced before (lastSync is given and taskArray holds the saved copy),
+      *         only asks Google for tasks changed since lastSync and merges them into taskArray:
+      *         changed tasks replace the saved ones, deleted and completed tasks are removed
       *         after calling this function, taskArray should be a collection of the following objects: 
       *     { 
       *         name
       *         id
       *         taskListId
+      *         parentId
       *         dueDay      
+      *         notes
+      *         links
+      *         googleLinks
       *      }
       *     name is the name of the task
       *     id is the task's id
       *     taskListId is the id of the task's task list 
+      *     parentId is the id of the task this task is a subtask of, undefined for top-level tasks
       *     dueDay is the day that the task is due, stored as an RFC1339 timestamp
+      *     notes is the task's notes, without the links at their end (see TaskNotes.js)
+      *     links is the array of {description, link} the user added to the task
+      *     googleLinks is the array of {description, link} Google added (eg. the email a task was made from),
+      *         these can't be changed
       *
+      *     only the new and changed tasks have dueDay (the others already have their Firebase data);
+      *     returns the array of those tasks so getFirebaseData knows which ones to load
+      * @param {*} lastSync RFC 3339 timestamp of the last successful sync, or null to load everything
       */
 
-      getGoogleData = async() => {
-        let tempTaskArray = [];
-        let k = 0;  // counter to tell us where to put the task in tempTaskArray
+      getGoogleData = async(lastSync) => {
+        // merge into a copy, so the saved taskArray is untouched if anything below fails
+        let incremental = lastSync != null && this.taskArray.length > 0;
+        let tempTaskArray = incremental ? this.taskArray.slice() : [];
+        let changedTasks = [];
 
         // get task list data from server
         // each task list contains a bunch of tasks
-        let taskLists = await fetch('https://www.googleapis.com/tasks/v1/users/@me/lists', {
-            headers: { Authorization: `Bearer ${this.accessToken}`},
-        }).catch(error => console.log("error message: " + error));
+        let taskLists = await this.googleHandle.getGoogleTaskLists(this.accessToken);
+        let taskListIds = taskLists.map(taskList => taskList.id);
 
-        // parse what we receive from the server into a json
-        let taskListJson = await taskLists.json();
+        // tasks in a list that has been deleted won't be reported as deleted one by one
+        // (lists and tasks that only exist on the phone so far are kept)
+        tempTaskArray = tempTaskArray.filter(task => taskListIds.includes(task.taskListId) ||
+            task.taskListId.startsWith("local-") || task.id.startsWith("local-"));
 
-        for (let i = 0; i < taskListJson.items.length; ++i) {
+        let changedTaskIds = new Set();  // every task Google reported, including deleted ones
+        for (let i = 0; i < taskLists.length; ++i) {
             // get task information from Google for each task list
-            let taskUrl = "https://www.googleapis.com/tasks/v1/lists/" + taskListJson.items[i].id + "/tasks";
-            
-            let rawTasks = await fetch (taskUrl, {
-                headers: { Authorization: `Bearer ${this.accessToken}`},
-            }).catch(error => console.log("error message: " + error));
-            
-            let taskJson = await rawTasks.json();
+            let tasks = await this.googleHandle.getGoogleTasks(taskLists[i].id, this.accessToken,
+                incremental ? lastSync : undefined);
 
-            for (j = 0; j < taskJson.items.length; ++j) {
-                let task = taskJson.items[j];
+            for (let j = 0; j < tasks.length; ++j) {
+                let task = tasks[j];
+                changedTaskIds.add(task.id);
 
                 // only save uncompleted tasks
-                if (task.status != "completed") {
+                if (task.status != "completed" && !task.deleted) {
                     let newTask = {
                         name: task.title,
                         id: task.id, 
-                        taskListId: taskListJson.items[i].id,
+                        taskListId: taskLists[i].id,
+                        parentId: task.parent,
                         dueDay: task.due
                     }
-                    tempTaskArray[k] = newTask;
-                    ++k;
+                    this.addNotes(newTask, task);
+                    changedTasks.push(newTask);
                 }
             }
         }
-        this.taskArray = tempTaskArray;
+        // drop the old copies of the changed tasks, then add the new ones
+        tempTaskArray = tempTaskArray.filter(task => !changedTaskIds.has(task.id));
+        this.taskArray = tempTaskArray.concat(changedTasks);
+        this.taskLists = taskLists.map(taskList => ({id: taskList.id, title: taskList.title}));
+        return changedTasks;
+      }
+
+      /**
+       * \brief adds notes, links and googleLinks (see getGoogleData) to a task built from Google data
+       * @param {*} task a task object built by getGoogleData or getCompletedData
+       * @param {*} googleTask the task as Google sent it
+       */
+      addNotes(task, googleTask) {
+        let {notes, links} = splitNotes(googleTask.notes);
+        task.notes = notes;
+        task.links = links;
+        task.googleLinks = (googleTask.links || []).map(link =>
+            ({description: link.description || "", link: link.link}));
       }
 
       /**
@@ -96,6 +227,8 @@ import GoogleHandle from '../dataHandlers/GoogleHandle';
       *             priority
       *             estTimeToComplete
       *             timeSpent
+      *             recurrence
+      *             pomodoros
       *             }
       *     name is the name of the task
       *     id is the task's id
@@ -104,85 +237,324 @@ import GoogleHandle from '../dataHandlers/GoogleHandle';
       *     priority is the priority of the task, "low", "medium", or "high"
       *     estTimeToComplete is how much time the user thinks the task will take to finish
       *     timeSpent is the time the user has spent on the task
+      *     recurrence is how the task repeats (see Recurrence.js), null if it doesn't
+      *     pomodoros is how many pomodoros the user has finished on the task (see completePomodoro)
       * 
-      *     if it can't find the data in Firebase, it adds a new entry to Firebase with the updated data
+      *     every task in taskArray is refreshed from Firebase, the changed ones and the saved ones alike;
+      *     if it can't find the data of a changed task in Firebase, it adds a new entry to Firebase with the updated data;
+      *     the new entry starts with the default estimate; returns the ids of the new tasks, so their estimates
+      *     can be suggested from the user's completed tasks afterwards (see suggestImportedEstimates)
+      * @param {*} changedTasks the tasks (inside taskArray) returned by getGoogleData, defaults to every task
        */
-    getFirebaseData = async() => {
-        for (let i = 0; i < this.taskArray.length; ++i){
-            const task = this.taskArray[i];
-
-            // call the firestore handler function to initialize the data in firestore if it hasn't
-            // been created. 
-            this.firestoreHandle.initFirebaseTaskData(this.userEmail, task.id, task.name);
-        }
-
+    getFirebaseData = async(changedTasks = this.taskArray) => {
         const tasksCollectionRef = firebase.firestore().collection('users').
             doc(this.userEmail).collection('tasks');
 
+        // read every task's document at once: the tasks Google didn't report may still have been
+        // changed in Firebase (eg. their priority or time spent, on another phone)
+        let firebaseData = await this.getFirebaseTaskDocs();
 
+        let newTasks = [];
         for (let i = 0; i < this.taskArray.length; ++i) {
-            const taskRef = tasksCollectionRef.doc(this.taskArray[i].id);
-            
-            // get the data from firestore, then edit the tasks
-            let thisTask = await taskRef.get();     
-            let taskFbData = thisTask.data();
-
-            let dueDateAndTime = this.taskArray[i].dueDay;
-            // build the correct due date and time by combining Google and Firebase data
-            // if due time entry doesn't exist in Firebase, skip this step
-            if (taskFbData.dueTime) {
-                let dueDate = this.taskArray[i].dueDay.substring(0, 10);
-                dueDateAndTime = dueDate + taskFbData.dueTime;
-            }
-            this.taskArray[i].priority = taskFbData.priority;
-            this.taskArray[i].estTimeToComplete = taskFbData.estTimeToComplete;
-            this.taskArray[i].timeSpent = taskFbData.timeSpent;
-            this.taskArray[i].dueDateAndTime = dueDateAndTime;
-            delete this.taskArray[i].dueDay;
-            }    
+            const task = this.taskArray[i];
+            if (firebaseData[task.id]) {
+                this.mergeFirebaseData(task, firebaseData[task.id]);
+            } else if (changedTasks.includes(task)) {
+                newTasks.push(task);
+            }
+            // a saved task without a document (eg. created offline and not sent yet) keeps its saved data
+        }
+
+        // the new tasks start with the default estimate, so they can be shown without waiting for the
+        // completed tasks; suggestImportedEstimates replaces it with a suggestion afterwards
+        for (let i = 0; i < newTasks.length; ++i) {
+            const task = newTasks[i];
+            // call the firestore handler function to initialize the data in firestore, then edit the task
+            await this.firestoreHandle.initFirebaseTaskData(this.userEmail, task.id, task.name,
+                DEFAULT_ESTIMATE_HOURS);
+            let thisTask = await tasksCollectionRef.doc(task.id).get();
+            this.mergeFirebaseData(task, thisTask.data());
+        }
+        return newTasks.map(task => task.id);
     }    
 
+      /**
+       * \brief Returns the data of every one of the user's task documents in Firebase, by task id
+       */
+      getFirebaseTaskDocs = async() => {
+        let taskDocs = await firebase.firestore().collection('users').doc(this.userEmail)
+            .collection('tasks').get();
+        let firebaseData = {};
+        taskDocs.forEach(doc => {
+            firebaseData[doc.id] = doc.data();
+        });
+        return firebaseData;
+      }
+
+      /**
+       * \brief adds the data stored in a task's Firebase document to a task built from Google data
+       * 
+       * \details replaces the task's dueDay with dueDateAndTime (see getFirebaseData); a task merged
+       *          before (eg. one saved on the phone) has no dueDay, its dueDateAndTime is updated instead
+       * @param {*} task a task object built by getGoogleData or getCompletedData
+       * @param {*} taskFbData the data of the task's Firebase document, undefined if it doesn't exist
+       */
+      mergeFirebaseData(task, taskFbData = {}) {
+        // a saved task has already been merged once, its date is still the one Google sent
+        let dueDateAndTime = task.dueDay !== undefined ? task.dueDay : task.dueDateAndTime;
+        // build the correct due date and time by combining Google and Firebase data
+        // if due time entry doesn't exist in Firebase, skip this step
+        if (dueDateAndTime && taskFbData.dueTime) {
+            let dueDate = dueDateAndTime.substring(0, 10);
+            dueDateAndTime = dueDate + taskFbData.dueTime;
+        }
+        task.priority = taskFbData.priority;
+        task.estTimeToComplete = taskFbData.estTimeToComplete;
+        task.timeSpent = taskFbData.timeSpent;
+        task.recurrence = taskFbData.recurrence || null;
+        task.pomodoros = taskFbData.pomodoros || 0;
+        task.dueDateAndTime = dueDateAndTime;
+        delete task.dueDay;
+      }
+
+      /**
+       * \brief gets the user's completed tasks from Google Tasks and Firebase and stores them in completedTaskArray
+       * 
+       * \details tasks look the same as in taskArray, plus
+       *          completedDate, the time the task was completed, stored as an RFC1339 timestamp
+       *          coinsEarned, how many coins the user got for completing the task
+       *          newest completions come first; returns completedTaskArray
+       */
+      getCompletedData = async() => {
+        let completedTasks = [];
+        // every task's document in one read, rather than one read per completed task
+        let firebaseData = await this.getFirebaseTaskDocs();
+
+        for (let i = 0; i < this.taskLists.length; ++i) {
+            let tasks = await this.googleHandle.getCompletedGoogleTasks(this.taskLists[i].id, this.accessToken);
+
+            for (let j = 0; j < tasks.length; ++j) {
+                let task = {
+                    name: tasks[j].title,
+                    id: tasks[j].id,
+                    taskListId: this.taskLists[i].id,
+                    parentId: tasks[j].parent,
+                    dueDay: tasks[j].due,
+                    completedDate: tasks[j].completed,
+                };
+                this.addNotes(task, tasks[j]);
+
+                // completed tasks are never initialized in Firebase; they either have data already or don't need it
+                let taskFbData = firebaseData[task.id] || {};
+                this.mergeFirebaseData(task, taskFbData);
+                // coins earned weren't recorded at first; back then a task paid its estimated hours
+                task.coinsEarned = taskFbData.coinsEarned != undefined ? taskFbData.coinsEarned :
+                    (parseInt(task.estTimeToComplete) || 0);
+                completedTasks.push(task);
+            }
+        }
+
+        // ISO timestamps sort correctly as strings
+        completedTasks.sort((a, b) => (b.completedDate || "").localeCompare(a.completedDate || ""));
+        this.completedTaskArray = completedTasks;
+        this.completedLoaded = true;
+        return this.completedTaskArray;
+      }
+
+      /**
+       * \brief loads the completed tasks with getCompletedData, unless they have been loaded already
+       * \details if they can't be loaded (eg. no network), whatever was loaded before is kept
+       */
+      loadCompletedHistory = async() => {
+        if (this.completedLoaded) {
+            return;
+        }
+        try {
+            await this.getCompletedData();
+        } catch (error) {
+            console.log("could not load completed tasks: " + error);
+        }
+      }
+
+      /**
+       * \brief Returns a suggested estimate for a new task, from the completed tasks like it
+       * \details returns {hours, low, high, count} (see EstimateSuggestion.js), or null if
+       *          none of the completed tasks are similar enough; call loadCompletedHistory first
+       * @param {*} name the new task's name
+       * @param {*} taskListId the id of the list the new task goes in
+       * @param {*} priority the new task's priority, "low", "medium", or "high"
+       */
+      suggestEstimate(name, taskListId, priority) {
+        return suggestEstimate(name, taskListId, priority, this.completedTaskArray);
+      }
+
      /**
       * \brief Gets task data from Google and Firebase and stores it in taskArray
       * 
       * \details Only stores uncompleted tasks
+      *          Starts from the copy of taskArray saved on the phone, sends any changes that
+      *          were queued while offline, then refreshes from Google and Firebase.
+      *          If the refresh fails (eg. no network) the saved copy is kept.
       *          Returns a Promise that resolves to taskArray when finished
       */
 
       initiate = async() => {
+        await this.loadLocalData();
+        await this.replayMutations();
 
-        await this.getGoogleData();
-        await this.getFirebaseData();
+        let cachedTaskArray = this.taskArray;
+        let newTaskIds = [];
+        try {
+            // remember when this sync started; anything changed after this will be picked up next time
+            // (minus a margin in case the phone's clock is a little ahead of Google's)
+            let syncStartTime = new Date(Date.now() - SYNC_CLOCK_MARGIN).toISOString();
+            let lastSync = await this.storageHandle.getItem(this.userEmail, LAST_SYNC_KEY, null);
+
+            let changedTasks = await this.getGoogleData(lastSync);
+            newTaskIds = await this.getFirebaseData(changedTasks);
+            await this.getFirebaseTaskView();
+            await this.storageHandle.setItem(this.userEmail, LAST_SYNC_KEY, syncStartTime);
+
+            // whatever is still queued has not reached Google yet, so apply it again on top of
+            // the fresh data; otherwise the user would see their changes disappear
+            for (let i = 0; i < this.mutationQueue.length; ++i) {
+                this.applyMutation(this.mutationQueue[i]);
+            }
+            await this.saveLocalData();
+        } catch (error) {
+            console.log("could not refresh tasks, using saved copy: " + error);
+            this.taskArray = cachedTaskArray;
+        }
+        this.initiated = true;
+        // the tasks may have been changed in Google Tasks since the app was last opened
+        if (this.onTasksChanged) {
+            this.onTasksChanged();
+        }
+        // loading the completed tasks can take a while, so don't hold up the HomeScreen for it
+        if (newTaskIds.length > 0) {
+            this.suggestImportedEstimates(newTaskIds).catch(
+                error => console.log(error)
+            );
+        }
         return this.taskArray;
       }
 
+      /**
+       * \brief replaces the default estimate of tasks added in Google Tasks with one suggested
+       *        from the user's completed tasks (see suggestEstimate), then calls onEstimatesSuggested
+       * \details a task whose estimate has been changed since (or that has a change waiting in the
+       *          queue) keeps it
+       * @param {*} taskIds ids of the tasks getFirebaseData added to Firebase
+       */
+      suggestImportedEstimates = async(taskIds) => {
+        await this.loadCompletedHistory();
+        let suggested = false;
+        for (let i = 0; i < taskIds.length; ++i) {
+            let task = this.taskArray[this.findTask(taskIds[i])];
+            if (task == undefined || task.estTimeToComplete != DEFAULT_ESTIMATE_HOURS ||
+                this.mutationQueue.some(mutation => mutation.taskId == task.id)) {
+                continue;
+            }
+            let suggestion = this.suggestEstimate(task.name, task.taskListId, task.priority || 'medium');
+            if (suggestion && suggestion.hours != DEFAULT_ESTIMATE_HOURS) {
+                await this.queueMutation({
+                    type: 'estimate',
+                    taskId: task.id,
+                    estTimeToComplete: suggestion.hours,
+                });
+                suggested = true;
+            }
+        }
+        if (suggested && this.onEstimatesSuggested) {
+            this.onEstimatesSuggested();
+        }
+      }
+
       /**
        * \brief Creates a task in Google Tasks, taskArray, and Firebase
+       * 
+       * \details The task is added to taskArray right away with a temporary local id;
+       *          the id is swapped for the real Google id once the queued create is sent
+       * @param {*} taskListId id of the task list to create the task in, defaults to the user's first list
+       * @param {*} recurrence how the task repeats (see Recurrence.js), null if it doesn't
+       * @param {*} notes the task's notes
+       * @param {*} links array of {description, link}, see getGoogleData
        */
 
-    async createTask(name, dueDate, priority, estTimeToComplete) {
-        // create task in google Task
-        let taskId = await this.googleHandle.createGoogleTask(name, dueDate, this.accessToken);
-        
-        // initialize task in Firebase
-        this.firestoreHandle.initFirebaseTaskData(this.userEmail, taskId, name);
-        
-        // update new task with user-entered data
-        // the time spent on the task is zero by default
-        // the task is not completed, by default
-        this.firestoreHandle.updateFirebaseTaskData(this.userEmail, taskId, name, 
-          priority, estTimeToComplete, 0, false, dueDate);
-        
-        let newTask = {
+    async createTask(name, dueDate, priority, estTimeToComplete, taskListId = this.getDefaultTaskListId(),
+        recurrence = null, notes = "", links = []) {
+        await this.queueMutation({
+            type: 'create',
+            taskId: "local-" + Date.now(),
+            taskListId: taskListId,
             name: name,
-            id: taskId,
-            taskListId: "@default",
+            dueDate: dueDate.toISOString(),
             priority: priority,
             estTimeToComplete: estTimeToComplete,
-            dueDateAndTime: dueDate,
-            timeSpent: 0
+            recurrence: recurrence,
+            notes: notes,
+            links: links,
+        });
+      }
+
+      /**
+       * \brief Creates a subtask of an existing task in Google Tasks, taskArray, and Firebase
+       * 
+       * \details the subtask goes in the same task list as its parent; Google only allows
+       *          one level of subtasks, so parentId must be a top-level task
+       * @param {*} parentId id of the task the new task is a subtask of
+       */
+      createSubtask = async(parentId, name, dueDate, priority, estTimeToComplete, notes = "", links = []) => {
+        let i = this.findTask(parentId);
+        if (i == -1) {
+            return;
         }
-        this.taskArray[this.taskArray.length] = newTask;
+        await this.queueMutation({
+            type: 'create',
+            taskId: "local-" + Date.now(),
+            taskListId: this.taskArray[i].taskListId,
+            parentId: parentId,
+            name: name,
+            dueDate: dueDate.toISOString(),
+            priority: priority,
+            estTimeToComplete: estTimeToComplete,
+            notes: notes,
+            links: links,
+        });
+      }
+
+      /**
+       * \brief Returns the subtasks of a task, in taskArray order
+       */
+      getSubtasks(taskId) {
+          taskId = this.resolveTaskId(taskId);
+          return this.taskArray.filter(task => task.parentId == taskId);
+      }
+
+      /**
+       * \brief Returns the hours estimated and spent on a task, rolled up from its subtasks
+       * 
+       * \details a task with subtasks is measured by its subtasks only, so the parent's own numbers
+       *          (which may just be the default estimate of an imported task) don't count twice;
+       *          a task without subtasks uses its own numbers
+       *          returns {estTimeToComplete, timeSpent}
+       */
+      getProgress(taskId) {
+          let subtasks = this.getSubtasks(taskId);
+          if (subtasks.length == 0) {
+              let task = this.taskArray[this.findTask(taskId)] || {};
+              return {
+                  estTimeToComplete: parseFloat(task.estTimeToComplete) || 0,
+                  timeSpent: parseFloat(task.timeSpent) || 0,
+              };
+          }
+
+          let progress = {estTimeToComplete: 0, timeSpent: 0};
+          for (let i = 0; i < subtasks.length; ++i) {
+              progress.estTimeToComplete += parseFloat(subtasks[i].estTimeToComplete) || 0;
+              progress.timeSpent += parseFloat(subtasks[i].timeSpent) || 0;
+          }
+          return progress;
       }
 
       /**
@@ -192,54 +564,198 @@ import GoogleHandle from '../dataHandlers/GoogleHandle';
        * TODO: Using just taskId may cause problems in the future
        */
       findTask(taskId) {
-          for (i = 0; i < this.taskArray.length; ++i) {
+          taskId = this.resolveTaskId(taskId);
+          for (let i = 0; i < this.taskArray.length; ++i) {
               if (this.taskArray[i].id == taskId) {
                   return i;
               }
           }
-          console.log("Error: Did not find task");
+          return -1;
       }
 
       /**
        * \brief Updates taskArray, Firebase, and Google Tasks depending on the user's input
+       * @param {*} recurrence how the task repeats (see Recurrence.js), null if it doesn't
+       * @param {*} notes the task's notes
+       * @param {*} links array of {description, link}, see getGoogleData
        */
-      updateTask = async(taskId, taskListId, name, dueDate, priority, estTimeToComplete, timeSpent) => {
-        
-        // update google data
-        taskId = await this.googleHandle.updateGoogleTask(taskId, taskListId,
-            name, dueDate, this.accessToken)
-        
-        // update the task in Firebase
-        this.firestoreHandle.updateFirebaseTaskData(this.userEmail, taskId, name, 
-            priority, estTimeToComplete, timeSpent, false, dueDate);
-        
-        // update local data
-        i = this.findTask(taskId);
-        this.taskArray[i].name = name;
-        this.taskArray[i].dueDateAndTime = dueDate.toISOString();
-        this.taskArray[i].priority = priority;
-        this.taskArray[i].estTimeToComplete = estTimeToComplete;
-        this.taskArray[i].timeSpent = timeSpent;
+      updateTask = async(taskId, taskListId, name, dueDate, priority, estTimeToComplete, timeSpent, recurrence = null,
+        notes = "", links = []) => {
+        await this.queueMutation({
+            type: 'update',
+            taskId: taskId,
+            taskListId: taskListId,
+            name: name,
+            dueDate: dueDate.toISOString(),
+            priority: priority,
+            estTimeToComplete: estTimeToComplete,
+            timeSpent: timeSpent,
+            recurrence: recurrence,
+            notes: notes,
+            links: links,
+        });
+      }
+
+      /**
+       * \brief Moves a task to another task list in taskArray and Google Tasks
+       * \details its subtasks move with it and stay under it
+       * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+       * @param {*} taskListId id of the task list to move the task to
+       */
+      moveTask = async(taskId, taskListId) => {
+        let i = this.findTask(taskId);
+        if (i == -1 || this.taskArray[i].taskListId == taskListId) {
+            return;
+        }
+        await this.queueMutation({
+            type: 'move',
+            taskId: taskId,
+            fromTaskListId: this.taskArray[i].taskListId,
+            taskListId: taskListId,
+            subtaskIds: this.getSubtasks(taskId).map(task => task.id),
+        });
+      }
+
+      /**
+       * \brief Updates how long the user has spent on a task in taskArray and Firebase
+       */
+      updateTimeSpent = async(taskId, timeSpent) => {
+        await this.queueMutation({
+            type: 'timeSpent',
+            taskId: taskId,
+            timeSpent: timeSpent,
+        });
       }
 
       /**
        *  \brief modify this.props.taskData and mark a task (specified by taskId) as completed
        * \details 
        *      Updates both Firebase and the user's Google Calendar
+       *      If the task repeats, its next occurrence is created in the same list, with the same
+       *      name, priority, estimate, notes and links
+       *      Returns the reward the user earns (see Rewards.js), null if the task isn't in taskArray
+       *      (eg. it has just been completed), so a task can't pay twice
        * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
       */
       completeTask = async(taskId) => {
-        // update Firebase
-        this.firestoreHandle.setTaskCompleteInFirebase(this.userEmail, 
-            taskId, true);
-        
-        // TODO: taskListId is passed in as undefined. Update when adding support for multiple task lists
-        this.googleHandle.completeGoogleTask(taskId, undefined, this.accessToken);
-        
-        // Delete task from local data
+        let i = this.findTask(taskId);
+        if (i == -1) {
+            return null;
+        }
+        // the time on the timer counts towards the task (and its reward)
+        await this.stopTimer(taskId);
+        // looked up again, with the time just added: while the timer was being saved the task may
+        // have been deleted, or have been sent and got its real id (see replaceTaskId)
         i = this.findTask(taskId);
-        this.taskArray.splice(i,1);
+        if (i == -1) {
+            return null;
+        }
+        let task = this.taskArray[i];
+        taskId = task.id;
+        let completedAt = new Date();
+        let reward = computeReward(task, completedAt);
+        await this.queueMutation({
+            type: 'complete',
+            taskId: taskId,
+            taskListId: task.taskListId,
+            reward: reward.coins,
+            // recorded for the user's streak, see getPendingCompletions
+            completedAt: completedAt.toISOString(),
+            hours: parseFloat(task.timeSpent) || 0,
+            // added to the user's achievement stats with the reward, see payTaskRewardFirebase
+            achievementStats: statChanges({type: 'taskCompleted', task: task, completedAt: completedAt}),
+        });
+
+        // a task without a due date repeats from the day it was completed
+        let dueDate = task.dueDateAndTime ? new Date(task.dueDateAndTime) : new Date();
+        let next = nextOccurrence(task.recurrence, dueDate);
+        if (next != null) {
+            await this.queueMutation({
+                type: 'create',
+                taskId: "local-" + Date.now(),
+                taskListId: task.taskListId,
+                parentId: task.parentId,
+                name: task.name,
+                dueDate: next.dueDate.toISOString(),
+                priority: task.priority,
+                estTimeToComplete: task.estTimeToComplete,
+                recurrence: next.recurrence,
+                notes: task.notes,
+                links: task.links,
+            });
+        }
+        return reward;
+        }
+
+      /**
+       * \brief Returns the completions that haven't reached Firebase yet, as {taskId, completedAt, hours}
+       * \details the streak (see StreakData.js) counts them together with the ones in Firebase,
+       *          so that it goes up as soon as a task is completed, even offline
+       */
+      getPendingCompletions() {
+        let completions = [];
+        for (let i = 0; i < this.mutationQueue.length; ++i) {
+            let mutation = this.mutationQueue[i];
+            if (mutation.type == 'complete' && mutation.completedAt) {
+                completions.push({taskId: mutation.taskId, completedAt: mutation.completedAt, hours: mutation.hours});
+            } else if (mutation.type == 'reopen') {
+                completions = completions.filter(completion => completion.taskId != mutation.taskId);
+            }
+        }
+        return completions;
+      }
+
+      /**
+       * \brief Marks a completed task as not completed again, and takes back the coins it earned
+       * @param {*} taskId a string that represent the taskId of a task in completedTaskArray
+       */
+      reopenTask = async(taskId) => {
+        taskId = this.resolveTaskId(taskId);
+        let task = this.completedTaskArray.find(task => task.id == taskId);
+        if (task == undefined) {
+            return;
+        }
+        // the mutation carries the whole task, so it can be re-applied even if completedTaskArray isn't loaded
+        let reopenedTask = {...task};
+        delete reopenedTask.completedDate;
+        delete reopenedTask.coinsEarned;
+
+        await this.queueMutation({
+            type: 'reopen',
+            taskId: taskId,
+            taskListId: task.taskListId,
+            coinsEarned: task.coinsEarned,
+            task: reopenedTask,
+        });
+      }
+
+      /**
+       * \brief Deletes a task from taskArray, Google Tasks and Firebase
+       * @param {*} taskId a string that represent the taskId (each task has an unique taskId)
+       */
+      deleteTask = async(taskId) => {
+        let i = this.findTask(taskId);
+        if (i == -1) {
+            return;
         }
+        await this.queueMutation({
+            type: 'delete',
+            taskId: taskId,
+            taskListId: this.taskArray[i].taskListId,
+        });
+      }
+
+      /**
+       * \brief Returns how many hours are left on a task (rolled up from its subtasks, see getProgress),
+       *        or null if it has no estimate
+       */
+      getTimeLeft(taskId) {
+          let progress = this.getProgress(taskId);
+          if (progress.estTimeToComplete <= 0) {
+              return null;
+          }
+          return Math.max(progress.estTimeToComplete - progress.timeSpent, 0);
+      }
 
       /**
        * \brief Returns the locally stored task data, taskJson
@@ -250,5 +766,814 @@ import GoogleHandle from '../dataHandlers/GoogleHandle';
           return this.taskArray;
       }
 
+      // --------------------------Time Tracking Functions --------------------------
+
+      /**
+       * \brief Returns the timer of a task, or null if it has none
+       * \details a timer is {sessionStart, runTime}: sessionStart is when the session being timed started
+       *          (in ms, null while the timer is paused) and runTime is how long (in ms) the sessions
+       *          already finished since the timer was started took
+       */
+      getTimer(taskId) {
+          return this.timers[this.resolveTaskId(taskId)] || null;
+      }
+
+      /**
+       * \brief Returns how long (in ms) a task's timer has been running, not counting pauses
+       */
+      getTimerTime(taskId, now = Date.now()) {
+          let timer = this.getTimer(taskId);
+          if (timer == null) {
+              return 0;
+          }
+          return timer.runTime + (timer.sessionStart != null ? now - timer.sessionStart : 0);
+      }
+
+      /**
+       * \brief Starts (or resumes) the timer of a task
+       * \details the timer is saved on the phone, so it keeps running if the app is closed
+       */
+      startTimer = async(taskId) => {
+        taskId = this.resolveTaskId(taskId);
+        let timer = this.getTimer(taskId);
+        if (timer != null && timer.sessionStart != null) {
+            return;
+        }
+        this.timers[taskId] = {sessionStart: Date.now(), runTime: timer != null ? timer.runTime : 0};
+        await this.saveLocalData();
+      }
+
+      /**
+       * \brief Pauses the timer of a task, the time since it was started (or resumed) is saved as a session
+       */
+      pauseTimer = async(taskId) => {
+        taskId = this.resolveTaskId(taskId);
+        let timer = this.getTimer(taskId);
+        if (timer == null || timer.sessionStart == null) {
+            return;
+        }
+        let end = Date.now();
+        this.timers[taskId] = {sessionStart: null, runTime: timer.runTime + end - timer.sessionStart};
+        await this.addSession(taskId, timer.sessionStart, end);
+      }
+
+      /**
+       * \brief Stops the timer of a task, saving the session being timed if it isn't paused
+       */
+      stopTimer = async(taskId) => {
+        taskId = this.resolveTaskId(taskId);
+        let timer = this.getTimer(taskId);
+        if (timer == null) {
+            return;
+        }
+        delete this.timers[taskId];
+        if (timer.sessionStart != null) {
+            await this.addSession(taskId, timer.sessionStart, Date.now());
+        } else {
+            await this.saveLocalData();
+        }
+      }
+
+      /**
+       * \brief Loads the sessions of time spent on a task from Firebase, newest first
+       * \details the sessions are objects {id, start, end}, with start and end in ms.
+       *          The task's timeSpent is the total of its sessions; time logged before sessions
+       *          existed is turned into one session, so that it can be edited like the others
+       */
+      loadSessions = async(taskId) => {
+        taskId = this.resolveTaskId(taskId);
+        let i = this.findTask(taskId);
+        let sessionDocs = await firebase.firestore().collection('users').doc(this.userEmail)
+            .collection('tasks').doc(taskId).collection('sessions').get();
+        let sessions = sessionDocs.docs.map(session => ({
+            id: session.id,
+            start: session.data().start.toDate().getTime(),
+            end: session.data().end.toDate().getTime(),
+        }));
+        // changes that haven't reached Firebase yet
+        for (let j = 0; j < this.mutationQueue.length; ++j) {
+            if (this.mutationQueue[j].taskId == taskId) {
+                sessions = this.applySessionChange(sessions, this.mutationQueue[j]);
+            }
+        }
+        this.sessions[taskId] = sessions;
+
+        if (i != -1) {
+            let timeSpent = parseFloat(this.taskArray[i].timeSpent) || 0;
+            if (sessions.length == 0 && timeSpent > 0) {
+                // the time is already counted in timeSpent, so the session adds nothing to it
+                let now = Date.now();
+                let start = Math.round(now - timeSpent * HOUR_IN_MS);
+                await this.queueSessionMutation('addSession', taskId, {id: String(start), start: start, end: now}, 0);
+            } else if (Math.abs(this.sumSessions(sessions) - timeSpent) > 0.001) {
+                await this.updateTimeSpent(taskId, this.sumSessions(sessions));
+            }
+        }
+        return this.getSessions(taskId);
+      }
+
+      /**
+       * \brief Returns the loaded sessions of a task (see loadSessions), newest first
+       */
+      getSessions(taskId) {
+          return [...(this.sessions[this.resolveTaskId(taskId)] || [])].sort((a, b) => b.start - a.start);
+      }
+
+      /**
+       * \brief Adds a session of time spent on a task
+       * @param {*} start time in ms
+       * @param {*} end time in ms
+       */
+      addSession = async(taskId, start, end) => {
+        let session = {id: String(start), start: start, end: end};
+        await this.queueSessionMutation('addSession', taskId, session, this.sumSessions([session]));
+      }
+
+      /**
+       * \brief Changes the start and end of a session the user got wrong
+       * @param {*} session the session's object, see loadSessions
+       * @param {*} start time in ms
+       * @param {*} end time in ms
+       */
+      updateSession = async(taskId, session, start, end) => {
+        let newSession = {id: session.id, start: start, end: end};
+        await this.queueSessionMutation('updateSession', taskId, newSession,
+            this.sumSessions([newSession]) - this.sumSessions([session]));
+      }
+
+      /**
+       * \brief Deletes a session the user got wrong
+       * @param {*} session the session's object, see loadSessions
+       */
+      deleteSession = async(taskId, session) => {
+        await this.queueSessionMutation('deleteSession', taskId, session, -this.sumSessions([session]));
+      }
+
+      /**
+       * \brief Queues a change to a task's sessions, with the task's new timeSpent
+       * \details the new timeSpent is worked out here rather than in applyMutation, so that
+       *          applying the mutation again doesn't count the session twice
+       * @param {*} hours how many hours the change adds to the time spent (negative if it takes some away)
+       */
+      queueSessionMutation = async(type, taskId, session, hours) => {
+        let i = this.findTask(taskId);
+        let timeSpent = i != -1 ? parseFloat(this.taskArray[i].timeSpent) || 0 : 0;
+        await this.queueMutation({
+            type: type,
+            taskId: taskId,
+            session: session,
+            // rounded so that adding up sessions doesn't leave long decimals
+            timeSpent: Math.max(Math.round((timeSpent + hours) * 10000) / 10000, 0),
+        });
+        if (hours != 0) {
+            this.emitEvent({type: 'timeTracked', hours: hours});
+        }
+      }
+
+      /**
+       * \brief Passes an event to onEvent, if it is set
+       * @param {*} event see Achievements.js
+       */
+      emitEvent(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+      }
+
+      /**
+       * \brief Returns the sessions with the change described by a session mutation made to them
+       */
+      applySessionChange(sessions, mutation) {
+          switch (mutation.type) {
+              case 'addSession':
+              case 'updateSession':
+                  return sessions.filter(session => session.id != mutation.session.id).concat([mutation.session]);
+              case 'deleteSession':
+                  return sessions.filter(session => session.id != mutation.session.id);
+          }
+          return sessions;
+      }
+
+      /**
+       * \brief Saves a finished pomodoro (see focus/FocusScreen.js) on a task
+       * \details the pomodoro is added to the task's sessions like any timed session, counted,
+       *          and grows the user's plant by POMODORO_GROWTH_POINTS
+       * @param {*} start time in ms, when the pomodoro started
+       * @param {*} end time in ms, when it finished
+       */
+      completePomodoro = async(taskId, start, end) => {
+        taskId = this.resolveTaskId(taskId);
+        await this.addSession(taskId, start, end);
+        let i = this.findTask(taskId);
+        await this.queueMutation({
+            type: 'pomodoro',
+            taskId: taskId,
+            pomodoros: (i != -1 ? this.taskArray[i].pomodoros || 0 : 0) + 1,
+            growthPoints: POMODORO_GROWTH_POINTS,
+            // so the bonus is only added once, however often the mutation is sent, see addPlantGrowthBonus
+            bonusId: "pomodoro-" + taskId + "-" + start,
+        });
+      }
+
+      /**
+       * \brief Returns how many hours a list of sessions add up to
+       */
+      sumSessions(sessions) {
+          let total = 0;
+          for (let i = 0; i < sessions.length; ++i) {
+              total += sessions[i].end - sessions[i].start;
+          }
+          return total / HOUR_IN_MS;
+      }
+
+      // --------------------------Query Functions --------------------------
+
+      /**
+       * \brief Returns the open tasks sorted, filtered and grouped as described by a task view (see TaskQuery.js)
+       * 
+       * \details returns an array of groups, in the order they should be shown:
+       *      { 
+       *          key         unique id of the group
+       *          title       the group's header, null when the tasks aren't grouped
+       *          tasks       array of {task, subtasks, subtaskCount, archived}
+       *      }
+       *     subtasks are listed under their parent instead of on their own, and only the ones that
+       *     match the filters (and the search) are included; a parent is included if it or any of its subtasks match.
+       *     subtaskCount is the number of subtasks the task has, whether they match or not
+       *     when searching, the completed tasks that match (if getCompletedData has loaded them)
+       *     are added at the end in their own group, with archived set to true
+       * @param {*} taskView defaults to the view the user picked last, see setTaskView
+       * @param {*} searchText only tasks whose name or notes contain this text are included, empty for all tasks
+       */
+      queryTasks(taskView = this.taskView, searchText = "") {
+          let view = {...defaultTaskView, ...taskView};
+          let now = new Date();
+          let matches = task => matchesFilters(task, view, now) && matchesSearch(task, searchText);
+          let compare = taskComparator(view.sortBy, task => this.getTimeLeft(task.id));
+
+          // a subtask whose parent isn't open anymore is shown on its own
+          let taskIds = new Set(this.taskArray.map(task => task.id));
+          let topLevelTasks = this.taskArray.filter(task => !(task.parentId && taskIds.has(task.parentId)));
+          topLevelTasks.sort(compare);
+
+          let groups = [];
+          for (let i = 0; i < topLevelTasks.length; ++i) {
+              let task = topLevelTasks[i];
+              let allSubtasks = this.getSubtasks(task.id);
+              let subtasks = allSubtasks.filter(matches).sort(compare);
+              if (!matches(task) && subtasks.length == 0) {
+                  continue;
+              }
+
+              let groupInfo = taskGroup(task, view.groupBy, this.taskLists);
+              let group = groups.find(group => group.key == groupInfo.key);
+              if (group == undefined) {
+                  group = {...groupInfo, tasks: []};
+                  groups.push(group);
+              }
+              group.tasks.push({task: task, subtasks: subtasks, subtaskCount: allSubtasks.length});
+          }
+
+          groups.sort((a, b) => a.order - b.order);
+          groups = groups.map(group => ({key: group.key, title: group.title, tasks: group.tasks}));
+
+          if (searchText.trim() != "") {
+              let completedTasks = this.completedTaskArray.filter(matches).sort(compare);
+              if (completedTasks.length > 0) {
+                  groups.push({key: 'completed', title: "Completed tasks", tasks: completedTasks.map(task =>
+                      ({task: task, subtasks: [], subtaskCount: 0, archived: true}))});
+              }
+          }
+          return groups;
+      }
+
+      /**
+       * \brief Returns how the user wants the tasks sorted, filtered and grouped (see TaskQuery.js)
+       */
+      getTaskView() {
+          return this.taskView;
+      }
+
+      /**
+       * \brief Changes how the tasks are sorted, filtered and grouped, and saves the choice
+       *        on the phone and in Firebase so it is kept after the app restarts
+       * @param {*} changes the fields of the task view to change, see TaskQuery.js
+       */
+      setTaskView = async(changes) => {
+        this.taskView = {...this.taskView, ...changes};
+        // Firebase waits for the network by itself, so don't hold up the HomeScreen for it
+        this.firestoreHandle.updateTaskViewFirebase(this.userEmail, this.taskView);
+        await this.saveLocalData();
+      }
+
+      /**
+       * \brief loads the task view saved in Firebase, possibly from another phone
+       */
+      getFirebaseTaskView = async() => {
+        let user = await firebase.firestore().collection('users').doc(this.userEmail).get();
+        if (user.exists && user.data().taskView) {
+            this.taskView = {...defaultTaskView, ...user.data().taskView};
+        }
+      }
+
+      // --------------------------Task List Functions --------------------------
+
+      /**
+       * \brief Returns the user's task lists, an array of {id, title}
+       */
+      getTaskLists() {
+          return this.taskLists;
+      }
+
+      /**
+       * \brief Returns the id of the list new tasks go to when the user doesn't pick one
+       * 
+       * \details Google lists the user's default list first; "@default" is Google's alias for it
+       *          and is only used if the lists haven't been loaded yet
+       */
+      getDefaultTaskListId() {
+          return this.taskLists.length > 0 ? this.taskLists[0].id : "@default";
+      }
+
+      /**
+       * \brief Searches taskLists for the list with the given id
+       *        Returns the index of that list, or -1
+       */
+      findTaskList(taskListId) {
+          for (let i = 0; i < this.taskLists.length; ++i) {
+              if (this.taskLists[i].id == taskListId) {
+                  return i;
+              }
+          }
+          return -1;
+      }
+
+      /**
+       * \brief Creates a new task list in taskLists and Google Tasks
+       * @param {*} title the name of the new list
+       */
+      createTaskList = async(title) => {
+        await this.queueMutation({
+            type: 'createList',
+            taskListId: "local-list-" + Date.now(),
+            title: title,
+        });
+      }
+
+      /**
+       * \brief Renames a task list in taskLists and Google Tasks
+       * @param {*} taskListId id of the list to rename
+       * @param {*} title the new name of the list
+       */
+      renameTaskList = async(taskListId, title) => {
+        await this.queueMutation({
+            type: 'renameList',
+            taskListId: taskListId,
+            title: title,
+        });
+      }
+
+      // --------------------------Offline Queue Functions --------------------------
+
+      /**
+       * \brief loads the taskArray, taskLists, mutationQueue, taskView and timers saved on the phone by saveLocalData
+       */
+      loadLocalData = async() => {
+        this.taskArray = await this.storageHandle.getItem(this.userEmail, TASK_CACHE_KEY, []);
+        this.taskLists = await this.storageHandle.getItem(this.userEmail, TASK_LISTS_KEY, []);
+        this.mutationQueue = await this.storageHandle.getItem(this.userEmail, MUTATION_QUEUE_KEY, []);
+        this.taskView = {...defaultTaskView,
+            ...await this.storageHandle.getItem(this.userEmail, TASK_VIEW_KEY, {})};
+        this.timers = await this.storageHandle.getItem(this.userEmail, TIMERS_KEY, {});
+      }
+
+      /**
+       * \brief saves taskArray, taskLists, mutationQueue, taskView and the timers on the phone so they survive an app restart
+       */
+      saveLocalData = async() => {
+        await this.storageHandle.setItem(this.userEmail, TASK_CACHE_KEY, this.taskArray);
+        await this.storageHandle.setItem(this.userEmail, TASK_LISTS_KEY, this.taskLists);
+        await this.storageHandle.setItem(this.userEmail, MUTATION_QUEUE_KEY, this.mutationQueue);
+        await this.storageHandle.setItem(this.userEmail, TASK_VIEW_KEY, this.taskView);
+        await this.storageHandle.setItem(this.userEmail, TIMERS_KEY, this.timers);
+      }
+
+      /**
+       * \brief applies a change locally, saves it to the queue, then tries to send the queue
+       * 
+       * \details does not wait for the queue to be sent; while offline, the change
+       *          simply waits in the queue until replayMutations succeeds
+       * @param {*} mutation a JSON object describing the change, see applyMutation and sendMutation
+       */
+      queueMutation = async(mutation) => {
+        mutation.googleDone = false;  // true once Google Tasks has accepted the change
+        // the screen that made the change may still have the id a new task had before it was sent
+        if (mutation.taskId) {
+            mutation.taskId = this.resolveTaskId(mutation.taskId);
+        }
+        if (mutation.parentId) {
+            mutation.parentId = this.resolveTaskId(mutation.parentId);
+        }
+        this.applyMutation(mutation);
+        this.mutationQueue.push(mutation);
+        await this.saveLocalData();
+        if (TASK_CHANGE_TYPES.includes(mutation.type) && this.onTasksChanged) {
+            this.onTasksChanged();
+        }
+
+        this.replayMutations();
+      }
+
+      /**
+       * \brief makes the change described by a mutation to taskArray (and taskLists) only
+       * 
+       * \details safe to call more than once for the same mutation
+       */
+      applyMutation(mutation) {
+        let i = this.findTask(mutation.taskId);
+        let listIndex = this.findTaskList(mutation.taskListId);
+        switch (mutation.type) {
+            case 'create':
+                if (i == -1) {
+                    // the time spent on the task is zero by default
+                    this.taskArray.push({
+                        name: mutation.name,
+                        id: mutation.taskId,
+                        taskListId: mutation.taskListId,
+                        parentId: mutation.parentId,
+                        priority: mutation.priority,
+                        estTimeToComplete: mutation.estTimeToComplete,
+                        dueDateAndTime: mutation.dueDate,
+                        timeSpent: 0,
+                        recurrence: mutation.recurrence || null,
+                        notes: mutation.notes || "",
+                        links: mutation.links || [],
+                        googleLinks: []
+                    });
+                }
+                break;
+            case 'update':
+                if (i != -1) {
+                    this.taskArray[i].name = mutation.name;
+                    this.taskArray[i].dueDateAndTime = mutation.dueDate;
+                    this.taskArray[i].priority = mutation.priority;
+                    this.taskArray[i].estTimeToComplete = mutation.estTimeToComplete;
+                    this.taskArray[i].timeSpent = mutation.timeSpent;
+                    this.taskArray[i].recurrence = mutation.recurrence || null;
+                    this.taskArray[i].notes = mutation.notes || "";
+                    this.taskArray[i].links = mutation.links || [];
+                }
+                break;
+            case 'move':
+                if (i != -1) {
+                    this.taskArray[i].taskListId = mutation.taskListId;
+                    // Google puts a task moved to another list at the top level of that list
+                    delete this.taskArray[i].parentId;
+                }
+                for (let j = 0; j < (mutation.subtaskIds || []).length; ++j) {
+                    let k = this.findTask(mutation.subtaskIds[j]);
+                    if (k != -1) {
+                        this.taskArray[k].taskListId = mutation.taskListId;
+                    }
+                }
+                break;
+            case 'timeSpent':
+                if (i != -1) {
+                    this.taskArray[i].timeSpent = mutation.timeSpent;
+                }
+                break;
+            case 'estimate':
+                if (i != -1) {
+                    this.taskArray[i].estTimeToComplete = mutation.estTimeToComplete;
+                }
+                break;
+            case 'addSession':
+            case 'updateSession':
+            case 'deleteSession':
+                if (i != -1) {
+                    this.taskArray[i].timeSpent = mutation.timeSpent;
+                }
+                if (this.sessions[mutation.taskId]) {
+                    this.sessions[mutation.taskId] = this.applySessionChange(this.sessions[mutation.taskId], mutation);
+                }
+                break;
+            case 'pomodoro':
+                if (i != -1) {
+                    this.taskArray[i].pomodoros = mutation.pomodoros;
+                }
+                break;
+            case 'complete':
+                delete this.timers[mutation.taskId];
+                if (i != -1) {
+                    let completedTask = this.taskArray.splice(i, 1)[0];
+                    // keep the archive up to date if it has been loaded
+                    this.completedTaskArray.unshift({...completedTask,
+                        completedDate: mutation.completedAt || new Date().toISOString(), coinsEarned: mutation.reward});
+                }
+                break;
+            case 'reopen':
+                this.completedTaskArray = this.completedTaskArray.filter(task => task.id != mutation.taskId);
+                if (i == -1) {
+                    this.taskArray.push({...mutation.task});
+                }
+                break;
+            case 'delete':
+                delete this.timers[mutation.taskId];
+                if (i != -1) {
+                    this.taskArray.splice(i, 1);
+                }
+                // Google deletes the subtasks of a deleted task as well
+                this.taskArray = this.taskArray.filter(task => task.parentId != mutation.taskId);
+                break;
+            case 'createList':
+                if (listIndex == -1) {
+                    this.taskLists.push({id: mutation.taskListId, title: mutation.title});
+                }
+                break;
+            case 'renameList':
+                if (listIndex != -1) {
+                    this.taskLists[listIndex].title = mutation.title;
+                }
+                break;
+        }
+      }
+
+      /**
+       * \brief sends every queued mutation to Google Tasks and Firebase, oldest first
+       * 
+       * \details stops at the first failure that may go away (no network, an expired token, Google
+       *          being busy, see isRetryable) and tries again later; a mutation is only removed from
+       *          the queue once it has been fully sent, or refused for good (see onMutationDropped)
+       */
+      replayMutations = async() => {
+        if (this.replaying) {
+            return;
+        }
+        this.replaying = true;
+        clearTimeout(this.retryTimer);
+
+        try {
+            while (this.mutationQueue.length > 0) {
+                let mutation = this.mutationQueue[0];
+                try {
+                    await this.sendMutation(mutation);
+                } catch (error) {
+                    if (isRetryable(error)) {
+                        throw error;
+                    }
+                    // eg. the task was deleted in Google Tasks before this change to it was sent;
+                    // sending it again would fail the same way and hold up every change after it
+                    console.log("dropping queued change that can't be sent: " + error);
+                    // the change has already been made to taskArray, so load everything again next time
+                    await this.storageHandle.setItem(this.userEmail, LAST_SYNC_KEY, null);
+                    if (this.onMutationDropped) {
+                        this.onMutationDropped(mutation, error);
+                    }
+                }
+                this.mutationQueue.shift();
+                await this.saveLocalData();
+            }
+            if (this.onSync) {
+                this.onSync();
+            }
+        } catch (error) {
+            console.log("could not send queued changes, will retry: " + error);
+            if (!this.disposed) {
+                this.retryTimer = setTimeout(() => this.replayMutations(), RETRY_DELAY);
+            }
+        }
+        this.replaying = false;
+      }
+
+      /**
+       * \brief Returns a few words telling the user what a mutation changes, eg. 'completing "Buy milk"'
+       */
+      describeMutation(mutation) {
+        const actions = {create: "adding", update: "editing", move: "moving", complete: "completing",
+            reopen: "reopening", delete: "deleting", estimate: "the estimate of", createList: "adding the list", renameList: "renaming the list"};
+        let task = this.taskArray[this.findTask(mutation.taskId)] ||
+            this.completedTaskArray.find(task => task.id == mutation.taskId) || mutation.task;
+        let name = mutation.name || mutation.title || (task ? task.name : null);
+        let action = actions[mutation.type] || "the time spent on";
+        return action + (name ? " \"" + name + "\"" : " a task");
+      }
+
+      /**
+       * \brief sends one mutation to Google Tasks, then to Firebase
+       * 
+       * \details Google is done first because it fails quickly when offline, while Firebase
+       *          quietly waits for the network. googleDone is saved so that a mutation
+       *          that was interrupted half way is not sent to Google twice.
+       */
+      sendMutation = async(mutation) => {
+        switch (mutation.type) {
+            case 'create':
+                if (!mutation.googleDone) {
+                    let taskId = await this.googleHandle.createGoogleTask(mutation.taskListId, mutation.name,
+                        new Date(mutation.dueDate), joinNotes(mutation.notes, mutation.links), this.accessToken);
+                    this.replaceTaskId(mutation.taskId, taskId);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                // Google creates every task at the top level; the move endpoint nests it under its parent
+                if (mutation.parentId && !mutation.parentDone) {
+                    await this.googleHandle.moveGoogleTaskUnder(mutation.taskId, mutation.taskListId,
+                        mutation.parentId, this.accessToken);
+                    mutation.parentDone = true;
+                    await this.saveLocalData();
+                }
+                // the task is not completed, by default
+                await this.firestoreHandle.updateFirebaseTaskData(this.userEmail, mutation.taskId, mutation.name,
+                    mutation.priority, mutation.estTimeToComplete, 0, false, new Date(mutation.dueDate));
+                await this.firestoreHandle.updateRecurrenceInFirebase(this.userEmail, mutation.taskId,
+                    mutation.recurrence || null);
+                break;
+            case 'update':
+                if (!mutation.googleDone) {
+                    await this.googleHandle.updateGoogleTask(mutation.taskId, mutation.taskListId,
+                        mutation.name, new Date(mutation.dueDate), joinNotes(mutation.notes, mutation.links),
+                        this.accessToken);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                await this.firestoreHandle.updateFirebaseTaskData(this.userEmail, mutation.taskId, mutation.name,
+                    mutation.priority, mutation.estTimeToComplete, mutation.timeSpent, false, new Date(mutation.dueDate));
+                await this.firestoreHandle.updateRecurrenceInFirebase(this.userEmail, mutation.taskId,
+                    mutation.recurrence || null);
+                break;
+            case 'move': {
+                // the subtasks are moved out first and put back under the task once it has moved, so they
+                // end up under it in the new list whatever Google does with the subtasks of a moved task
+                let subtaskIds = mutation.subtaskIds || [];
+                for (let j = mutation.subtasksMoved || 0; j < subtaskIds.length; ++j) {
+                    await this.googleHandle.moveGoogleTask(subtaskIds[j], mutation.fromTaskListId,
+                        mutation.taskListId, this.accessToken);
+                    mutation.subtasksMoved = j + 1;
+                    await this.saveLocalData();
+                }
+                if (!mutation.googleDone) {
+                    await this.googleHandle.moveGoogleTask(mutation.taskId, mutation.fromTaskListId,
+                        mutation.taskListId, this.accessToken);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                for (let j = mutation.subtasksNested || 0; j < subtaskIds.length; ++j) {
+                    await this.googleHandle.moveGoogleTaskUnder(subtaskIds[j], mutation.taskListId,
+                        mutation.taskId, this.accessToken);
+                    mutation.subtasksNested = j + 1;
+                    await this.saveLocalData();
+                }
+                break;
+            }
+            case 'timeSpent':
+                await this.firestoreHandle.updateTimeSpentInFirebase(this.userEmail, mutation.taskId,
+                    mutation.timeSpent);
+                break;
+            case 'estimate':
+                await this.firestoreHandle.updateEstimateInFirebase(this.userEmail, mutation.taskId,
+                    mutation.estTimeToComplete);
+                break;
+            case 'addSession':
+            case 'updateSession':
+                await this.firestoreHandle.setSessionFirebase(this.userEmail, mutation.taskId, mutation.session.id,
+                    new Date(mutation.session.start), new Date(mutation.session.end));
+                await this.firestoreHandle.updateTimeSpentInFirebase(this.userEmail, mutation.taskId,
+                    mutation.timeSpent);
+                break;
+            case 'deleteSession':
+                await this.firestoreHandle.deleteSessionFirebase(this.userEmail, mutation.taskId, mutation.session.id);
+                await this.firestoreHandle.updateTimeSpentInFirebase(this.userEmail, mutation.taskId,
+                    mutation.timeSpent);
+                break;
+            case 'pomodoro':
+                await this.firestoreHandle.updatePomodorosInFirebase(this.userEmail, mutation.taskId,
+                    mutation.pomodoros);
+                await this.firestoreHandle.addPlantGrowthBonus(this.userEmail, mutation.growthPoints,
+                    mutation.bonusId || null);
+                break;
+            case 'complete':
+                if (!mutation.googleDone) {
+                    await this.googleHandle.completeGoogleTask(mutation.taskId, mutation.taskListId,
+                        this.accessToken);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                await this.firestoreHandle.payTaskRewardFirebase(this.userEmail, mutation.taskId, mutation.reward,
+                    mutation.completedAt || new Date().toISOString(), mutation.achievementStats || {});
+                break;
+            case 'reopen':
+                if (!mutation.googleDone) {
+                    await this.googleHandle.reopenGoogleTask(mutation.taskId, mutation.taskListId,
+                        this.accessToken);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                await this.firestoreHandle.takeBackTaskRewardFirebase(this.userEmail, mutation.taskId);
+                break;
+            case 'delete':
+                if (!mutation.googleDone) {
+                    await this.googleHandle.deleteGoogleTask(mutation.taskId, mutation.taskListId,
+                        this.accessToken);
+                    mutation.googleDone = true;
+                    await this.saveLocalData();
+                }
+                await this.firestoreHandle.deleteTaskInFirebase(this.userEmail, mutation.taskId);
+                break;
+            case 'createList': {
+                let taskListId = await this.googleHandle.createGoogleTaskList(mutation.title, this.accessToken);
+                this.replaceTaskListId(mutation.taskListId, taskListId);
+                break;
+            }
+            case 'renameList':
+                await this.googleHandle.renameGoogleTaskList(mutation.taskListId, mutation.title,
+                    this.accessToken);
+                break;
+        }
+      }
+
+      /**
+       * \brief swaps a temporary local task id for the id Google gave the task, in taskArray
+       *        (including subtasks' parentId), completedTaskArray, the timers, the sessions and every queued mutation
+       * 
+       * \details the screens showing the task still have the old id, so it is kept in taskIdAliases
+       *          (see resolveTaskId) and onTasksChanged is called for the HomeScreen to show the new one
+       */
+      replaceTaskId(oldTaskId, newTaskId) {
+        this.taskIdAliases[oldTaskId] = newTaskId;
+        if (this.timers[oldTaskId]) {
+            this.timers[newTaskId] = this.timers[oldTaskId];
+            delete this.timers[oldTaskId];
+        }
+        if (this.sessions[oldTaskId]) {
+            this.sessions[newTaskId] = this.sessions[oldTaskId];
+            delete this.sessions[oldTaskId];
+        }
+        for (let i = 0; i < this.taskArray.length; ++i) {
+            if (this.taskArray[i].id == oldTaskId) {
+                this.taskArray[i].id = newTaskId;
+            }
+            // subtasks created while their parent was still local point at the old id
+            if (this.taskArray[i].parentId == oldTaskId) {
+                this.taskArray[i].parentId = newTaskId;
+            }
+        }
+        // a task completed before it was sent
+        for (let i = 0; i < this.completedTaskArray.length; ++i) {
+            if (this.completedTaskArray[i].id == oldTaskId) {
+                this.completedTaskArray[i].id = newTaskId;
+            }
+        }
+        for (let j = 0; j < this.mutationQueue.length; ++j) {
+            if (this.mutationQueue[j].taskId == oldTaskId) {
+                this.mutationQueue[j].taskId = newTaskId;
+            }
+            if (this.mutationQueue[j].task && this.mutationQueue[j].task.id == oldTaskId) {
+                this.mutationQueue[j].task.id = newTaskId;
+            }
+            if (this.mutationQueue[j].parentId == oldTaskId) {
+                this.mutationQueue[j].parentId = newTaskId;
+            }
+            if (this.mutationQueue[j].subtaskIds) {
+                this.mutationQueue[j].subtaskIds = this.mutationQueue[j].subtaskIds.map(
+                    taskId => taskId == oldTaskId ? newTaskId : taskId);
+            }
+        }
+        if (this.onTasksChanged && !this.disposed) {
+            this.onTasksChanged();
+        }
+      }
+
+      /**
+       * \brief Returns the id a task has now: the id Google gave it if taskId is the temporary
+       *        local id it had before it was sent (see replaceTaskId), taskId otherwise
+       */
+      resolveTaskId(taskId) {
+          return this.taskIdAliases[taskId] || taskId;
+      }
+
+      /**
+       * \brief swaps a temporary local task list id for the id Google gave the list,
+       *        in taskLists, taskArray and every queued mutation
+       */
+      replaceTaskListId(oldTaskListId, newTaskListId) {
+        let listIndex = this.findTaskList(oldTaskListId);
+        if (listIndex != -1) {
+            this.taskLists[listIndex].id = newTaskListId;
+        }
+        for (let i = 0; i < this.taskArray.length; ++i) {
+            if (this.taskArray[i].taskListId == oldTaskListId) {
+                this.taskArray[i].taskListId = newTaskListId;
+            }
+        }
+        for (let j = 0; j < this.mutationQueue.length; ++j) {
+            if (this.mutationQueue[j].taskListId == oldTaskListId) {
+                this.mutationQueue[j].taskListId = newTaskListId;
+            }
+            if (this.mutationQueue[j].fromTaskListId == oldTaskListId) {
+                this.mutationQueue[j].fromTaskListId = newTaskListId;
+            }
+        }
+      }
+
 
  }
\ No newline at end of file
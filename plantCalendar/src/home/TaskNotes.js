@@ -0,0 +1,68 @@
+/**
+ * Task notes helpers
+ *  \brief converts between Google Tasks' notes text and the notes and links shown in the app
+ *
+ *  \details Google Tasks only lets apps write a task's notes; its links field is read-only
+ *           (Google fills it in for tasks created from eg. Gmail). So the links the user adds
+ *           in the app are written at the end of the notes, one per line:
+ *      Bring the receipts
+ *
+ *      Tax form - https://example.com/form.pdf
+ *      https://example.com/guide
+ *
+ *           and read back from there, so they show up in the notes on the web and
+ *           links added to the end of the notes on the web show up in the app.
+ *           A link is {description, link}; description may be empty.
+ */
+
+// a line that holds nothing but a link, optionally after a description and " - "
+const LINK_LINE = /^(?:(.+) - )?(https?:\/\/\S+)$/i;
+
+/**
+ * \brief splits the notes of a Google task into the notes text and the links at its end
+ * \details returns {notes, links}
+ * @param {*} text the task's notes from Google, may be undefined
+ */
+export function splitNotes(text) {
+    let lines = (text || "").split('\n');
+    let links = [];
+
+    // take link lines off the end until something else is found
+    while (lines.length > 0) {
+        let match = lines[lines.length - 1].trim().match(LINK_LINE);
+        if (!match) {
+            break;
+        }
+        links.unshift({description: match[1] || "", link: match[2]});
+        lines.pop();
+    }
+    return {notes: lines.join('\n').trim(), links: links};
+}
+
+/**
+ * \brief the inverse of splitNotes, builds the notes text to send to Google
+ */
+export function joinNotes(notes, links) {
+    let linkLines = (links || []).map(link =>
+        link.description ? link.description + " - " + link.link : link.link);
+    let text = (notes || "").trim();
+    if (linkLines.length == 0) {
+        return text;
+    }
+    return text == "" ? linkLines.join('\n') : text + '\n\n' + linkLines.join('\n');
+}
+
+/**
+ * \brief tidies up a link typed in by the user, adding https:// if it has no scheme
+ * \details returns null if it doesn't look like a link
+ */
+export function normalizeLink(text) {
+    let link = (text || "").trim();
+    if (link == "" || /\s/.test(link)) {
+        return null;
+    }
+    if (!/^https?:\/\//i.test(link)) {
+        link = "https://" + link;
+    }
+    return link;
+}
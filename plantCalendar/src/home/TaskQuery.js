@@ -0,0 +1,226 @@
+/**
+ * Task query helpers
+ *  \brief sorts, filters, searches and groups tasks for the HomeScreen, see TaskData.queryTasks
+ *
+ *  \details How the tasks are shown is described by a "task view" JSON object:
+ *      {
+ *          sortBy      'dueDate', 'priority', 'timeLeft' or 'name'
+ *          groupBy     'none', 'day', 'list' or 'priority'
+ *          priority    'all', 'high', 'medium' or 'low'
+ *          taskListId  'all' or the id of a task list
+ *          due         'all', 'overdue', 'today' or 'week'
+ *          hasEstimate boolean, only show tasks with an estimated time
+ *      }
+ *           The values are strings so they can be used directly as Dropdown values.
+ */
+
+export const defaultTaskView = {
+    sortBy: 'dueDate',
+    groupBy: 'list',
+    priority: 'all',
+    taskListId: 'all',
+    due: 'all',
+    hasEstimate: false,
+};
+
+// options for the Dropdowns on the HomeScreen
+export const sortOptions = [
+    {value: 'dueDate', label: 'By Due Date'},
+    {value: 'priority', label: 'By Priority'},
+    {value: 'timeLeft', label: 'By Time Left'},
+    {value: 'name', label: 'By Name'},
+];
+
+export const groupOptions = [
+    {value: 'none', label: 'No groups'},
+    {value: 'day', label: 'By Day'},
+    {value: 'list', label: 'By List'},
+    {value: 'priority', label: 'By Priority'},
+];
+
+export const priorityOptions = [
+    {value: 'all', label: 'Any priority'},
+    {value: 'high', label: 'High'},
+    {value: 'medium', label: 'Medium'},
+    {value: 'low', label: 'Low'},
+];
+
+export const dueOptions = [
+    {value: 'all', label: 'Any time'},
+    {value: 'overdue', label: 'Overdue'},
+    {value: 'today', label: 'Due today'},
+    {value: 'week', label: 'Due this week'},
+];
+
+export const PRIORITY_ORDER = ['high', 'medium', 'low'];
+
+/**
+ * \brief returns the time a task is due in milliseconds, or null if it has no due date
+ */
+export function dueTime(task) {
+    let time = new Date(task.dueDateAndTime).getTime();
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * \brief returns the midnight that starts the day date is in
+ */
+export function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * \brief returns the midnight that starts the week (on Monday) date is in
+ */
+export function startOfWeek(date) {
+    let day = startOfDay(date);
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+    return day;
+}
+
+/**
+ * \brief checks a task against the filters of a task view
+ * @param {*} task a task object from TaskData
+ * @param {*} taskView see the top of this file
+ * @param {*} now Date object, defaults to the current time
+ */
+export function matchesFilters(task, taskView, now = new Date()) {
+    if (taskView.priority != 'all' && task.priority != taskView.priority) {
+        return false;
+    }
+    if (taskView.taskListId != 'all' && task.taskListId != taskView.taskListId) {
+        return false;
+    }
+    if (taskView.hasEstimate && !(parseFloat(task.estTimeToComplete) > 0)) {
+        return false;
+    }
+
+    let time = dueTime(task);
+    switch (taskView.due) {
+        case 'overdue':
+            return time != null && time < now.getTime();
+        case 'today': {
+            let today = startOfDay(now);
+            let tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+            return time != null && time >= today.getTime() && time < tomorrow.getTime();
+        }
+        case 'week': {
+            let weekStart = startOfWeek(now);
+            let nextWeekStart = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7);
+            return time != null && time >= weekStart.getTime() && time < nextWeekStart.getTime();
+        }
+    }
+    return true;
+}
+
+/**
+ * \brief compares two numbers that may be null, nulls go last
+ */
+function compareNullable(a, b) {
+    if (a == null || b == null) {
+        return (a == null) - (b == null);
+    }
+    return a - b;
+}
+
+/**
+ * \brief returns a compare function for Array.sort that orders tasks as the task view asks
+ * @param {*} sortBy see the top of this file
+ * @param {*} getTimeLeft function that returns the hours left on a task, or null if it has no estimate
+ */
+export function taskComparator(sortBy, getTimeLeft) {
+    const byDueDate = (a, b) => compareNullable(dueTime(a), dueTime(b));
+    switch (sortBy) {
+        case 'priority':
+            return (a, b) => {
+                let rankA = PRIORITY_ORDER.indexOf(a.priority);
+                let rankB = PRIORITY_ORDER.indexOf(b.priority);
+                return compareNullable(rankA == -1 ? null : rankA, rankB == -1 ? null : rankB) || byDueDate(a, b);
+            };
+        case 'timeLeft':
+            return (a, b) => compareNullable(getTimeLeft(a), getTimeLeft(b)) || byDueDate(a, b);
+        case 'name':
+            return (a, b) => (a.name || "").localeCompare(b.name || "");
+    }
+    return byDueDate;
+}
+
+/**
+ * \brief returns the group a task goes in, {key, title, order}; groups are shown by increasing order
+ * @param {*} task a task object from TaskData
+ * @param {*} groupBy see the top of this file
+ * @param {*} taskLists the user's task lists, an array of {id, title}
+ */
+export function taskGroup(task, groupBy, taskLists) {
+    switch (groupBy) {
+        case 'day': {
+            let time = dueTime(task);
+            if (time == null) {
+                return {key: 'noDate', title: "No due date", order: Infinity};
+            }
+            let day = startOfDay(new Date(time));
+            return {key: day.toISOString(), title: day.toDateString(), order: day.getTime()};
+        }
+        case 'list': {
+            let index = taskLists.findIndex(taskList => taskList.id == task.taskListId);
+            // a task whose list hasn't been loaded yet goes in a group at the end
+            if (index == -1) {
+                return {key: 'otherList', title: "Other tasks", order: Infinity};
+            }
+            return {key: task.taskListId, title: taskLists[index].title, order: index};
+        }
+        case 'priority': {
+            let index = PRIORITY_ORDER.indexOf(task.priority);
+            if (index == -1) {
+                return {key: 'noPriority', title: "No priority", order: Infinity};
+            }
+            return {key: task.priority, title: task.priority.charAt(0).toUpperCase() + task.priority.slice(1) +
+                " priority", order: index};
+        }
+    }
+    // a single group without a header
+    return {key: 'all', title: null, order: 0};
+}
+
+/**
+ * \brief checks whether a task's name or notes contain the search text, ignoring case
+ * \details an empty search matches every task
+ */
+export function matchesSearch(task, searchText) {
+    let search = (searchText || "").trim().toLowerCase();
+    if (search == "") {
+        return true;
+    }
+    return (task.name || "").toLowerCase().includes(search) ||
+        (task.notes || "").toLowerCase().includes(search);
+}
+
+/**
+ * \brief splits text into the parts that match the search text and the parts that don't, ignoring case
+ * \details returns an array of {text, match}, eg. splitting "Buy milk" by "mil" gives
+ *          [{text: "Buy ", match: false}, {text: "mil", match: true}, {text: "k", match: false}]
+ */
+export function splitMatches(text, searchText) {
+    let search = (searchText || "").trim().toLowerCase();
+    text = text || "";
+    if (search == "") {
+        return [{text: text, match: false}];
+    }
+
+    let parts = [];
+    let lowerText = text.toLowerCase();
+    let start = 0;
+    let index = lowerText.indexOf(search);
+    while (index != -1) {
+        if (index > start) {
+            parts.push({text: text.substring(start, index), match: false});
+        }
+        parts.push({text: text.substring(index, index + search.length), match: true});
+        start = index + search.length;
+        index = lowerText.indexOf(search, start);
+    }
+    if (start < text.length) {
+        parts.push({text: text.substring(start), match: false});
+    }
+    return parts;
+}
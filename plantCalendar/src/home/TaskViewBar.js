@@ -0,0 +1,129 @@
+import * as React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import { Dropdown } from 'react-native-material-dropdown';
+import PropTypes from 'prop-types';
+
+import { sortOptions, groupOptions, priorityOptions, dueOptions } from './TaskQuery';
+
+/**
+ * TaskViewBar Class
+ *  \brief the Dropdowns on the HomeScreen for sorting, filtering and grouping the tasks
+ *  \details taskView is the current choice (see TaskQuery.js); onChange is called with
+ *           the fields the user changed. The filters are hidden behind a button to save space.
+ */
+export default class TaskViewBar extends React.Component {
+    state = {
+        showFilters: false,
+    }
+
+    render() {
+        const taskView = this.props.taskView;
+        // options for the task list filter, shown by title but stored by id
+        let taskListOptions = [{value: 'all', label: 'Any list'}].concat(
+            this.props.taskLists.map(taskList => ({value: taskList.id, label: taskList.title})));
+
+        return (
+            <View>
+                <View style = {styles.row}>
+                    <Dropdown
+                        label = 'Sort'
+                        data = {sortOptions}
+                        value = {taskView.sortBy}
+                        onChangeText = {(value) => this.props.onChange({sortBy: value})}
+                        containerStyle = {styles.dropDown}
+                    />
+                    <Dropdown
+                        label = 'Group'
+                        data = {groupOptions}
+                        value = {taskView.groupBy}
+                        onChangeText = {(value) => this.props.onChange({groupBy: value})}
+                        containerStyle = {styles.dropDown}
+                    />
+                    <TouchableOpacity
+                        style = {styles.button}
+                        onPress = {() => this.setState({showFilters: !this.state.showFilters})}>
+                        <Text style = {styles.buttonText}>{this.state.showFilters ? "Hide filters" : "Filters"}</Text>
+                    </TouchableOpacity>
+                </View>
+
+                {this.state.showFilters ?
+                    <View style = {styles.row}>
+                        <Dropdown
+                            label = 'Priority'
+                            data = {priorityOptions}
+                            value = {taskView.priority}
+                            onChangeText = {(value) => this.props.onChange({priority: value})}
+                            containerStyle = {styles.dropDown}
+                        />
+                        <Dropdown
+                            label = 'List'
+                            data = {taskListOptions}
+                            value = {taskView.taskListId}
+                            onChangeText = {(value) => this.props.onChange({taskListId: value})}
+                            containerStyle = {styles.dropDown}
+                        />
+                        <Dropdown
+                            label = 'Due'
+                            data = {dueOptions}
+                            value = {taskView.due}
+                            onChangeText = {(value) => this.props.onChange({due: value})}
+                            containerStyle = {styles.dropDown}
+                        />
+                        {/* toggles the "has estimate" filter */}
+                        <TouchableOpacity
+                            style = {taskView.hasEstimate ? styles.button : styles.buttonOff}
+                            onPress = {() => this.props.onChange({hasEstimate: !taskView.hasEstimate})}>
+                            <Text style = {taskView.hasEstimate ? styles.buttonText : styles.buttonOffText}>Estimated</Text>
+                        </TouchableOpacity>
+                    </View>
+                : null}
+            </View>
+        );
+    }
+}
+
+TaskViewBar.propTypes = {
+    taskView: PropTypes.object.isRequired,
+    taskLists: PropTypes.arrayOf(PropTypes.object),
+    onChange: PropTypes.func.isRequired,
+};
+
+TaskViewBar.defaultProps = {
+    taskLists: [],
+};
+
+const styles = StyleSheet.create({
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    dropDown:{
+        flex: 1,
+        marginRight: 10,
+    },
+    button:{
+        backgroundColor: '#8ccd82',
+        padding: 5,
+        marginRight: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    buttonText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF',
+    },
+    buttonOff:{
+        padding: 5,
+        marginRight: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    buttonOffText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+});
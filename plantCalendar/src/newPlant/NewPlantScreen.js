@@ -0,0 +1,174 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert} from 'react-native';
+
+import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import Plant from '../garden/Plant';
+import { DEFAULT_SPECIES, SPECIES, getSpecies } from '../garden/Species';
+import { uniquePlantName } from '../garden/Garden';
+
+/**
+ * NewPlantScreen Class
+ *  \brief lets the user start growing another plant: they pick its species and name it
+ *  \details opened from the GardenScreen, which passes in the user's email, the names of all
+ *           their plants (a new plant's name must be unique, see garden/Garden.js) and a function
+ *           to call with the new plant's name through the route params
+ */
+export default class NewPlantScreen extends React.Component {
+    state = {
+        name: "",
+        species: DEFAULT_SPECIES,
+        planting: false,
+        firestoreHandle: new FirestoreHandle(),
+    }
+    planting = false;  // true while the plant is being created, see plant
+
+    /**
+     * \brief Returns the name the plant will get: the one typed in (or the species' name),
+     *        made unique
+     */
+    plantName() {
+        const plantNames = this.props.route.params.plantNames;
+        return uniquePlantName(this.state.name.trim() || getSpecies(this.state.species).name, plantNames);
+    }
+
+    /**
+     * \brief creates the plant in Firebase, paying for its species (if it isn't free) in the same
+     *        transaction, then goes back to the GardenScreen
+     */
+    async plant() {
+        // ignore taps while the last one is still being planted
+        if (this.planting) {
+            return;
+        }
+        this.planting = true;
+        this.setState({planting: true});
+        const { userEmail, onPlanted } = this.props.route.params;
+        let species = getSpecies(this.state.species);
+        let name = this.plantName();
+        let result;
+        try {
+            result = await this.state.firestoreHandle.plantFirebase(userEmail, name, species.id,
+                species.unlockCost);
+        } catch (error) {
+            console.log(error);
+            result = 'failed';
+        } finally {
+            this.planting = false;
+            this.setState({planting: false});
+        }
+        if (result == 'notEnoughCoins') {
+            Alert.alert("You don't have enough coins for a " + species.name + " right now.");
+        } else if (result == 'nameTaken') {
+            Alert.alert("You already have a plant called " + name + ", please pick another name.");
+        } else if (result == 'failed') {
+            Alert.alert("Your plant couldn't be planted, please try again when you are online.");
+        } else {
+            onPlanted(name);
+            this.props.navigation.goBack();
+        }
+    }
+
+    render() {
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    <Text style={styles.headerText}>Species</Text>
+                    <View style={styles.grid}>
+                        {Object.values(SPECIES).map(species =>
+                            <TouchableOpacity key={species.id}
+                                style={this.state.species == species.id ? styles.selectedSpecies : styles.species}
+                                onPress={() => this.setState({species: species.id})}>
+                                <Plant species={species.id} stage={species.stages.length - 1} height={80} />
+                                <Text style={styles.nameText}>{species.name}</Text>
+                                <Text style={styles.detailText}>
+                                    {species.unlockCost > 0 ? species.unlockCost + " coins" : "Free"}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+
+                    <Text style={styles.headerText}>Name</Text>
+                    <TextInput
+                        style={styles.nameInput}
+                        value={this.state.name}
+                        placeholder={this.plantName()}
+                        onChangeText={(text) => this.setState({name: text})}
+                    />
+                    {this.state.name.trim() != "" && this.plantName() != this.state.name.trim() ?
+                        <Text style={styles.detailText}>
+                            You already have a plant called that (or it can't be a plant's name), so this one will be {this.plantName()}.
+                        </Text>
+                    : null}
+
+                    <TouchableOpacity style={styles.button} disabled={this.state.planting}
+                        onPress={() => this.plant()}>
+                        <Text style={styles.buttonText}>Plant</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    headerText:{
+        marginTop: 20,
+        marginBottom: 5,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    grid:{
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    species:{
+        alignItems: 'center',
+        margin: 5,
+        padding: 5,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#f2f2f2',
+    },
+    selectedSpecies:{
+        alignItems: 'center',
+        margin: 5,
+        padding: 5,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    nameText:{
+        color: '#000000',
+        fontSize: 15,
+        fontWeight: 'bold',
+    },
+    detailText:{
+        color: '#464e51',
+        fontSize: 15,
+    },
+    nameInput:{
+        height: 40,
+        paddingLeft: 10,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+        fontSize: 18,
+    },
+    button: {
+        alignSelf: 'center',
+        marginVertical: 20,
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 5,
+    },
+    buttonText: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
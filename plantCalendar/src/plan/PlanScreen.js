@@ -0,0 +1,268 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert} from 'react-native';
+
+import { getWorkingSlots, planBlocks } from '../home/Scheduler';
+import { formatTime } from '../home/EventData';
+import { startOfDay } from '../home/TaskQuery';
+
+// how many days "Plan my week" plans, starting today
+const PLAN_DAYS = 7;
+
+/**
+ * PlanScreen Class
+ *  \brief "Plan my week": proposes blocks of time in the user's Google Calendar to work on their
+ *         open tasks (see home/Scheduler.js), which are added to the calendar if the user accepts them
+ *  \details opened from the HomeScreen, which passes in its TaskData and EventData objects and
+ *           its renderCalendar function through the route params.
+ *           Planning again moves or removes the blocks planned before that haven't started yet
+ */
+export default class PlanScreen extends React.Component {
+    state = {
+        // copies of the working hours so the text boxes can be edited before planning again
+        workingStart: String(this.props.route.params.eventData.workingHours.start),
+        workingEnd: String(this.props.route.params.eventData.workingHours.end),
+        blocks: [],  // the proposed blocks
+        unplanned: [],  // array of {task, hours}, work that doesn't fit before it's due
+        replaceCount: 0,  // how many blocks planned before would be moved or removed
+        planTime: null,  // when the proposed blocks were planned
+        loading: true,
+        saving: false,
+    }
+
+    componentDidMount() {
+        this.plan();
+    }
+
+    /**
+     * \brief plans the open tasks into the free time of the next PLAN_DAYS days
+     */
+    plan = async() => {
+        const {taskData, eventData} = this.props.route.params;
+        let start = parseInt(this.state.workingStart);
+        let end = parseInt(this.state.workingEnd);
+        if (isNaN(start) || isNaN(end) || start < 0 || end > 24 || start >= end) {
+            Alert.alert("Please enter working hours between 0 and 24, starting before they end.");
+            return;
+        }
+
+        this.setState({loading: true});
+        try {
+            if (start != eventData.workingHours.start || end != eventData.workingHours.end) {
+                await eventData.setWorkingHours({start: start, end: end});
+            }
+            let now = new Date();
+            let to = new Date(now.getFullYear(), now.getMonth(), now.getDate() + PLAN_DAYS);
+            await eventData.loadTimeBlocks();
+            await eventData.loadEvents(startOfDay(now), to);
+
+            // the blocks that can be moved don't take up any time
+            let replaceableIds = eventData.getReplaceableBlocks(now).map(block => block.eventId);
+            let busyEvents = eventData.events.filter(event => !replaceableIds.includes(event.id));
+            let slots = getWorkingSlots(busyEvents, now, to, eventData.workingHours);
+
+            // a task with subtasks is planned through its subtasks
+            let tasks = taskData.getData().filter(task => taskData.getSubtasks(task.id).length == 0);
+            let plan = planBlocks(tasks, slots, task => taskData.getTimeLeft(task.id), now);
+
+            this.setState({
+                blocks: plan.blocks,
+                unplanned: plan.unplanned,
+                replaceCount: replaceableIds.length,
+                planTime: now,
+                loading: false,
+            });
+        } catch (error) {
+            console.log(error);
+            this.setState({loading: false});
+            Alert.alert("Your calendar couldn't be loaded, please check your connection.");
+        }
+    }
+
+    /**
+     * \brief adds the proposed blocks to the user's calendar
+     */
+    accept = async() => {
+        this.setState({saving: true});
+        try {
+            await this.props.route.params.eventData.saveTimeBlocks(this.state.blocks, this.state.planTime);
+        } catch (error) {
+            console.log(error);
+            this.setState({saving: false});
+            Alert.alert("Your plan couldn't be saved to Google Calendar, please check your connection and try again.");
+            return;
+        }
+        this.props.route.params.renderCalendar();
+        this.props.navigation.goBack();
+    }
+
+    /**
+     * \brief the proposed blocks, under the day they're on
+     */
+    renderBlocks() {
+        let rows = [];
+        let lastDay = null;
+        for (let i = 0; i < this.state.blocks.length; ++i) {
+            let block = this.state.blocks[i];
+            let day = block.start.toDateString();
+            if (day != lastDay) {
+                rows.push(<Text key = {"day" + day} style = {styles.dayText}>{day}</Text>);
+                lastDay = day;
+            }
+            rows.push(
+                <View key = {"block" + i} style = {styles.blockRow}>
+                    <Text style = {styles.timeText}>{formatTime(block.start)} - {formatTime(block.end)}</Text>
+                    <Text style = {styles.nameText} numberOfLines = {1}>{block.name}</Text>
+                </View>
+            );
+        }
+        return rows;
+    }
+
+    render() {
+        let summary = null;
+        if (this.state.loading) {
+            summary = "Planning your week...";
+        } else if (this.state.blocks.length == 0) {
+            summary = "There is nothing to plan: give your open tasks an estimate to plan them.";
+        } else if (this.state.replaceCount > 0) {
+            summary = "The " + this.state.replaceCount + " blocks planned before that haven't started will be moved or removed.";
+        }
+
+        return (
+            <View style={styles.container}>
+                {/* the hours of the day the tasks can be planned in */}
+                <View style={styles.row}>
+                    <Text style={styles.labelText}>Work from</Text>
+                    <TextInput
+                        style={styles.hourInput}
+                        value={this.state.workingStart}
+                        keyboardType='numeric'
+                        onChangeText={(text) => this.setState({workingStart: text})}
+                    />
+                    <Text style={styles.labelText}>to</Text>
+                    <TextInput
+                        style={styles.hourInput}
+                        value={this.state.workingEnd}
+                        keyboardType='numeric'
+                        onChangeText={(text) => this.setState({workingEnd: text})}
+                    />
+                    <TouchableOpacity
+                        style={styles.button}
+                        disabled={this.state.loading || this.state.saving}
+                        onPress={() => this.plan()}>
+                        <Text style={styles.buttonText}>Plan again</Text>
+                    </TouchableOpacity>
+                </View>
+
+                {summary != null ? <Text style={styles.messageText}>{summary}</Text> : null}
+                <ScrollView>
+                    {this.state.loading ? null : this.renderBlocks()}
+                    {!this.state.loading && this.state.unplanned.length > 0 ?
+                        <View>
+                            <Text style={styles.warningTitle}>Not enough free time before these are due:</Text>
+                            {this.state.unplanned.map(({task, hours}) =>
+                                <Text key={"unplanned" + task.id} style={styles.warningText}>
+                                    {task.name} ({Math.round(hours * 10) / 10}h left over)
+                                </Text>
+                            )}
+                        </View>
+                    : null}
+                </ScrollView>
+
+                <View style={styles.bottomRow}>
+                    <TouchableOpacity
+                        style={styles.button}
+                        onPress={() => this.props.navigation.goBack()}>
+                        <Text style={styles.buttonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={styles.button}
+                        disabled={this.state.loading || this.state.saving}
+                        onPress={() => this.accept()}>
+                        <Text style={styles.buttonText}>{this.state.saving ? "Saving..." : "Accept"}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        marginTop: 15,
+        padding: 10,
+        flex: 1,
+        backgroundColor: '#ffffff',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    labelText:{
+        fontSize: 15,
+        color: '#464e51',
+    },
+    hourInput:{
+        width: 40,
+        height: 40,
+        marginHorizontal: 5,
+        textAlign: 'center',
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+        fontSize: 15,
+    },
+    messageText:{
+        marginVertical: 10,
+        fontSize: 15,
+        color: '#464e51',
+    },
+    dayText:{
+        marginTop: 10,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    blockRow:{
+        flexDirection: 'row',
+        paddingVertical: 5,
+        borderLeftWidth: 4,
+        borderLeftColor: '#8ccd82',
+        paddingLeft: 8,
+        marginTop: 5,
+    },
+    timeText:{
+        width: 100,
+        fontSize: 15,
+        color: '#464e51',
+    },
+    nameText:{
+        flex: 1,
+        fontSize: 15,
+    },
+    warningTitle:{
+        marginTop: 15,
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#d9534f',
+    },
+    warningText:{
+        fontSize: 15,
+        color: '#d9534f',
+    },
+    bottomRow:{
+        flexDirection: 'row',
+        justifyContent: 'center',
+        marginTop: 10,
+    },
+    button: {
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 10,
+        marginLeft: 10,
+    },
+    buttonText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
@@ -0,0 +1,172 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Switch, Alert} from 'react-native';
+
+import { REMINDER_OFFSETS } from '../home/Reminders';
+
+/**
+ * RemindersScreen Class
+ *  \brief lets the user pick when their tasks remind them, and when the morning digest comes
+ *  \details opened from the HomeScreen, which passes in its ReminderData and TaskData objects
+ *           through the route params; saving schedules the reminders of the open tasks again
+ */
+export default class RemindersScreen extends React.Component {
+    state = {
+        offsets: this.props.route.params.reminderData.settings.offsets,
+        digest: this.props.route.params.reminderData.settings.digest,
+        // text box for the hour of the digest
+        digestHour: String(this.props.route.params.reminderData.settings.digestHour),
+        saving: false,
+    }
+
+    /**
+     * \brief turns a reminder offset on or off
+     * @param {*} minutes the offset, see Reminders.REMINDER_OFFSETS
+     */
+    toggleOffset(minutes) {
+        if (this.state.offsets.includes(minutes)) {
+            this.setState({offsets: this.state.offsets.filter(offset => offset != minutes)});
+        } else {
+            this.setState({offsets: this.state.offsets.concat([minutes])});
+        }
+    }
+
+    /**
+     * \brief checks and saves the settings, then goes back to the HomeScreen
+     */
+    async save() {
+        let digestHour = parseInt(this.state.digestHour);
+        if (this.state.digest && !(digestHour >= 0 && digestHour <= 23)) {
+            Alert.alert("Please enter the hour of the digest, from 0 to 23.");
+            return;
+        }
+        this.setState({saving: true});
+        await this.props.route.params.reminderData.setSettings({
+            offsets: this.state.offsets,
+            digest: this.state.digest,
+            digestHour: this.state.digest ? digestHour : this.props.route.params.reminderData.settings.digestHour,
+        }, this.props.route.params.taskData.taskArray);
+        this.props.navigation.goBack();
+    }
+
+    render() {
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    {!this.props.route.params.reminderData.permitted ?
+                        <Text style={styles.warningText}>
+                            Notifications are turned off for this app. Allow them in your phone's settings
+                            to get reminders.
+                        </Text>
+                    : null}
+
+                    <Text style={styles.headerText}>Remind me of a task</Text>
+                    {REMINDER_OFFSETS.map(offset =>
+                        <TouchableOpacity key={offset.minutes}
+                            style={this.state.offsets.includes(offset.minutes) ? styles.selectedButton : styles.button}
+                            onPress={() => this.toggleOffset(offset.minutes)}>
+                            <Text style={this.state.offsets.includes(offset.minutes) ?
+                                styles.selectedText : styles.buttonText}>
+                                {offset.label}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+
+                    <Text style={styles.headerText}>Morning digest</Text>
+                    <View style={styles.row}>
+                        <Text style={styles.detailText}>The tasks due each day, and how many are overdue</Text>
+                        <Switch
+                            value={this.state.digest}
+                            onValueChange={(value) => this.setState({digest: value})}
+                            trackColor={{true: '#8ccd82'}}
+                        />
+                    </View>
+                    {this.state.digest ?
+                        <View style={styles.row}>
+                            <Text style={styles.detailText}>At</Text>
+                            <TextInput
+                                style={styles.hourInput}
+                                value={this.state.digestHour}
+                                keyboardType='numeric'
+                                onChangeText={(text) => this.setState({digestHour: text})}
+                            />
+                            <Text style={styles.detailText}>o'clock</Text>
+                        </View>
+                    : null}
+
+                    <TouchableOpacity style={styles.selectedButton} disabled={this.state.saving}
+                        onPress={() => this.save()}>
+                        <Text style={styles.selectedText}>Save</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    headerText:{
+        marginTop: 20,
+        marginBottom: 5,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    detailText:{
+        flexShrink: 1,
+        marginVertical: 5,
+        marginRight: 5,
+        fontSize: 15,
+        color: '#464e51',
+    },
+    warningText:{
+        marginTop: 10,
+        fontSize: 15,
+        color: '#d9534f',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    hourInput:{
+        width: 50,
+        height: 40,
+        marginRight: 5,
+        textAlign: 'center',
+        fontSize: 18,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+    },
+    button:{
+        alignSelf: 'flex-start',
+        marginVertical: 3,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    buttonText:{
+        fontSize: 15,
+        color: '#8ccd82',
+    },
+    selectedButton:{
+        alignSelf: 'flex-start',
+        marginVertical: 3,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+        backgroundColor: '#8ccd82',
+    },
+    selectedText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#ffffff',
+    },
+});
@@ -0,0 +1,212 @@
+import * as React from 'react';
+import {View, Text, StyleSheet, ScrollView, ActivityIndicator} from 'react-native';
+
+import { estimateSamples, summarize, groupSummaries, weeklyTrend, worstEstimated, describeRatio } from '../home/EstimateStats';
+
+// how many weeks the trend goes back, and how many badly estimated tasks are listed
+const TREND_WEEKS = 8;
+const WORST_COUNT = 5;
+// ratios this close to 1 count as good estimates
+const GOOD_RATIO_MARGIN = 0.1;
+
+/**
+ * StatsScreen Class
+ *  \brief shows how the time the user spent on their completed tasks compares with their estimates:
+ *         overall, by priority, by task list, week by week, and the tasks estimated worst
+ *  \details opened from the HomeScreen, which passes in its TaskData object through the route params.
+ *           See home/EstimateStats.js for how the numbers are worked out
+ */
+export default class StatsScreen extends React.Component {
+    state = {
+        samples: [],
+        loading: true,
+    }
+
+    /**
+     * \brief load the completed tasks from Google Tasks and Firebase once the screen opens
+     */
+    async componentDidMount() {
+        let completedTasks = this.props.route.params.taskData.completedTaskArray;
+        try {
+            completedTasks = await this.props.route.params.taskData.getCompletedData();
+        } catch (error) {
+            // offline: use whatever was loaded before
+            console.log("could not load completed tasks: " + error);
+        }
+        this.setState({samples: estimateSamples(completedTasks), loading: false});
+    }
+
+    /**
+     * \brief a bar showing a ratio: the middle of the bar is "on estimate", a full bar is twice the estimate
+     */
+    renderRatioBar(ratio) {
+        if (ratio == null) {
+            return <View style={styles.bar} />;
+        }
+        let color = Math.abs(ratio - 1) <= GOOD_RATIO_MARGIN ? '#8ccd82' : ratio > 1 ? '#d9534f' : '#f0ad4e';
+        return (
+            <View style={styles.bar}>
+                <View style={{...styles.barFill, backgroundColor: color, width: Math.min(ratio / 2, 1) * 100 + '%'}} />
+                <View style={styles.barMiddle} />
+            </View>
+        );
+    }
+
+    /**
+     * \brief one row of a breakdown: its name, its ratio as a bar and in words, and how many tasks it has
+     */
+    renderRow(key, label, summary) {
+        return (
+            <View key={key} style={styles.row}>
+                <Text style={styles.rowLabel} numberOfLines={1}>{label}</Text>
+                <View style={styles.rowData}>
+                    {this.renderRatioBar(summary.ratio)}
+                    <Text style={styles.detailText}>
+                        {summary.count == 0 ? "No tasks" :
+                            describeRatio(summary.ratio) + " (" + summary.count + (summary.count == 1 ? " task)" : " tasks)")}
+                    </Text>
+                </View>
+            </View>
+        );
+    }
+
+    render() {
+        if (this.state.loading) {
+            return (
+                <View style={styles.container}>
+                    <ActivityIndicator size="large" color="#8ccd82" />
+                </View>
+            );
+        }
+
+        const taskData = this.props.route.params.taskData;
+        let samples = this.state.samples;
+        if (samples.length == 0) {
+            return (
+                <View style={styles.container}>
+                    <Text style={styles.emptyText}>
+                        Complete some tasks with an estimate and the time you spent on them to see how good your estimates are.
+                    </Text>
+                </View>
+            );
+        }
+
+        let overall = summarize(samples);
+        let byPriority = groupSummaries(samples, sample => sample.task.priority || "none");
+        let byList = groupSummaries(samples, sample => sample.task.taskListId);
+        let listTitle = taskListId => {
+            let taskList = taskData.getTaskLists().find(taskList => taskList.id == taskListId);
+            return taskList ? taskList.title : "Other list";
+        };
+
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    <Text style={styles.overallText}>
+                        Your tasks took {Math.round(overall.ratio * 100) / 100}x your estimates
+                    </Text>
+                    <Text style={styles.detailText}>
+                        {Math.round(overall.actual * 10) / 10} hours spent on {overall.count} tasks
+                        estimated at {Math.round(overall.estimate * 10) / 10} hours, {describeRatio(overall.ratio)}.
+                    </Text>
+
+                    <Text style={styles.headerText}>By priority</Text>
+                    {byPriority.map(group =>
+                        this.renderRow("priority" + group.key,
+                            group.key.charAt(0).toUpperCase() + group.key.slice(1), group))}
+
+                    <Text style={styles.headerText}>By list</Text>
+                    {byList.map(group => this.renderRow("list" + group.key, listTitle(group.key), group))}
+
+                    {/* how the bias changes from week to week, by the week the tasks were completed */}
+                    <Text style={styles.headerText}>Week by week</Text>
+                    {weeklyTrend(samples, TREND_WEEKS).map(week =>
+                        this.renderRow("week" + week.weekStart.toISOString(),
+                            (week.weekStart.getMonth() + 1) + "/" + week.weekStart.getDate(), week))}
+
+                    <Text style={styles.headerText}>Furthest off</Text>
+                    {worstEstimated(samples, WORST_COUNT).map(sample =>
+                        <View key={"worst" + sample.task.id} style={styles.worstRow}>
+                            <Text style={styles.nameText} numberOfLines={1}>{sample.task.name}</Text>
+                            <Text style={styles.detailText}>
+                                Estimated {sample.estimate}h, took {Math.round(sample.actual * 100) / 100}h
+                                ({Math.round(sample.ratio * 100) / 100}x)
+                            </Text>
+                        </View>
+                    )}
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+        justifyContent: 'center',
+    },
+    overallText:{
+        marginTop: 10,
+        fontSize: 20,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    headerText:{
+        marginTop: 20,
+        marginBottom: 5,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    rowLabel:{
+        width: 90,
+        fontSize: 15,
+        color: '#000000',
+    },
+    rowData:{
+        flex: 1,
+    },
+    bar:{
+        height: 8,
+        backgroundColor: '#f2f2f2',
+        borderRadius: 4,
+        overflow: 'hidden',
+    },
+    barFill:{
+        height: 8,
+    },
+    barMiddle:{
+        // marks where the time spent equals the estimate
+        position: 'absolute',
+        left: '50%',
+        width: 2,
+        height: 8,
+        backgroundColor: '#464e51',
+    },
+    detailText:{
+        fontSize: 13,
+        color: '#464e51',
+    },
+    worstRow:{
+        paddingVertical: 5,
+        borderBottomWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    nameText:{
+        fontSize: 15,
+        color: '#000000',
+    },
+    emptyText:{
+        alignSelf: 'center',
+        textAlign: 'center',
+        fontSize: 18,
+        color: '#8ccd82',
+    },
+});
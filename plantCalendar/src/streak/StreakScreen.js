@@ -0,0 +1,234 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert} from 'react-native';
+import * as Progress from 'react-native-progress';
+
+import { dailyTotals, dayKey, goalProgress, nextMilestone } from '../home/Streaks';
+import { FREEZE_COST, MAX_FREEZES } from '../home/StreakData';
+
+// how many days are shown in the history
+const HISTORY_DAYS = 14;
+
+/**
+ * StreakScreen Class
+ *  \brief shows the user's streak and today's progress towards their daily goal, and lets them
+ *         change the goal and buy streak freezes
+ *  \details opened from the HomeScreen, which passes in its StreakData object, its updateMoneyDisplay
+ *           function and its renderCalendar function (to show the changes) through the route params
+ */
+export default class StreakScreen extends React.Component {
+    state = {
+        goalType: this.props.route.params.streakData.goal.type,
+        // text box for the goal's amount
+        goalAmount: String(this.props.route.params.streakData.goal.amount),
+        buying: false,
+    }
+
+    /**
+     * \brief checks and saves the goal the user picked
+     */
+    async saveGoal() {
+        let amount = parseFloat(this.state.goalAmount);
+        if (!(amount > 0)) {
+            Alert.alert("Please enter how many " + this.state.goalType + " a day your goal is.");
+            return;
+        }
+        await this.props.route.params.streakData.setGoal({type: this.state.goalType, amount: amount});
+        this.props.route.params.renderCalendar();
+        this.forceUpdate();
+    }
+
+    /**
+     * \brief buys a streak freeze, if the user has enough coins
+     */
+    async buyFreeze() {
+        this.setState({buying: true});
+        let bought = await this.props.route.params.streakData.buyFreeze();
+        this.setState({buying: false});
+        if (bought) {
+            this.props.route.params.updateMoneyDisplay();
+        } else {
+            Alert.alert("You can't buy a streak freeze right now.",
+                "A freeze costs " + FREEZE_COST + " coins and you can hold up to " + MAX_FREEZES + " of them.");
+        }
+    }
+
+    /**
+     * \brief the last few days, oldest first: met, frozen or missed
+     */
+    renderHistory(streakData) {
+        let totals = dailyTotals(streakData.getCompletions());
+        let now = new Date();
+        let days = [];
+        for (let i = HISTORY_DAYS - 1; i >= 0; --i) {
+            let day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+            let key = dayKey(day);
+            let color = '#f2f2f2';
+            if (goalProgress(totals[key], streakData.goal) >= 1) {
+                color = '#8ccd82';
+            } else if (streakData.frozenDays.includes(key)) {
+                color = '#f0ad4e';
+            }
+            days.push(
+                <View key={key} style={styles.day}>
+                    <View style={{...styles.dayDot, backgroundColor: color}} />
+                    <Text style={styles.dayText}>{day.getDate()}</Text>
+                </View>
+            );
+        }
+        return <View style={styles.history}>{days}</View>;
+    }
+
+    render() {
+        const streakData = this.props.route.params.streakData;
+        let streak = streakData.getStreak();
+        let goal = streakData.goal;
+        let milestone = nextMilestone(streak.days);
+
+        return (
+            <View style={styles.container}>
+                <ScrollView showsVerticalScrollIndicator={false}>
+                    <Text style={styles.streakText}>{streak.days} day streak</Text>
+                    <Text style={styles.detailText}>
+                        Today: {Math.round(streak.today[goal.type] * 10) / 10} of {goal.amount} {goal.type}
+                        {streak.todayMet ? ", goal met!" : ""}
+                    </Text>
+                    <Progress.Bar
+                        progress={Math.min(goalProgress(streak.today, goal), 1)}
+                        width={null}
+                        height={12}
+                        color={'#8ccd82'}
+                    />
+                    {milestone != null ?
+                        <Text style={styles.detailText}>
+                            {milestone.days - streak.days} more {milestone.days - streak.days == 1 ? "day" : "days"} to
+                            the {milestone.days} day milestone (+{milestone.coins} coins)
+                        </Text>
+                    : null}
+
+                    <Text style={styles.headerText}>Last {HISTORY_DAYS} days</Text>
+                    {this.renderHistory(streakData)}
+                    <Text style={styles.detailText}>Green: goal met, orange: covered by a freeze</Text>
+
+                    <Text style={styles.headerText}>Daily goal</Text>
+                    <View style={styles.row}>
+                        <TextInput
+                            style={styles.amountInput}
+                            value={this.state.goalAmount}
+                            keyboardType='numeric'
+                            onChangeText={(text) => this.setState({goalAmount: text})}
+                        />
+                        {['tasks', 'hours'].map(type =>
+                            <TouchableOpacity key={type}
+                                style={this.state.goalType == type ? styles.selectedButton : styles.button}
+                                onPress={() => this.setState({goalType: type})}>
+                                <Text style={this.state.goalType == type ? styles.selectedText : styles.buttonText}>
+                                    {type}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                        <Text style={styles.detailText}> a day</Text>
+                    </View>
+                    <Text style={styles.detailText}>
+                        Hours are the time tracked on the tasks you complete that day.
+                    </Text>
+                    <TouchableOpacity style={styles.selectedButton} onPress={() => this.saveGoal()}>
+                        <Text style={styles.selectedText}>Save goal</Text>
+                    </TouchableOpacity>
+
+                    <Text style={styles.headerText}>Streak freezes</Text>
+                    <Text style={styles.detailText}>
+                        You have {streakData.freezes} of {MAX_FREEZES}. A freeze is used by itself to cover a day
+                        you miss your goal, so your streak keeps going.
+                    </Text>
+                    <TouchableOpacity style={styles.selectedButton} disabled={this.state.buying}
+                        onPress={() => this.buyFreeze()}>
+                        <Text style={styles.selectedText}>Buy a freeze ({FREEZE_COST} coins)</Text>
+                    </TouchableOpacity>
+                </ScrollView>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        flex: 1,
+        padding: 10,
+        backgroundColor: '#ffffff',
+    },
+    streakText:{
+        marginTop: 10,
+        fontSize: 30,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    headerText:{
+        marginTop: 20,
+        marginBottom: 5,
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#8ccd82',
+    },
+    detailText:{
+        marginVertical: 5,
+        fontSize: 15,
+        color: '#464e51',
+    },
+    history:{
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    day:{
+        alignItems: 'center',
+    },
+    dayDot:{
+        width: 16,
+        height: 16,
+        borderRadius: 8,
+    },
+    dayText:{
+        fontSize: 11,
+        color: '#464e51',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    amountInput:{
+        width: 50,
+        height: 40,
+        marginRight: 5,
+        textAlign: 'center',
+        fontSize: 18,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+    },
+    button:{
+        marginHorizontal: 3,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+    },
+    buttonText:{
+        fontSize: 15,
+        color: '#8ccd82',
+    },
+    selectedButton:{
+        alignSelf: 'flex-start',
+        marginHorizontal: 3,
+        marginVertical: 5,
+        paddingVertical: 5,
+        paddingHorizontal: 10,
+        borderRadius: 5,
+        borderWidth: 2,
+        borderColor: '#8ccd82',
+        backgroundColor: '#8ccd82',
+    },
+    selectedText:{
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#ffffff',
+    },
+});
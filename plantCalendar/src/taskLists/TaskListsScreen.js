@@ -0,0 +1,127 @@
+import * as React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert} from 'react-native';
+
+/**
+ * TaskListsScreen Class
+ *  \brief lets the user create new task lists and rename existing ones
+ *  \details opened from the HomeScreen, which passes in its TaskData object and
+ *           its renderCalendar function through the route params
+ */
+export default class TaskListsScreen extends React.Component {
+    state = {
+        // copy of the titles so the text boxes can be edited before saving
+        titles: this.props.route.params.taskData.getTaskLists().map(taskList => taskList.title),
+        newListTitle: "",
+    }
+
+    /**
+     * \brief renames the task list at the given index if its title has been changed
+     */
+    async renameList(index) {
+        const taskData = this.props.route.params.taskData;
+        const taskList = taskData.getTaskLists()[index];
+        const title = this.state.titles[index].trim();
+
+        if (title == "" || title == taskList.title) {
+            return;
+        }
+        await taskData.renameTaskList(taskList.id, title);
+        this.props.route.params.renderCalendar();
+    }
+
+    /**
+     * \brief creates a new task list with the title typed in by the user
+     */
+    async createList() {
+        const title = this.state.newListTitle.trim();
+        if (title == "") {
+            Alert.alert("Please enter a name for the new list.");
+            return;
+        }
+
+        await this.props.route.params.taskData.createTaskList(title);
+        this.setState({
+            titles: [...this.state.titles, title],
+            newListTitle: "",
+        });
+        this.props.route.params.renderCalendar();
+    }
+
+    render() {
+        return (
+            <View style={styles.container}>
+                <ScrollView>
+                    {/* one text box per list, renaming it once the user is done typing */}
+                    {this.state.titles.map((title, index) =>
+                        <View style={styles.row} key={"list" + index}>
+                            <TextInput
+                                style={styles.input}
+                                value={title}
+                                onChangeText={(text) => {
+                                    let titles = [...this.state.titles];
+                                    titles[index] = text;
+                                    this.setState({titles: titles});
+                                }}
+                                onEndEditing={() => this.renameList(index)}
+                            />
+                        </View>
+                    )}
+                </ScrollView>
+
+                {/* For creating a new list */}
+                <View style={styles.row}>
+                    <TextInput
+                        style={styles.input}
+                        value={this.state.newListTitle}
+                        onChangeText={(text) => this.setState({newListTitle: text})}
+                        placeholder="Name of new list"
+                    />
+                    <TouchableOpacity
+                        style={styles.button}
+                        onPress={() => this.createList()}>
+                        <Text style={styles.buttonText}>Add</Text>
+                    </TouchableOpacity>
+                </View>
+
+                <TouchableOpacity
+                    style={{...styles.button, alignSelf: 'center', marginTop: 20}}
+                    onPress={() => this.props.navigation.goBack()}>
+                    <Text style={styles.buttonText}>Done</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+}
+
+const styles = StyleSheet.create({
+    container:{
+        marginTop: 15,
+        padding: 10,
+        flex: 1,
+        backgroundColor: '#ffffff',
+    },
+    row:{
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    input: {
+        flex: 1,
+        paddingLeft: 10,
+        margin: 5,
+        height: 50,
+        borderColor: '#8ccd82',
+        borderBottomWidth: 2,
+        fontSize: 15,
+    },
+    button: {
+        backgroundColor: '#8ccd82',
+        padding: 10,
+        borderRadius: 10,
+        marginLeft: 10,
+    },
+    buttonText: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#FFFFFF'
+    },
+});
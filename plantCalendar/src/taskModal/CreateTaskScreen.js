@@ -6,6 +6,10 @@ import {Dropdown} from 'react-native-material-dropdown';
 import FirestoreHandle from '../dataHandlers/FirestoreHandle';
 import GoogleHandle from '../dataHandlers/GoogleHandle.js';
 import DateTimePickerModal from "react-native-modal-datetime-picker";
+import RecurrencePicker from './RecurrencePicker';
+import {isValidRecurrence} from '../home/Recurrence';
+import LinksEditor from './LinksEditor';
+import {joinNotes} from '../home/TaskNotes';
 
 
 export default class CreateTaskScreen extends React.Component {
@@ -15,13 +19,48 @@ export default class CreateTaskScreen extends React.Component {
     dateDisplay: "Click here to select date and time",
     priority: "medium",
     estTimeToComplete: 0,
+    // the task list the new task goes into, the user's first list unless they pick another one
+    taskListId: this.props.route.params.taskData.getDefaultTaskListId(),
+    // how the task repeats (see home/Recurrence.js), null if it doesn't
+    recurrence: null,
+    notes: "",
+    // array of {description, link}, see home/TaskNotes.js
+    links: [],
     // a class to handle most of the firestore interfaces (eg. update time in firestore)
     firestoreHandle: new FirestoreHandle(),
     googleHandle: new GoogleHandle(),
     userEmail: this.props.route.params.userEmail,
 
     //boolean to handle the datetimepicker
-    dateIsVisible: false
+    dateIsVisible: false,
+    // true once the completed tasks that estimates are suggested from have loaded
+    historyLoaded: this.props.route.params.taskData.completedLoaded,
+  }
+
+  /**
+   * \brief load the completed tasks in the background, so an estimate can be suggested
+   */
+  componentDidMount() {
+    if (!this.state.historyLoaded) {
+      this.props.route.params.taskData.loadCompletedHistory().then(
+        () => this.setState({historyLoaded: true})
+      );
+    }
+  }
+
+  /**
+   * \brief Returns the estimate suggested for the task as it is now (see TaskData.suggestEstimate), or null
+   */
+  getSuggestion() {
+    const taskData = this.props.route.params.taskData;
+    const parentTask = this.props.route.params.parentTask;
+    let taskListId = this.state.taskListId;
+    if (parentTask) {
+      // subtasks go in their parent's list
+      let i = taskData.findTask(parentTask.id);
+      taskListId = i != -1 ? taskData.getData()[i].taskListId : taskListId;
+    }
+    return taskData.suggestEstimate(this.state.name, taskListId, this.state.priority);
   }
 
 
@@ -32,10 +71,22 @@ export default class CreateTaskScreen extends React.Component {
   * navigates back to HomeScreen
   */
   async backTo() {
+    if (!isValidRecurrence(this.state.recurrence)) {
+      Alert.alert("Please finish choosing how the task repeats.");
+      return;
+    }
     
     // initate the task in both firebase and gogole
-    await this.props.route.params.taskData.createTask(this.state.name, this.state.dueDate,
-      this.state.priority, this.state.estTimeToComplete);
+    const parentTask = this.props.route.params.parentTask;
+    if (parentTask) {
+      // subtasks always go in the same list as their parent
+      await this.props.route.params.taskData.createSubtask(parentTask.id, this.state.name, this.state.dueDate,
+        this.state.priority, this.state.estTimeToComplete, this.state.notes, this.state.links);
+    } else {
+      await this.props.route.params.taskData.createTask(this.state.name, this.state.dueDate,
+        this.state.priority, this.state.estTimeToComplete, this.state.taskListId, this.state.recurrence,
+        this.state.notes, this.state.links);
+    }
     // call the renderCalendar function in HomeScreen to display the new task
     this.props.route.params.renderCalendar();
     // Go back to the HomeScreen
@@ -47,8 +98,8 @@ export default class CreateTaskScreen extends React.Component {
    */
   async initiateTask() {
     // create task in google Task
-    taskId = await this.state.googleHandle.createGoogleTask(this.state.name, this.state.dueDate, 
-      this.props.route.params.accessToken);
+    taskId = await this.state.googleHandle.createGoogleTask(this.state.taskListId, this.state.name, this.state.dueDate, 
+      joinNotes(this.state.notes, this.state.links), this.props.route.params.accessToken);
     
     // initialize task in Firebase
     this.state.firestoreHandle.initFirebaseTaskData(this.state.userEmail, taskId, this.state.name);
@@ -57,7 +108,9 @@ export default class CreateTaskScreen extends React.Component {
     // the time spent on the task is zero by default
     // the task is not completed, by default
     this.state.firestoreHandle.updateFirebaseTaskData(this.state.userEmail, taskId, this.state.name, 
-      this.state.priority, this.state.estTimeToComplete, 0, false, this.state.dueDate);
+      this.state.priority, this.state.estTimeToComplete, 0, false, this.state.dueDate).catch(
+        error => console.log(error)
+      );
   }
 
   render() {
@@ -78,8 +131,19 @@ export default class CreateTaskScreen extends React.Component {
       {value: 'low'}
     ];
 
+    // options for the task list, shown by title but stored by id
+    let taskListData = this.props.route.params.taskData.getTaskLists().map(
+      taskList => ({value: taskList.id, label: taskList.title}));
+
+  // only set when creating a subtask from the ViewTaskModal
+  const parentTask = this.props.route.params.parentTask;
+  const suggestion = this.state.historyLoaded ? this.getSuggestion() : null;
+
   return (
     <View style={styles.container}>
+      {parentTask ?
+        <Text style={styles.text}>Subtask of: {parentTask.name}</Text>
+      : null}
       {/* Entering name of the task */}
       <TextInput
             style={styles.input}
@@ -92,11 +156,41 @@ export default class CreateTaskScreen extends React.Component {
       <TextInput
           keyboardType='numeric'
           style={styles.input}
+          value={this.state.estTimeToComplete ? String(this.state.estTimeToComplete) : ""}
           onChangeText={(text)=>{
             this.setState({estTimeToComplete:text});
           }}
           placeholder="Estimate hours needed"
       />
+      {/* The estimate suggested from similar completed tasks, tap to use it */}
+      {suggestion ?
+        <TouchableOpacity
+            onPress={()=>{
+              this.setState({estTimeToComplete:String(suggestion.hours)});
+            }}>
+          <Text style={styles.suggestionText}>
+            Suggested: {suggestion.hours}h (usually {suggestion.low}-{suggestion.high}h,
+            from {suggestion.count} similar {suggestion.count == 1 ? "task" : "tasks"})
+            {String(suggestion.hours) == this.state.estTimeToComplete ? "" : " Tap to use"}
+          </Text>
+        </TouchableOpacity>
+      : null}
+      {/* Entering notes for the task */}
+      <TextInput
+          style={styles.notesInput}
+          multiline={true}
+          onChangeText={(text)=>{
+            this.setState({notes:text});
+          }}
+          placeholder="Notes"
+      />
+      {/* Adding links to the task */}
+      <LinksEditor
+          value={this.state.links}
+          onChange={(links)=>{
+            this.setState({links:links});
+          }}
+      />
       {/* For selecting the due date */}
      <View>
       <TouchableOpacity 
@@ -121,6 +215,28 @@ export default class CreateTaskScreen extends React.Component {
           }}
       />
 
+      {/* For selecting the task list (subtasks go in their parent's list) */}
+      {parentTask ? null :
+        <Dropdown
+            label='Select task list here'
+            data={taskListData}
+            value={this.state.taskListId}
+            onChangeText={(value)=>{
+              this.setState({taskListId:value});
+            }}
+        />
+      }
+
+      {/* For choosing how the task repeats (subtasks don't repeat) */}
+      {parentTask ? null :
+        <RecurrencePicker
+            value={this.state.recurrence}
+            onChange={(recurrence)=>{
+              this.setState({recurrence:recurrence});
+            }}
+        />
+      }
+
       {/* Navigation buttons */}
       <View style={styles.bottom}>
         <TouchableOpacity
@@ -150,6 +266,20 @@ const styles = StyleSheet.create({
       borderBottomWidth: 2,
       fontSize: 15,
   },
+  notesInput: {
+      paddingLeft: 10,
+      margin: 5,
+      minHeight: 50,
+      maxHeight: 120,
+      borderColor: '#8ccd82',
+      borderBottomWidth: 2,
+      fontSize: 15,
+  },
+  suggestionText: {
+    marginHorizontal: 15,
+    fontSize: 13,
+    color: '#464e51',
+  },
   text:{
     marginTop: 15,
     fontSize: 20,
@@ -1,10 +1,13 @@
 import  React, { Component } from 'react';
-import {View, Text, TextInput, StyleSheet, Button, TouchableOpacity} from 'react-native';
+import {View, Text, TextInput, StyleSheet, Button, TouchableOpacity, Alert} from 'react-native';
 import {Dropdown} from 'react-native-material-dropdown';
 import DateTimePickerModal from "react-native-modal-datetime-picker";
 
 import FirestoreHandle from '../dataHandlers/FirestoreHandle';
 import GoogleHandle from '../dataHandlers/GoogleHandle.js';
+import RecurrencePicker from './RecurrencePicker';
+import {isValidRecurrence} from '../home/Recurrence';
+import LinksEditor from './LinksEditor';
 
 export default class EditTaskModal extends React.Component {
   constructor(props) {
@@ -18,11 +21,14 @@ export default class EditTaskModal extends React.Component {
       userEmail: this.taskRef.userEmail,
       taskId: this.taskRef.id,
       dueDate: this.taskRef.dueDate,
-      taskListId: this.taskRef.taskListId,  // undefined until we implement support for multiple task lists
+      taskListId: this.taskRef.taskListId,
       priority: this.taskRef.priority, 
       estTimeToComplete: this.taskRef.estTimeToComplete,
       completed: this.taskRef.completed,  // undefined until we implement support for completing tasks
       timeSpent: this.taskRef.timeSpent,
+      recurrence: this.taskRef.recurrence || null,
+      notes: this.taskRef.notes || "",
+      links: this.taskRef.links || [],
 
       dateIsVisible: false,  // determines whether the datetimepicker modal is visible
 
@@ -36,9 +42,20 @@ export default class EditTaskModal extends React.Component {
   * navigates back to the home screen
   */
  async backTo() {
+  if (!isValidRecurrence(this.state.recurrence)) {
+    Alert.alert("Please finish choosing how the task repeats.");
+    return;
+  }
 
-  await this.props.route.params.task.taskData.updateTask(this.state.taskId, this.state.taskListId, this.state.name,
-    this.state.dueDate, this.state.priority, this.state.estTimeToComplete, this.state.timeSpent);
+  const taskData = this.props.route.params.task.taskData;
+  // the task's timer may have added time since the task was opened
+  let i = taskData.findTask(this.state.taskId);
+  let timeSpent = i != -1 ? taskData.getData()[i].timeSpent : this.state.timeSpent;
+  // edit the task in the list it is in now, then move it if the user picked another list
+  await taskData.updateTask(this.state.taskId, this.taskRef.taskListId, this.state.name,
+    this.state.dueDate, this.state.priority, this.state.estTimeToComplete, timeSpent,
+    this.state.recurrence, this.state.notes, this.state.links);
+  await taskData.moveTask(this.state.taskId, this.state.taskListId);
   // TODO: call the renderCalendar function in HomeScreen to display the edited task
   this.props.route.params.task.renderCalendar();
   // Go back to the HomeScreen
@@ -53,6 +70,10 @@ export default class EditTaskModal extends React.Component {
         {value: 'low'}
       ];
 
+      // options for the task list, shown by title but stored by id
+      let taskListData = this.taskRef.taskData.getTaskLists().map(
+        taskList => ({value: taskList.id, label: taskList.title}));
+
       // when we change the date in the datetimepicker, we update the date 
       // with the selectedDate
       const onChangeDate = (selectedDate) => {
@@ -92,6 +113,33 @@ export default class EditTaskModal extends React.Component {
             placeholder='0'
         />
         </View>
+
+        <View style = {styles.inputView}>
+          {/* Editing notes of the task */}
+          <Text style={styles.text}>Notes:</Text>
+          <TextInput
+            style={{...styles.input, flex: 1, maxHeight: 100}}
+            multiline={true}
+            defaultValue = {this.state.notes}
+            onChangeText={(text)=>{
+              this.setState({notes:text});
+            }}
+            placeholder='Notes'
+          />
+        </View>
+
+        <View style = {styles.inputView}>
+          {/* Adding and removing links of the task */}
+          <Text style={styles.text}>Links:</Text>
+          <View style={{flex: 1}}>
+            <LinksEditor
+              value={this.state.links}
+              onChange={(links)=>{
+                this.setState({links:links});
+              }}
+            />
+          </View>
+        </View>
           
           
           {/* Editing due date of the task */}
@@ -124,6 +172,32 @@ export default class EditTaskModal extends React.Component {
               containerStyle={{ width: 100}}
             />
           </View>
+
+          {/* Moving the task to another task list */}
+          <View style = {styles.inputView}>
+            <Text style = {styles.text}> Task list: </Text>
+            <Dropdown
+              label= 'Task list'
+              data={taskListData}
+              value={this.state.taskListId}
+              onChangeText={(value)=>{
+                this.setState({taskListId:value});
+              }}
+              containerStyle={{ width: 150}}
+            />
+          </View>
+
+          {/* Editing how the task repeats */}
+          <View style = {styles.inputView}>
+            <Text style = {styles.text}> Repeat: </Text>
+            <RecurrencePicker
+              value={this.state.recurrence}
+              onChange={(recurrence)=>{
+                this.setState({recurrence:recurrence});
+              }}
+              containerStyle={{ width: 180}}
+            />
+          </View>
           
           {/* Navigation buttons */}
           <View style={styles.bottom}>
@@ -0,0 +1,114 @@
+import React from 'react';
+import {View, Text, TextInput, TouchableOpacity, StyleSheet, Alert} from 'react-native';
+import PropTypes from 'prop-types';
+
+import {normalizeLink} from '../home/TaskNotes';
+
+/**
+ * LinksEditor Class
+ *  \brief lets the user add links to a task and remove them, used by CreateTaskScreen and EditTaskScreen
+ *  \details value is an array of {description, link} (see home/TaskNotes.js);
+ *           onChange is called with the new array every time a link is added or removed
+ */
+export default class LinksEditor extends React.Component {
+  state = {
+    newLink: "",
+  }
+
+  /**
+   * \brief adds the link typed in by the user to the end of the list
+   */
+  addLink() {
+    let link = normalizeLink(this.state.newLink);
+    if (link == null) {
+      Alert.alert("Please enter a link, eg. https://example.com");
+      return;
+    }
+    this.props.onChange([...this.props.value, {description: "", link: link}]);
+    this.setState({newLink: ""});
+  }
+
+  /**
+   * \brief removes the link at the given index
+   */
+  removeLink(index) {
+    let links = [...this.props.value];
+    links.splice(index, 1);
+    this.props.onChange(links);
+  }
+
+  render() {
+    return (
+      <View>
+        {this.props.value.map((link, index) =>
+          <View style={styles.row} key={"link" + index}>
+            <Text style={styles.linkText} numberOfLines={1}>{link.description || link.link}</Text>
+            <TouchableOpacity onPress={() => this.removeLink(index)}>
+              <Text style={styles.removeText}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        <View style={styles.row}>
+          <TextInput
+            style={styles.input}
+            value={this.state.newLink}
+            onChangeText={(text) => this.setState({newLink: text})}
+            autoCapitalize='none'
+            keyboardType='url'
+            placeholder="Add a link"
+          />
+          <TouchableOpacity style={styles.button} onPress={() => this.addLink()}>
+            <Text style={styles.buttonText}>Add</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+}
+
+LinksEditor.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.object),
+  onChange: PropTypes.func.isRequired,
+};
+
+LinksEditor.defaultProps = {
+  value: [],
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    paddingLeft: 10,
+    margin: 5,
+    height: 50,
+    borderColor: '#8ccd82',
+    borderBottomWidth: 2,
+    fontSize: 15,
+  },
+  linkText: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 15,
+    color: '#8ccd82',
+    textDecorationLine: 'underline',
+  },
+  removeText: {
+    fontSize: 15,
+    color: '#d9534f',
+    margin: 5,
+  },
+  button: {
+    backgroundColor: '#8ccd82',
+    padding: 10,
+    borderRadius: 10,
+  },
+  buttonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#FFFFFF'
+  },
+});
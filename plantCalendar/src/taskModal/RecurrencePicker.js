@@ -0,0 +1,124 @@
+import React from 'react';
+import {View, TextInput, StyleSheet} from 'react-native';
+import {Dropdown} from 'react-native-material-dropdown';
+import PropTypes from 'prop-types';
+
+import {recurrenceTypes} from '../home/Recurrence';
+
+/**
+ * RecurrencePicker Class
+ *  \brief lets the user choose how a task repeats, used by CreateTaskScreen and EditTaskScreen
+ *  \details calls onChange with the new rule (see home/Recurrence.js) every time the user changes it;
+ *           the rule may be incomplete while the user is typing, so the screens check it
+ *           with isValidRecurrence before saving
+ */
+export default class RecurrencePicker extends React.Component {
+  constructor(props) {
+    super(props);
+    const recurrence = this.props.value;
+
+    // the text box holds N for "every N days", the day for "monthly" and the rule itself for RRULE
+    let text = "";
+    if (recurrence) {
+      switch (recurrence.type) {
+        case 'everyNDays':
+          text = String(recurrence.interval);
+          break;
+        case 'monthly':
+          text = String(recurrence.day);
+          break;
+        case 'rrule':
+          text = recurrence.rule;
+          break;
+      }
+    }
+
+    this.state = {
+      type: recurrence ? recurrence.type : 'none',
+      text: text,
+    }
+  }
+
+  /**
+   * \brief builds the rule from the picked type and the text box, and passes it to onChange
+   */
+  updateRecurrence(type, text) {
+    this.setState({type: type, text: text});
+
+    let recurrence = null;
+    switch (type) {
+      case 'daily':
+      case 'weekdays':
+        recurrence = {type: type};
+        break;
+      case 'everyNDays':
+        recurrence = {type: type, interval: Number(text)};
+        break;
+      case 'monthly':
+        recurrence = {type: type, day: Number(text)};
+        break;
+      case 'rrule':
+        recurrence = {type: type, rule: text.trim()};
+        break;
+    }
+    this.props.onChange(recurrence);
+  }
+
+  render() {
+    let placeholder = null;
+    switch (this.state.type) {
+      case 'everyNDays':
+        placeholder = "Number of days";
+        break;
+      case 'monthly':
+        placeholder = "Day of the month (1-31)";
+        break;
+      case 'rrule':
+        placeholder = "eg. FREQ=WEEKLY;BYDAY=MO,TH";
+        break;
+    }
+
+    return (
+      <View>
+        <Dropdown
+          label='Repeat'
+          data={recurrenceTypes}
+          value={this.state.type}
+          onChangeText={(value) => this.updateRecurrence(value, this.state.text)}
+          containerStyle={this.props.containerStyle}
+        />
+        {/* only the rules that need a number or a custom rule show a text box */}
+        {placeholder ?
+          <TextInput
+            style={styles.input}
+            keyboardType={this.state.type == 'rrule' ? 'default' : 'numeric'}
+            autoCapitalize='characters'
+            value={this.state.text}
+            onChangeText={(text) => this.updateRecurrence(this.state.type, text)}
+            placeholder={placeholder}
+          />
+        : null}
+      </View>
+    );
+  }
+}
+
+RecurrencePicker.propTypes = {
+  value: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+};
+
+RecurrencePicker.defaultProps = {
+  value: null,
+};
+
+const styles = StyleSheet.create({
+  input: {
+    paddingLeft: 10,
+    margin: 5,
+    height: 50,
+    borderColor: '#8ccd82',
+    borderBottomWidth: 2,
+    fontSize: 15,
+  },
+});
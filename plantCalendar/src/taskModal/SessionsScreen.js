@@ -0,0 +1,254 @@
+import * as React from 'react';
+import {View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert} from 'react-native';
+import DateTimePickerModal from "react-native-modal-datetime-picker";
+
+import { formatTime } from '../home/EventData';
+
+/**
+ * SessionsScreen Class
+ *  \brief lists the sessions of time spent on a task (timed with the timer in ViewTaskModal),
+ *         and lets the user add, change or delete them
+ *  \details opened from the ViewTaskModal, which passes in the TaskData object, the task's id and name,
+ *           and the HomeScreen's renderCalendar function through the route params.
+ *           The task's time spent is the total of its sessions, so TaskData updates it after every change
+ */
+export default class SessionsScreen extends React.Component {
+  state = {
+    sessions: [],
+    loading: true,
+    failed: false,
+    // the session being edited, null if none, 'new' for a session being added
+    editingId: null,
+    editStart: null,  // Date objects, the times picked for the session being edited
+    editEnd: null,
+    // which of the session's times the date time picker is changing: 'start', 'end' or null
+    pickerTarget: null,
+  }
+
+  componentDidMount() {
+    const {taskData, taskId} = this.props.route.params;
+    taskData.loadSessions(taskId).then(sessions => {
+      this.setState({sessions: sessions, loading: false});
+    }).catch(error => {
+      console.log(error);
+      this.setState({loading: false, failed: true});
+    });
+  }
+
+  /**
+   * \brief shows the sessions again from TaskData, and the new time spent on the HomeScreen
+   */
+  refresh() {
+    const {taskData, taskId} = this.props.route.params;
+    this.setState({sessions: taskData.getSessions(taskId), editingId: null});
+    this.props.route.params.renderCalendar();
+  }
+
+  /**
+   * \brief starts editing a session, or adding one (the last hour) if session is null
+   */
+  startEditing(session) {
+    let now = new Date();
+    this.setState({
+      editingId: session ? session.id : 'new',
+      editStart: session ? new Date(session.start) : new Date(now.getTime() - 60 * 60 * 1000),
+      editEnd: session ? new Date(session.end) : now,
+    });
+  }
+
+  /**
+   * \brief saves the session being edited (or added)
+   */
+  async saveSession() {
+    const {taskData, taskId} = this.props.route.params;
+    let start = this.state.editStart.getTime();
+    let end = this.state.editEnd.getTime();
+    if (end <= start) {
+      Alert.alert("A session has to end after it starts.");
+      return;
+    }
+
+    if (this.state.editingId == 'new') {
+      await taskData.addSession(taskId, start, end);
+    } else {
+      let session = this.state.sessions.find(session => session.id == this.state.editingId);
+      await taskData.updateSession(taskId, session, start, end);
+    }
+    this.refresh();
+  }
+
+  /**
+   * \brief deletes a session after the user confirms
+   */
+  deleteSession(session) {
+    const {taskData, taskId} = this.props.route.params;
+    Alert.alert(
+      "Delete session",
+      "The time of this session will be taken off the time spent on the task.",
+      [
+        {text: "Cancel", style: "cancel"},
+        {text: "Delete", style: "destructive", onPress: async() => {
+          await taskData.deleteSession(taskId, session);
+          this.refresh();
+        }},
+      ]
+    );
+  }
+
+  /**
+   * \brief the start and end of the session being edited, tapping them opens the date time picker
+   */
+  renderEditor() {
+    return (
+      <View style={styles.editor}>
+        <View style={styles.row}>
+          <Text style={styles.text}>Start: </Text>
+          <TouchableOpacity onPress={() => this.setState({pickerTarget: 'start'})}>
+            <Text style={styles.timeInput}>{this.state.editStart.toLocaleString()}</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.row}>
+          <Text style={styles.text}>End: </Text>
+          <TouchableOpacity onPress={() => this.setState({pickerTarget: 'end'})}>
+            <Text style={styles.timeInput}>{this.state.editEnd.toLocaleString()}</Text>
+          </TouchableOpacity>
+        </View>
+        <DateTimePickerModal
+          isVisible={this.state.pickerTarget != null}
+          mode="datetime"
+          date={this.state.pickerTarget == 'end' ? this.state.editEnd : this.state.editStart}
+          onConfirm={(selectedDate) => this.setState(this.state.pickerTarget == 'end' ?
+            {editEnd: selectedDate, pickerTarget: null} : {editStart: selectedDate, pickerTarget: null})}
+          onCancel={() => this.setState({pickerTarget: null})}
+        />
+        <View style={styles.row}>
+          <TouchableOpacity style={styles.button} onPress={() => this.saveSession()}>
+            <Text style={styles.buttonText}>Save</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.button} onPress={() => this.setState({editingId: null})}>
+            <Text style={styles.buttonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  render() {
+    let message = null;
+    if (this.state.loading) {
+      message = "Loading the sessions...";
+    } else if (this.state.failed) {
+      message = "The sessions couldn't be loaded, please check your connection.";
+    } else if (this.state.sessions.length == 0) {
+      message = "No time has been tracked on this task yet.";
+    }
+    const taskData = this.props.route.params.taskData;
+    let total = taskData.sumSessions(this.state.sessions);
+
+    return (
+      <View style={styles.container}>
+        <Text style={styles.titleText}>{this.props.route.params.taskName}</Text>
+        <Text style={styles.text}>Total: {Math.round(total * 100) / 100} hours</Text>
+        {message != null ? <Text style={styles.text}>{message}</Text> : null}
+
+        <ScrollView>
+          {this.state.sessions.map(session =>
+            session.id == this.state.editingId ? <View key={session.id}>{this.renderEditor()}</View> :
+            <View key={session.id} style={styles.sessionRow}>
+              <View style={styles.sessionInfo}>
+                <Text style={styles.text}>{new Date(session.start).toDateString()}</Text>
+                <Text style={styles.text}>
+                  {formatTime(new Date(session.start))} - {formatTime(new Date(session.end))}
+                  {" "}({Math.round(taskData.sumSessions([session]) * 100) / 100}h)
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => this.startEditing(session)}>
+                <Text style={styles.linkText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => this.deleteSession(session)}>
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          {this.state.editingId == 'new' ? this.renderEditor() : null}
+        </ScrollView>
+
+        {/* For logging time that wasn't timed */}
+        {this.state.loading || this.state.failed || this.state.editingId != null ? null :
+          <TouchableOpacity
+            style={{...styles.button, alignSelf: 'center', marginTop: 20}}
+            onPress={() => this.startEditing(null)}>
+            <Text style={styles.buttonText}>Add session</Text>
+          </TouchableOpacity>
+        }
+      </View>
+    );
+  }
+}
+
+const styles = StyleSheet.create({
+  container:{
+    marginTop: 15,
+    padding: 10,
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  titleText:{
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#8ccd82',
+    marginBottom: 5,
+  },
+  text:{
+    fontSize: 15,
+    color: '#464e51',
+  },
+  row:{
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 5,
+  },
+  sessionRow:{
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderColor: '#8ccd82',
+    borderBottomWidth: 2,
+  },
+  sessionInfo:{
+    flex: 1,
+  },
+  editor:{
+    paddingVertical: 8,
+    borderColor: '#8ccd82',
+    borderBottomWidth: 2,
+  },
+  timeInput:{
+    fontSize: 15,
+    borderBottomWidth: 2,
+    borderBottomColor: '#8ccd82',
+  },
+  linkText:{
+    marginLeft: 10,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#8ccd82',
+  },
+  deleteText:{
+    marginLeft: 10,
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#d9534f',
+  },
+  button: {
+    backgroundColor: '#8ccd82',
+    padding: 10,
+    borderRadius: 10,
+    marginRight: 10,
+  },
+  buttonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#FFFFFF'
+  },
+});
@@ -1,24 +1,48 @@
 import * as React from 'react';
-import {View, Text, StyleSheet, TouchableOpacity, TextInput} from 'react-native';
+import {View, Text, StyleSheet, TouchableOpacity, Alert, Linking, ScrollView} from 'react-native';
 import { Icon }  from 'react-native-elements';
 
 import FirestoreHandle from '../dataHandlers/FirestoreHandle';
+import { describeRecurrence } from '../home/Recurrence';
+import { computeReward } from '../home/Rewards';
+
+/**
+ * \brief Returns a time in ms as H:MM:SS, for the timer
+ */
+function formatDuration(time) {
+  let seconds = Math.floor(time / 1000);
+  let pad = number => (number < 10 ? "0" : "") + number;
+  return Math.floor(seconds / 3600) + ":" + pad(Math.floor(seconds / 60) % 60) + ":" + pad(seconds % 60);
+}
 
 export default class ViewTaskModal extends React.Component {
     state = {
       completeTaskAnimationTime: 300,
-      inputTimeSpent: 0,
       // a class to handle most of the firestore interfaces (eg. update time in firestore)
       firestoreHandle: new FirestoreHandle(),
       // in order to simultaneously display the time changed based on user's input
       // we will store timeSpent and timeLeft as states
       displayTimeSpent: this.props.route.params.task.timeSpent,
       displayTimeLeft: this.props.route.params.task.timeLeft,
+      // how long the task's timer has been running, updated every second
+      timerTime: this.props.route.params.task.taskData.getTimerTime(this.props.route.params.task.id),
+    }
+
+    componentDidMount() {
+      const taskRef = this.props.route.params.task;
+      this.clock = setInterval(() => {
+        this.setState({timerTime: taskRef.taskData.getTimerTime(taskRef.id)});
+      }, 1000);
+    }
+
+    componentWillUnmount() {
+      clearInterval(this.clock);
     }
 
     /**
      * \brief if the user clicks the complete button on the Task Viewer Modal
-     * \details TODO: add the complete function for Google Task  here!
+     * \details completes the task the same way as its checkbox, which pays the reward
+     *          worked out by home/Rewards.js (the button shows how much)
      */
     closeAndCompleteTask() {
       // close the modal
@@ -34,51 +58,129 @@ export default class ViewTaskModal extends React.Component {
     }
 
     /**
-     * \brief if the user clicks the submit button to input time spent on a task
+     * \brief if the user clicks the delete button on the Task Viewer Modal
+     * \details asks the user to confirm first, then closes the modal and deletes the task
+     */
+    closeAndDeleteTask() {
+      let taskRef = this.props.route.params.task;
+      Alert.alert(
+        "Delete task",
+        "Are you sure you want to delete \"" + taskRef.name + "\"?",
+        [
+          {text: "Cancel", style: "cancel"},
+          {text: "Delete", style: "destructive", onPress: () => {
+            // close the modal, then delete the task (same as closeAndCompleteTask)
+            this.props.navigation.goBack();
+            setTimeout(()=>taskRef.deletedHandler(),
+                           this.state.completeTaskAnimationTime);
+          }},
+        ]
+      );
+    }
+
+    /**
+     * \brief if the user clicks the add subtask button on the Task Viewer Modal
+     * \details opens the create task screen, which creates the new task as a subtask of this one
+     */
+    addSubtask() {
+      const taskRef = this.props.route.params.task;
+      // CreateTask is inside the Main stack, behind this modal
+      this.props.navigation.navigate('Main', {
+        screen: 'CreateTask',
+        params: {
+          taskData: taskRef.taskData,
+          renderCalendar: taskRef.renderCalendar,
+          parentTask: {id: taskRef.id, name: taskRef.name},
+        },
+      });
+    }
+
+    /**
+     * \brief opens one of the task's links in the phone's browser (or the app that handles it)
+     */
+    openLink(link) {
+      Linking.openURL(link).catch(
+        error => Alert.alert("Could not open " + link)
+      );
+    }
+
+    /**
+     * \brief if the user clicks one of the timer's buttons
      * \details
-     *    - update timeSpent in firestor
-     *    - display new timeSpent and timeLeft in ViewTaskModal
+     *    - starting (or resuming) the timer only saves when it started
+     *    - pausing or stopping it adds the time since then to the task as a session,
+     *      so the time spent is updated too
      *    - re-render all the tasks in the background
+     * @param {*} action 'start', 'pause' or 'stop'
      */
-    addTimeSpent() {
-      // define a taskRef so we get accessed to parameters passed from the task when
-      //    the viewTaskModal opens
+    async changeTimer(action) {
       const taskRef = this.props.route.params.task;
+      if (action == 'start') {
+        await taskRef.taskData.startTimer(taskRef.id);
+      } else if (action == 'pause') {
+        await taskRef.taskData.pauseTimer(taskRef.id);
+      } else {
+        await taskRef.taskData.stopTimer(taskRef.id);
+      }
+      this.refreshTimeSpent();
 
-      let newTimeSpent = parseFloat(taskRef.timeSpent) + parseFloat(this.state.inputTimeSpent);
-
-      // call the firestore helper function to update timeSpent in the database
-      this.state.firestoreHandle.updateTimeSpentInFirebase(this.props.route.params.userEmail,taskRef.id, 
-          newTimeSpent);
-
-      // setState will trigger re-render of viewTaskModal
-      this.setState(() =>{ 
-        let newTimeLeft = parseFloat(taskRef.estTimeToComplete) - parseFloat(newTimeSpent);
-          // if the time spent exceed estimated time, time left should just be 0
-          if (newTimeLeft < 0) {
-              newTimeLeft = 0;
-          }
-        return {
-          // update the displayed timeLeft and timeSpent
-          displayTimeLeft: newTimeLeft, 
-          displayTimeSpent: newTimeSpent, 
-          // clear the timeSpent input in the textbox
-          inputTimeSpent: 0}
-      });
-      
       // Call the timeSpentHandler to re-render all the tasks
       // timeSpentHandler is a function passed from a task when the viewTaskModal opens
       taskRef.timeSpentHandler();
     }
 
+    /**
+     * \brief displays the task's current timeSpent and timeLeft from TaskData
+     */
+    refreshTimeSpent() {
+      const taskRef = this.props.route.params.task;
+      let i = taskRef.taskData.findTask(taskRef.id);
+      if (i == -1) {
+        return;
+      }
+      let timeSpent = taskRef.taskData.getData()[i].timeSpent;
+      this.setState({
+        displayTimeSpent: timeSpent,
+        // if the time spent exceed estimated time, time left should just be 0
+        displayTimeLeft: Math.max(parseFloat(taskRef.estTimeToComplete) - parseFloat(timeSpent), 0),
+        timerTime: taskRef.taskData.getTimerTime(taskRef.id),
+      });
+    }
+
+    /**
+     * \brief opens the log of the sessions timed on the task, where they can be fixed
+     */
+    openSessions() {
+      const taskRef = this.props.route.params.task;
+      // Sessions is inside the Main stack, behind this modal
+      this.props.navigation.navigate('Main', {
+        screen: 'Sessions',
+        params: {
+          taskData: taskRef.taskData,
+          taskId: taskRef.id,
+          taskName: taskRef.name,
+          renderCalendar: taskRef.renderCalendar,
+        },
+      });
+    }
+
     render() {
       // define a taskRef so we get accessed to parameters passed from the task when
       //    the viewTaskModal opens (when task "navigates" to ViewTaskModal screen)
       const taskRef = this.props.route.params.task;
+      // the user's links first, then the ones Google added (eg. the email the task was made from)
+      const links = (taskRef.links || []).concat(taskRef.googleLinks || []);
 
       // only display "estimate time to complete" "time spent" "time left"
       // if there is an estimated time
-      const dispTime = taskRef.estTimeToComplete != null
+      // completed tasks (found by the search on the HomeScreen) can only be looked at
+      const dispTime = taskRef.estTimeToComplete != null && !taskRef.archived
+      const timer = taskRef.archived ? null : taskRef.taskData.getTimer(taskRef.id);
+      const taskIndex = taskRef.taskData.findTask(taskRef.id);
+      const pomodoros = taskIndex != -1 ? taskRef.taskData.getData()[taskIndex].pomodoros || 0 : 0;
+      // what completing the task now pays, counting the time on its timer
+      const reward = taskIndex == -1 ? null : computeReward({...taskRef.taskData.getData()[taskIndex],
+        timeSpent: (parseFloat(this.state.displayTimeSpent) || 0) + this.state.timerTime / (60 * 60 * 1000)});
       // const taskTimeSpent = "Time Spent (hours): " + taskStates.timeSpent;
 
       return (
@@ -90,12 +192,22 @@ export default class ViewTaskModal extends React.Component {
               onPress = {() => this.props.navigation.goBack()}>
               <Icon name='close'></Icon>
             </TouchableOpacity>
-            {/* Edit Button to open the task editor modal */}
-            <TouchableOpacity 
-              style={styles.editButton}
-              onPress = {() => this.props.navigation.navigate("EditTask", {task: this.props.route.params.task})}>
-              <Icon name='edit'></Icon>
-            </TouchableOpacity>
+            {taskRef.archived ? null :
+              <React.Fragment>
+                {/* Edit Button to open the task editor modal */}
+                <TouchableOpacity 
+                  style={styles.editButton}
+                  onPress = {() => this.props.navigation.navigate("EditTask", {task: this.props.route.params.task})}>
+                  <Icon name='edit'></Icon>
+                </TouchableOpacity>
+                {/* Delete Button, next to the edit button */}
+                <TouchableOpacity 
+                  style={styles.deleteButton}
+                  onPress = {() => this.closeAndDeleteTask()}>
+                  <Icon name='delete'></Icon>
+                </TouchableOpacity>
+              </React.Fragment>
+            }
             {/* Wrap a view around the Texts for easier styling */}
             <View style = {styles.taskTextBlock}>
               <Text style = {{...styles.taskText, fontWeight: 'bold'}}>
@@ -108,45 +220,91 @@ export default class ViewTaskModal extends React.Component {
               <Text style = {styles.taskText}>
                 Priority: {taskRef.priority}
               </Text>
+              {taskRef.recurrence ?
+                <Text style = {styles.taskText}>
+                  Repeats: {describeRecurrence(taskRef.recurrence)}
+                </Text>
+              : null}
+              {/* notes and links can be long, so they scroll on their own */}
+              {taskRef.notes || links.length > 0 ?
+                <ScrollView style = {styles.notesBlock}>
+                  {taskRef.notes ?
+                    <Text style = {styles.taskText}>{taskRef.notes}</Text>
+                  : null}
+                  {links.map((link, index) =>
+                    <TouchableOpacity key = {"link" + index} onPress = {() => this.openLink(link.link)}>
+                      <Text style = {styles.urlText} numberOfLines = {1}>{link.description || link.link}</Text>
+                    </TouchableOpacity>
+                  )}
+                </ScrollView>
+              : null}
               {/* all the time related info for a task will only show if the task has
                   estimate time to complete */}
               <Text style = {styles.taskText}>
                 {dispTime? "Estimated Time to Complete (hours): " + taskRef.estTimeToComplete : null}
               </Text>
               <Text style = {styles.taskText}>
-                {dispTime? "Time Spent (hours): " + this.state.displayTimeSpent : null}
+                {dispTime? "Time Spent (hours): " + Math.round(this.state.displayTimeSpent * 100) / 100 : null}
               </Text>
               <Text style = {styles.taskText}>
-                {dispTime? "Time Left (hours): " + this.state.displayTimeLeft : null }
+                {dispTime? "Time Left (hours): " + Math.round(this.state.displayTimeLeft * 100) / 100 : null }
               </Text>
+              {pomodoros > 0 ?
+                <Text style = {styles.taskText}>
+                  Pomodoros: {pomodoros}
+                </Text>
+              : null}
+              {/* hours rolled up from the subtasks, only for tasks that have some */}
+              {taskRef.subtaskCount > 0 ?
+                <Text style = {styles.taskText}>
+                  Subtasks ({taskRef.subtaskCount}): {taskRef.progress.timeSpent} of {taskRef.progress.estTimeToComplete} hours done
+                </Text>
+              : null}
+              {/* Google Tasks only allows one level of subtasks */}
+              {taskRef.parentId || taskRef.archived ? null :
+                <TouchableOpacity onPress = {() => this.addSubtask()}>
+                  <Text style = {styles.linkText}>+ Add subtask</Text>
+                </TouchableOpacity>
+              }
             </View>
-            {/* Adding number of hours spent for the task */}
-            {/* Only display when the task has estimated time to complete (hours) */}
-            {dispTime? 
+            {/* Timer for the time spent on the task, with a link to the sessions it has timed */}
+            {taskRef.archived ? null :
               <View style={styles.inputContainer}>
-                <TextInput
-                    style={styles.input}
-                    onChangeText={(time)=>{
-                      this.setState({inputTimeSpent: time});
-                    }}
-                    value = {this.state.inputTimeSpent}
-                    keyboardType = {'numeric'} 
-                    placeholder='Enter total hours spent'
-                />
-                <TouchableOpacity
-                  style = {styles.submitButton}
-                  onPress = {() => this.addTimeSpent()}
-                >
-                  <Text style={styles.buttonText}>Submit</Text>
+                <Text style={styles.timerText}>{formatDuration(this.state.timerTime)}</Text>
+                {timer != null && timer.sessionStart != null ?
+                  <TouchableOpacity style = {styles.submitButton} onPress = {() => this.changeTimer('pause')}>
+                    <Text style={styles.buttonText}>Pause</Text>
+                  </TouchableOpacity>
+                :
+                  <TouchableOpacity style = {styles.submitButton} onPress = {() => this.changeTimer('start')}>
+                    <Text style={styles.buttonText}>{timer != null ? "Resume" : "Start"}</Text>
+                  </TouchableOpacity>
+                }
+                {timer != null ?
+                  <TouchableOpacity style = {styles.submitButton} onPress = {() => this.changeTimer('stop')}>
+                    <Text style={styles.buttonText}>Stop</Text>
+                  </TouchableOpacity>
+                : null}
+                <TouchableOpacity style = {styles.logButton} onPress = {() => this.openSessions()}>
+                  <Text style = {styles.linkText}>Log</Text>
                 </TouchableOpacity>
-              </View> 
-            : null}
+                {/* Pomodoro timer, in full screen */}
+                <TouchableOpacity style = {styles.logButton}
+                  onPress = {() => this.props.navigation.navigate("Focus", {task: taskRef})}>
+                  <Text style = {styles.linkText}>Focus</Text>
+                </TouchableOpacity>
+              </View>
+            }
             {/* button to complete the task (same functionality as the checkbox for each task */}
-            <TouchableOpacity 
-              style = {styles.completeButton}
-              onPress = {() => this.closeAndCompleteTask()}>
-              <Text style={styles.buttonText}>Task Completed</Text>
-            </TouchableOpacity>
+            {taskRef.archived ? null :
+              <TouchableOpacity 
+                style = {styles.completeButton}
+                onPress = {() => this.closeAndCompleteTask()}>
+                <Text style={styles.buttonText}>
+                  Task Completed{reward != null ? " (+" + reward.coins + " coins)" : ""}
+                </Text>
+              </TouchableOpacity>
+            }
           </View>
         </View>
       );
@@ -173,6 +331,20 @@ const styles = StyleSheet.create({
   taskText: {
     marginBottom: 10,
   },
+  linkText: {
+    marginBottom: 10,
+    color: '#8ccd82',
+    fontWeight: 'bold',
+  },
+  urlText: {
+    marginBottom: 5,
+    color: '#8ccd82',
+    textDecorationLine: 'underline',
+  },
+  notesBlock: {
+    maxHeight: 80,
+    marginBottom: 10,
+  },
   completeButton: {
     flex: 1,
     textAlign: 'center',
@@ -193,6 +365,11 @@ const styles = StyleSheet.create({
     top: 5,
     right: 5,
   },
+  deleteButton: {
+    position: 'absolute', 
+    top: 5,
+    right: 40,
+  },
   inputContainer: {
     flex:1,
     flexDirection: 'row',
@@ -201,14 +378,14 @@ const styles = StyleSheet.create({
     marginRight: 10,
     bottom: 70,
   },
-  input: {
-    width: '70%',
-    fontSize: 15,
-    paddingLeft: 5,
+  timerText: {
+    fontSize: 20,
+    fontVariant: ['tabular-nums'],
     margin: 5,
-    height: 50,
-    borderColor: '#8ccd82',
-    borderBottomWidth: 2
+  },
+  logButton: {
+    marginLeft: 15,
+    marginTop: 10,
   },
   submitButton: {
     textAlign: 'center',
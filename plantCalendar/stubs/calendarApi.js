@@ -0,0 +1,167 @@
+/**
+ * Calendar API stub
+ *  \brief a local stand-in for the parts of the Google Calendar API the app uses
+ *         (see src/dataHandlers/GoogleCalendarHandle.js), to run the app or try the fetch logic
+ *         without a Google account or network
+ *  \details start it with npm run calendar-stub (PORT sets the port, 3000 by default), then point
+ *           the app at it by setting extra.calendarApiUrl in app.json to
+ *           http://<this computer's address>:3000/calendar/v3
+ *      The calendars and events come from calendarFixture.json; an event's day is counted from
+ *      today and its start and end are local times, so the stub always has events this week.
+ *      It answers like Google does: lists come in pages of maxResults with a nextPageToken,
+ *      a request without an Authorization header gets a 401, and an unknown event a 404.
+ *      Events added, moved or deleted are only kept until the stub is stopped.
+ */
+
+const http = require('http');
+const fixture = require('./calendarFixture.json');
+
+const PORT = process.env.PORT || 3000;
+const PREFIX = '/calendar/v3';
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * \brief Returns a fixture event in Google's format, with its day counted from today
+ */
+function toGoogleEvent(event, today) {
+    let googleEvent = {
+        id: event.id,
+        summary: event.summary,
+        status: event.status || 'confirmed',
+        transparency: event.transparency || 'opaque',
+    };
+    let day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + event.day);
+    if (event.allDay) {
+        let end = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (event.days || 1));
+        googleEvent.start = {date: formatDate(day)};
+        googleEvent.end = {date: formatDate(end)};
+    } else {
+        googleEvent.start = {dateTime: atTime(day, event.start).toISOString()};
+        googleEvent.end = {dateTime: atTime(day, event.end).toISOString()};
+    }
+    return googleEvent;
+}
+
+function formatDate(date) {
+    let pad = number => (number < 10 ? "0" : "") + number;
+    return date.getFullYear() + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+}
+
+function atTime(day, time) {
+    let [hours, minutes] = time.split(':').map(part => parseInt(part));
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+}
+
+/**
+ * \brief Returns when an event starts and ends, in ms (all day events from local midnight)
+ */
+function eventRange(event) {
+    const read = time => time.dateTime ? new Date(time.dateTime).getTime() : atTime(
+        new Date(time.date + "T00:00:00"), "00:00").getTime();
+    return {start: read(event.start), end: read(event.end)};
+}
+
+// the events of every calendar, by calendar id
+let events = {};
+fixture.calendars.forEach(calendar => {
+    events[calendar.id] = [];
+});
+fixture.events.forEach(event => {
+    events[event.calendarId].push(toGoogleEvent(event, new Date()));
+});
+let nextEventId = 1;
+
+/**
+ * \brief Returns one page of items, like Google's list endpoints
+ */
+function page(items, query) {
+    let size = parseInt(query.get('maxResults')) || DEFAULT_PAGE_SIZE;
+    let start = parseInt(query.get('pageToken')) || 0;
+    let body = {items: items.slice(start, start + size)};
+    if (start + size < items.length) {
+        body.nextPageToken = String(start + size);
+    }
+    return body;
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {'Content-Type': 'application/json'});
+    response.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function sendError(response, status, message) {
+    send(response, status, {error: {code: status, message: message}});
+}
+
+/**
+ * \brief answers one request, see the top of this file
+ */
+function handle(request, response, body) {
+    let url = new URL(request.url, 'http://localhost');
+    if (!url.pathname.startsWith(PREFIX)) {
+        return sendError(response, 404, "Not Found");
+    }
+    if (!/^Bearer .+/.test(request.headers.authorization || "")) {
+        return sendError(response, 401, "Request is missing a valid access token.");
+    }
+    let path = url.pathname.substring(PREFIX.length).split('/').filter(part => part).map(decodeURIComponent);
+
+    // /users/me/calendarList
+    if (path.join('/') == 'users/me/calendarList' && request.method == 'GET') {
+        return send(response, 200, page(fixture.calendars, url.searchParams));
+    }
+    // /calendars/{calendarId}/events[/{eventId}]
+    if (path[0] != 'calendars' || path[2] != 'events' || path.length > 4) {
+        return sendError(response, 404, "Not Found");
+    }
+    let calendarEvents = events[path[1]];
+    if (calendarEvents == undefined) {
+        return sendError(response, 404, "Calendar not found: " + path[1]);
+    }
+
+    if (path.length == 3 && request.method == 'GET') {
+        let timeMin = url.searchParams.has('timeMin') ? new Date(url.searchParams.get('timeMin')).getTime() : -Infinity;
+        let timeMax = url.searchParams.has('timeMax') ? new Date(url.searchParams.get('timeMax')).getTime() : Infinity;
+        let items = calendarEvents.filter(event => {
+            let range = eventRange(event);
+            return range.end > timeMin && range.start < timeMax;
+        }).sort((a, b) => eventRange(a).start - eventRange(b).start);
+        return send(response, 200, page(items, url.searchParams));
+    }
+    if (path.length == 3 && request.method == 'POST') {
+        let event = {status: 'confirmed', ...JSON.parse(body || "{}"), id: "stub" + nextEventId++};
+        calendarEvents.push(event);
+        return send(response, 200, event);
+    }
+
+    let index = calendarEvents.findIndex(event => event.id == path[3]);
+    if (path.length != 4 || index == -1) {
+        return sendError(response, 404, "Not Found");
+    }
+    if (request.method == 'PATCH') {
+        calendarEvents[index] = {...calendarEvents[index], ...JSON.parse(body || "{}"), id: path[3]};
+        return send(response, 200, calendarEvents[index]);
+    }
+    if (request.method == 'DELETE') {
+        calendarEvents.splice(index, 1);
+        return send(response, 204);
+    }
+    return sendError(response, 405, "Method not allowed");
+}
+
+http.createServer((request, response) => {
+    let body = "";
+    request.on('data', chunk => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        try {
+            handle(request, response, body);
+        } catch (error) {
+            sendError(response, 400, String(error));
+        }
+        console.log(request.method + " " + request.url + " " + response.statusCode);
+    });
+}).listen(PORT, () => {
+    console.log("Calendar API stub on http://localhost:" + PORT + PREFIX);
+});